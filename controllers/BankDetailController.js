@@ -16,6 +16,7 @@ const createBankDetail = asyncHandler(async (req, res) => {
       accountNumber,
       ifscCode,
       swiftCode,
+      upiId,
       branchAddress,
       branchName,
     } = req.body;
@@ -50,6 +51,7 @@ const createBankDetail = asyncHandler(async (req, res) => {
       accountNumber: accountNumber.trim(),
       ifscCode: ifscCode.toUpperCase(),
       swiftCode: swiftCode ? swiftCode.trim().toUpperCase() : "",
+      upiId: upiId ? upiId.trim().toLowerCase() : "",
       branchName: branchName || "",
       branchAddress: branchAddress || "",
       isActive: req.body.isActive !== undefined ? req.body.isActive : true,
@@ -174,6 +176,9 @@ const updateBankDetail = asyncHandler(async (req, res) => {
           ? req.body.swiftCode.trim().toUpperCase()
           : "",
       }),
+      ...(req.body.upiId !== undefined && {
+        upiId: req.body.upiId ? req.body.upiId.trim().toLowerCase() : "",
+      }),
       ...(req.body.branchName !== undefined && {
         branchName: req.body.branchName ? req.body.branchName.trim() : "",
       }),
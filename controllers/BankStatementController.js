@@ -0,0 +1,272 @@
+const BankStatement = require("../models/BankStatement");
+const BankDetail = require("../models/BankDetail");
+const Bill = require("../models/Bill");
+const Payment = require("../models/Payment");
+const {
+  getPaymentState,
+  applyPayment,
+  revertPayments,
+} = require("../services/payment.service");
+const {
+  readStatementRows,
+  parseStatement,
+  inferPaymentMode,
+  proposeMatches,
+  creditKey,
+} = require("../services/reconciliation.service");
+
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+const OPEN_BILL_FILTER = {
+  type: { $in: ["proforma_invoice", "invoice"] },
+  status: { $in: ["issued", "sent", "partially_paid"] },
+  currency: "INR",
+};
+
+// Counts of a statement's credits by reconciliation status
+const statementSummary = (statement) => {
+  const counts = { unmatched: 0, proposed: 0, matched: 0, ignored: 0 };
+  statement.credits.forEach((credit) => counts[credit.status]++);
+  return {
+    id: statement._id,
+    bankId: statement.bankId,
+    fileName: statement.fileName,
+    fromDate: statement.fromDate,
+    toDate: statement.toDate,
+    credits: statement.credits.length,
+    debitCount: statement.debitCount,
+    ...counts,
+    createdAt: statement.createdAt,
+  };
+};
+
+async function findStatement(req, res) {
+  const { id, statementId } = req.params;
+  if (
+    !id.match(/^[0-9a-fA-F]{24}$/) ||
+    !statementId.match(/^[0-9a-fA-F]{24}$/)
+  ) {
+    res.status(400).json({ error: "Invalid ID" });
+    return null;
+  }
+  const statement = await BankStatement.findOne({
+    _id: statementId,
+    bankId: id,
+  });
+  if (!statement) res.status(404).json({ error: "Bank statement not found" });
+  return statement;
+}
+
+/**
+ * Import a CSV/Excel statement for a bank account (multipart field "file").
+ * Credits already imported from an earlier statement are skipped; the rest
+ * get proposed matches against open INR proformas and invoices.
+ */
+const importStatement = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id.match(/^[0-9a-fA-F]{24}$/))
+    return res.status(400).json({ error: "Invalid ID" });
+  const bank = await BankDetail.findById(id);
+  if (!bank) return res.status(404).json({ error: "Bank detail not found" });
+  if (!req.file) {
+    return res
+      .status(400)
+      .json({ error: "Attach the statement as a .csv or .xlsx file" });
+  }
+
+  const read = await readStatementRows(req.file.buffer, req.file.originalname);
+  if (read.error) return res.status(400).json({ error: read.error });
+  const parsed = parseStatement(read.rows);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  if (parsed.credits.length === 0) {
+    return res.status(400).json({ error: "No credits found in the statement" });
+  }
+
+  const dates = parsed.credits.map((credit) => credit.date.getTime());
+  const fromDate = new Date(Math.min(...dates));
+  const toDate = new Date(Math.max(...dates));
+
+  // Overlapping downloads repeat lines already imported for this account
+  const earlier = await BankStatement.find({
+    bankId: bank._id,
+    fromDate: { $lte: toDate },
+    toDate: { $gte: fromDate },
+  }).select("credits.date credits.amount credits.reference credits.narration");
+  const seen = new Set(
+    earlier.flatMap((statement) => statement.credits.map(creditKey))
+  );
+  const credits = parsed.credits.filter(
+    (credit) => !seen.has(creditKey(credit))
+  );
+  const duplicates = parsed.credits.length - credits.length;
+
+  const openBills = await Bill.find(OPEN_BILL_FILTER).select(
+    "poNo customerName grandTotal amountPaid paymentSchedule"
+  );
+  const matches = proposeMatches(credits, openBills);
+
+  const statement = await BankStatement.create({
+    bankId: bank._id,
+    fileName: req.file.originalname,
+    uploadedBy: (req.body.uploadedBy || "system").trim(),
+    fromDate,
+    toDate,
+    debitCount: parsed.debitCount,
+    credits: credits.map((credit, index) => ({
+      ...credit,
+      status: matches[index].proposal ? "proposed" : "unmatched",
+      proposal: matches[index].proposal || undefined,
+    })),
+  });
+  console.log(
+    `Statement ${statement.fileName} imported for ${bank.bankName}: ${credits.length} credits, ${duplicates} duplicates skipped`
+  );
+
+  res.status(201).json({
+    success: true,
+    statement: statementSummary(statement),
+    duplicates,
+    credits: statement.credits.map((credit, index) => ({
+      ...credit.toObject(),
+      candidates: matches[index].candidates,
+    })),
+  });
+});
+
+// List the statements imported for a bank account, newest first
+const listStatements = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id.match(/^[0-9a-fA-F]{24}$/))
+    return res.status(400).json({ error: "Invalid ID" });
+  const statements = await BankStatement.find({ bankId: id }).sort({
+    createdAt: -1,
+  });
+  res.json({
+    success: true,
+    count: statements.length,
+    statements: statements.map(statementSummary),
+  });
+});
+
+// Get a statement with its credits and their proposals
+const getStatement = asyncHandler(async (req, res) => {
+  const statement = await findStatement(req, res);
+  if (!statement) return;
+  res.json({
+    success: true,
+    statement: statementSummary(statement),
+    credits: statement.credits,
+  });
+});
+
+/**
+ * Confirm matches into payments: { matches: [{ creditId, billId }],
+ * ignore: [creditId], recordedBy }. billId defaults to the proposed bill.
+ * Each credit is handled on its own; failures are reported per credit. The
+ * statement is saved after every payment, and the payment reverted when
+ * that fails, so a credit is never left unmatched behind a recorded payment
+ * (a retry would post it twice).
+ */
+const confirmMatches = asyncHandler(async (req, res) => {
+  const statement = await findStatement(req, res);
+  if (!statement) return;
+  const body = req.body || {};
+  const matches = Array.isArray(body.matches) ? body.matches : [];
+  const ignore = Array.isArray(body.ignore) ? body.ignore : [];
+  if (matches.length === 0 && ignore.length === 0) {
+    return res
+      .status(400)
+      .json({ error: "Send matches to confirm or credits to ignore" });
+  }
+  const recordedBy = String(body.recordedBy || "system").trim();
+
+  const results = [];
+  for (const match of matches) {
+    const credit = statement.credits.id(match.creditId);
+    const result = { creditId: match.creditId };
+    results.push(result);
+    if (!credit) {
+      result.error = "Credit not found in this statement";
+      continue;
+    }
+    if (!["unmatched", "proposed"].includes(credit.status)) {
+      result.error = `Credit is already ${credit.status}`;
+      continue;
+    }
+    const billId =
+      match.billId || (credit.proposal && credit.proposal.billId) || null;
+    if (!billId || !String(billId).match(/^[0-9a-fA-F]{24}$/)) {
+      result.error = "billId is required for credits without a proposal";
+      continue;
+    }
+    const bill = await Bill.findOne({ _id: billId, ...OPEN_BILL_FILTER });
+    if (!bill) {
+      result.error = "Bill not found or not open for payment";
+      continue;
+    }
+    const reference = (credit.reference || "").toUpperCase();
+    if (reference && (await Payment.exists({ billId: bill._id, reference }))) {
+      result.error = `Reference ${reference} is already recorded on ${bill.poNo}`;
+      continue;
+    }
+
+    const state = getPaymentState(bill);
+    const { status: creditStatus, paymentId: creditPaymentId } = credit;
+    let payment;
+    try {
+      payment = await applyPayment(bill, {
+        amount: credit.amount,
+        date: credit.date,
+        mode: inferPaymentMode(credit.narration),
+        reference,
+        bankId: statement.bankId,
+        bankStatementId: statement._id,
+        notes: credit.narration,
+        recordedBy,
+      });
+      credit.status = "matched";
+      credit.paymentId = payment._id;
+      await statement.save();
+      Object.assign(result, {
+        paymentId: payment._id,
+        billId: bill._id,
+        poNo: bill.poNo,
+        status: bill.status,
+        balanceDue: bill.balanceDue,
+      });
+    } catch (error) {
+      if (payment) {
+        credit.status = creditStatus;
+        credit.paymentId = creditPaymentId;
+        await revertPayments([{ bill, payment, state }]);
+      }
+      console.error(
+        `Confirming credit ${match.creditId} on ${bill.poNo} failed:`,
+        error.message
+      );
+      result.error = error.message;
+    }
+  }
+
+  ignore.forEach((creditId) => {
+    const credit = statement.credits.id(creditId);
+    if (credit && credit.status !== "matched") credit.status = "ignored";
+  });
+  await statement.save();
+
+  res.json({
+    success: true,
+    confirmed: results.filter((result) => result.paymentId).length,
+    results,
+    statement: statementSummary(statement),
+  });
+});
+
+module.exports = {
+  importStatement,
+  listStatements,
+  getStatement,
+  confirmMatches,
+};
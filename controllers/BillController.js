@@ -1,5 +1,5 @@
-const Counter = require("../models/Counter");
 const Bill = require("../models/Bill");
+const BillRevision = require("../models/BillRevision");
 const cloudinary = require("../config/cloudinary");
 const streamifier = require("streamifier");
 const pdfServiceInstance = require("../services/pdf.service");
@@ -8,32 +8,52 @@ const path = require("path");
 const axios = require("axios");
 const { uploadBufferToCloudinary } = require("../middleware/upload");
 const BankDetail = require("../models/BankDetail");
-const Company = require("../models/Company");
-
-/**
- * Format bill number depending on document type
- * types: purchase_order, proforma_invoice, invoice
- */
-function formatBillNo(type, seq) {
-  // Calculate year range dynamically
-  const now = new Date();
-  const currentYear = now.getFullYear();
-  const shortYear = currentYear % 100; // Get last 2 digits (e.g., 2025 -> 25)
-  const nextYear = (shortYear + 1) % 100; // Handle year rollover (99->00)
-  const yearRange = `${shortYear}-${nextYear}`;
-
-  // Format sequence number with padding
-  const s = String(seq).padStart(3, "0");
-
-  const prefixes = {
-    purchase_order: process.env.COMPANY_PREFIX_PO || "INGPO",
-    proforma_invoice: process.env.COMPANY_PREFIX_PI || "INGPI",
-    invoice: process.env.COMPANY_PREFIX_INV || "INGINV",
-  };
-
-  const prefix = prefixes[type] || "INGPO";
-  return `${prefix}/${yearRange}/${s}`;
-}
+const {
+  DEFAULT_EMAILS,
+  resolveCompanyDetails,
+} = require("../services/company.service");
+const { takeSnapshot, diffSnapshots } = require("../utils/billSnapshot");
+const {
+  determineSupplyType,
+  computeLineTax,
+  buildHsnSummary,
+  sumAmounts,
+} = require("../utils/gst");
+const {
+  ROUNDING_POLICIES,
+  applyRounding,
+  roundToTwoDecimal,
+} = require("../utils/currency");
+const { validateGSTIN } = require("../utils/taxIds");
+const { computeBalance, getPaymentStatus } = require("../utils/payment");
+const {
+  PAYMENT_TRIGGERS,
+  planFromText,
+  describePaymentPlan,
+  buildPaymentSchedule,
+} = require("../utils/paymentTerms");
+const {
+  buildEInvoicePayload,
+  validateEInvoicePayload,
+} = require("../services/einvoice.service");
+const {
+  buildBulkEwayBill,
+  findTransportIssues,
+} = require("../services/ewaybill.service");
+const {
+  formatBillNo,
+  getCounterId,
+  getNextSequence,
+  releaseSequence,
+} = require("../services/numbering.service");
+const {
+  PAYMENT_STATUSES,
+  normalizeStatus,
+  canTransition,
+  canSetStatus,
+  getManualTransitions,
+  getStatusStamp,
+} = require("../utils/billStatus");
 
 // Normalize a variety of possible incoming type strings to our canonical types
 function normalizeBillType(rawType) {
@@ -63,6 +83,15 @@ function normalizeBillType(rawType) {
   );
 }
 
+/**
+ * Document types each type may be converted into (PO -> proforma -> invoice)
+ */
+const CONVERSION_TARGETS = {
+  purchase_order: ["proforma_invoice", "invoice"],
+  proforma_invoice: ["invoice"],
+  invoice: [],
+};
+
 /**
  * Converts an image file to a Base64 string with proper data URL format.
  */
@@ -98,24 +127,6 @@ const imageToBase64 = (imagePath) => {
   }
 };
 
-/**
- * Get next sequence for a specific bill type
- * Each type has its own independent counter
- */
-async function getNextSequence(type = "purchase_order") {
-  const id = `bill_${type}`; // Separate counter for each type
-  console.log(`Getting next sequence for counter: ${id}`);
-
-  const counter = await Counter.findOneAndUpdate(
-    { _id: id },
-    { $inc: { seq: 1 } },
-    { new: true, upsert: true }
-  );
-
-  console.log(`Generated sequence ${counter.seq} for type ${type}`);
-  return counter.seq;
-}
-
 async function retryWithExponentialBackoff(
   fn,
   maxAttempts = 3,
@@ -205,185 +216,470 @@ const asyncHandler = (fn) => {
   };
 };
 
-const createBill = asyncHandler(async (req, res) => {
-  const payload = req.body;
-  console.log("Creating bill with payload:", JSON.stringify(payload, null, 2));
+const SUPPORTED_CURRENCIES = [
+  "USD",
+  "EUR",
+  "GBP",
+  "JPY",
+  "AUD",
+  "CAD",
+  "CHF",
+  "CNY",
+  "SEK",
+  "NZD",
+  "MXN",
+  "SGD",
+  "HKD",
+  "NOK",
+  "INR",
+  "BRL",
+  "ZAR",
+  "RUB",
+];
+
+const DEFAULT_TERMS = [
+  "Supply shall commence only after pre-shipment samples are approved in writing by Proingredientz. If samples fail, all advances must be refunded immediately in full.",
+  "Supplier guarantees that goods conform to agreed specifications, COA (Certificate of Analysis), and applicable Indian/International quality standards. Any deviation or misrepresentation will be treated as breach of contract.",
+  "Proingredientz reserves the right to reject goods not meeting quality, specifications, or agreed delivery timelines. All costs of return/replacement shall be borne by the supplier.",
+  "Each consignment must be accompanied by Invoice, Packing List, COA, and relevant regulatory documents. Non-compliance can result in rejection.",
+  "All disputes subject to Mumbai, Maharashtra jurisdiction.",
+  "Supplier shall not disclose Proingredientz's order details, product specifications, or client information to third parties without written approval.",
+];
+
+const DEFAULT_BANK_DETAILS = {
+  bankName: "ICICI Bank",
+  accountName: "PROINGREDIENTZ CONNECTIONS PRIVATE LIMITED",
+  accountNumber: "004105022131",
+  ifscCode: "ICIC0000041",
+  swiftCode: "ICICINBBCTS",
+};
 
-  // Parse `items` if sent as a string
-  if (req.body.items && typeof req.body.items === "string") {
-    try {
-      req.body.items = JSON.parse(req.body.items);
-    } catch (error) {
-      return res.status(400).json({ error: "Invalid items format" });
-    }
+/**
+ * Create an error carrying an HTTP status for the error handler middleware
+ */
+function httpError(statusCode, message, details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) error.details = details;
+  return error;
+}
+
+/**
+ * Custom logo of a bill as Base64 for its PDF, "" when it uses the default logo
+ */
+async function getCustomLogo(bill) {
+  if (!bill.logoUrl) return "";
+  try {
+    const response = await axios.get(bill.logoUrl, {
+      responseType: "arraybuffer",
+      timeout: 30000,
+    });
+    const mimetype = response.headers["content-type"] || "image/png";
+    return `data:${mimetype};base64,${Buffer.from(response.data).toString(
+      "base64"
+    )}`;
+  } catch (error) {
+    console.error(`Failed to fetch logo of ${bill.poNo}:`, error.message);
+    throw httpError(
+      500,
+      "Failed to fetch the bill logo from cloud storage",
+      error.message
+    );
+  }
+}
+
+/**
+ * Store an uploaded logo in Cloudinary so later re-renders can reuse it.
+ * Bills converted or duplicated from the bill point at the same asset.
+ * @returns {Promise<Object>} - { logoUrl, logoPublicId }
+ */
+async function uploadLogo(file) {
+  try {
+    const uploadResult = await uploadBufferToCloudinary(file.buffer, {
+      folder: "logos",
+      resource_type: "image",
+    });
+    return {
+      logoUrl: uploadResult.secure_url,
+      logoPublicId: uploadResult.public_id,
+    };
+  } catch (uploadError) {
+    console.error("Cloudinary logo upload error:", uploadError.message);
+    throw httpError(
+      500,
+      "Failed to upload logo to cloud storage",
+      uploadError.message
+    );
   }
+}
+
+/**
+ * Remove a logo uploaded for a bill that was not saved
+ */
+async function discardLogo(logo) {
+  try {
+    await cloudinary.uploader.destroy(logo.logoPublicId);
+  } catch (cleanupError) {
+    console.error("Failed to cleanup uploaded logo:", cleanupError.message);
+  }
+}
 
-  // Parse emails if sent as a string
+/**
+ * Parse emails sent as an array, a JSON string or a comma separated string
+ */
+function parseEmails(rawEmails) {
   let emails = [];
-  if (req.body.emails) {
-    if (typeof req.body.emails === "string") {
+  if (rawEmails) {
+    if (typeof rawEmails === "string") {
       try {
-        emails = JSON.parse(req.body.emails);
+        emails = JSON.parse(rawEmails);
       } catch {
-        emails = req.body.emails
+        emails = rawEmails
           .split(",")
           .map((email) => email.trim())
           .filter((email) => email.length > 0);
       }
-    } else if (Array.isArray(req.body.emails)) {
-      emails = req.body.emails.filter(
-        (email) => email && email.trim().length > 0
-      );
+    } else if (Array.isArray(rawEmails)) {
+      emails = rawEmails.filter((email) => email && email.trim().length > 0);
     }
   }
 
   // Validate emails
   if (emails.length === 0) {
-    emails = ["sales@ingredientz.co", "procurement@ingredientz.co"];
+    emails = [...DEFAULT_EMAILS];
   }
 
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
   emails = emails.filter((email) => emailRegex.test(email));
   if (emails.length === 0) {
-    return res.status(400).json({
-      error: "At least one valid email address is required",
-    });
+    throw httpError(400, "At least one valid email address is required");
   }
+  return emails;
+}
 
-  // Handle image upload and convert to Base64 with proper validation
-  let logoBase64 = "";
-  if (req.file && req.file.buffer) {
-    try {
-      console.log("Processing uploaded image...");
-      console.log("File info:", {
-        originalname: req.file.originalname,
-        mimetype: req.file.mimetype,
-        size: req.file.buffer.length,
-      });
-
-      const allowedTypes = [
-        "image/jpeg",
-        "image/jpg",
-        "image/png",
-        "image/gif",
-      ];
-      if (!allowedTypes.includes(req.file.mimetype)) {
-        return res.status(400).json({
-          error:
-            "Invalid file type. Please upload JPG, PNG, or GIF images only.",
-        });
-      }
+/**
+ * Convert the uploaded logo to Base64, falling back to the default logo on disk
+ */
+function resolveLogoBase64(file) {
+  if (file && file.buffer) {
+    console.log("Processing uploaded image...");
+    console.log("File info:", {
+      originalname: file.originalname,
+      mimetype: file.mimetype,
+      size: file.buffer.length,
+    });
 
-      const maxSize = 5 * 1024 * 1024; // 5MB
-      if (req.file.buffer.length > maxSize) {
-        return res.status(400).json({
-          error: "File too large. Please upload images smaller than 5MB.",
-        });
-      }
+    const allowedTypes = ["image/jpeg", "image/jpg", "image/png", "image/gif"];
+    if (!allowedTypes.includes(file.mimetype)) {
+      throw httpError(
+        400,
+        "Invalid file type. Please upload JPG, PNG, or GIF images only."
+      );
+    }
 
-      logoBase64 = `data:${req.file.mimetype};base64,${req.file.buffer.toString(
-        "base64"
-      )}`;
-      console.log(
-        "Image converted to Base64 successfully. Size:",
-        logoBase64.length
+    const maxSize = 5 * 1024 * 1024; // 5MB
+    if (file.buffer.length > maxSize) {
+      throw httpError(
+        400,
+        "File too large. Please upload images smaller than 5MB."
       );
-    } catch (error) {
-      console.error("Failed to convert image to Base64:", error.message);
-      return res.status(400).json({
-        error: "Failed to process uploaded image",
-        details: error.message,
-      });
     }
-  } else {
-    console.log("No image uploaded, using default logo...");
-    try {
-      const possiblePaths = [
-        path.resolve(__dirname, "../assets/logo.png"),
-        path.resolve(__dirname, "../../assets/logo.png"),
-        path.resolve(process.cwd(), "assets/logo.png"),
-        path.resolve(process.cwd(), "public/images/logo.png"),
-      ];
-
-      let defaultLogoFound = false;
-      for (const logoPath of possiblePaths) {
-        if (fs.existsSync(logoPath)) {
-          console.log("Found default logo at:", logoPath);
-          logoBase64 = imageToBase64(logoPath);
-          defaultLogoFound = true;
-          break;
-        }
+
+    const logoBase64 = `data:${file.mimetype};base64,${file.buffer.toString(
+      "base64"
+    )}`;
+    console.log(
+      "Image converted to Base64 successfully. Size:",
+      logoBase64.length
+    );
+    return logoBase64;
+  }
+
+  console.log("No image uploaded, using default logo...");
+  try {
+    const possiblePaths = [
+      path.resolve(__dirname, "../assets/logo.png"),
+      path.resolve(__dirname, "../../assets/logo.png"),
+      path.resolve(process.cwd(), "assets/logo.png"),
+      path.resolve(process.cwd(), "public/images/logo.png"),
+    ];
+
+    for (const logoPath of possiblePaths) {
+      if (fs.existsSync(logoPath)) {
+        console.log("Found default logo at:", logoPath);
+        return imageToBase64(logoPath);
       }
+    }
 
-      if (!defaultLogoFound) {
-        console.log("No default logo found at any expected paths");
-        logoBase64 = "";
+    console.log("No default logo found at any expected paths");
+  } catch (error) {
+    console.error("Error loading default logo:", error.message);
+  }
+  return "";
+}
+
+/**
+ * Normalize terms sent as an array, a JSON string or a "+"/newline delimited string
+ */
+function parseTermsAndConditions(rawTerms) {
+  let processedTerms = [];
+  if (rawTerms) {
+    if (typeof rawTerms === "string") {
+      try {
+        // Try to parse as JSON first
+        const parsed = JSON.parse(rawTerms);
+        if (Array.isArray(parsed)) {
+          processedTerms = parsed;
+        } else {
+          processedTerms = [rawTerms];
+        }
+      } catch {
+        // If not JSON, treat as delimited string
+        processedTerms = rawTerms
+          .split(/\s*\+\s*|\s*\n\s*/) // Split by + or newlines
+          .map((term) => term.trim())
+          .filter((term) => term.length > 0)
+          .map((term) =>
+            term
+              .replace(/^\[|\]$/g, "")
+              .replace(/^["']|["']$/g, "")
+              .trim()
+          );
       }
-    } catch (error) {
-      console.error("Error loading default logo:", error.message);
-      logoBase64 = "";
+    } else if (Array.isArray(rawTerms)) {
+      processedTerms = rawTerms
+        .filter((term) => typeof term === "string" && term.trim().length > 0)
+        .map((term) =>
+          term
+            .trim()
+            .replace(/^\[|\]$/g, "")
+            .replace(/^["']|["']$/g, "")
+            .trim()
+        );
     }
   }
 
-  // Enhanced Validation
+  // Return default terms if none provided
+  if (processedTerms.length === 0) {
+    return [...DEFAULT_TERMS];
+  }
+
+  return processedTerms;
+}
+
+const DISCOUNT_TYPES = ["percent", "amount"];
+
+/**
+ * Parse a discount given as { discountType, discountValue }.
+ * Returns null when no discount is set; throws 400 on invalid input.
+ */
+function parseDiscount(source, label) {
+  const rawValue = source.discountValue;
+  if (rawValue === undefined || rawValue === null || rawValue === "") {
+    return null;
+  }
+  const discountType = source.discountType || "percent";
+  const discountValue = Number(rawValue);
+  if (!DISCOUNT_TYPES.includes(discountType)) {
+    throw httpError(
+      400,
+      `Invalid discount type for ${label}: ${discountType}. Use ${DISCOUNT_TYPES.join(
+        " or "
+      )}`
+    );
+  }
   if (
-    !payload.items ||
-    !Array.isArray(payload.items) ||
-    payload.items.length === 0
+    isNaN(discountValue) ||
+    discountValue < 0 ||
+    (discountType === "percent" && discountValue > 100)
   ) {
-    return res.status(400).json({
-      error: "Items array is required and must not be empty",
-    });
+    throw httpError(400, `Invalid discount for ${label}: ${rawValue}`);
+  }
+  return discountType === "percent" && discountValue === 0
+    ? null
+    : { discountType, discountValue };
+}
+
+/**
+ * Discount amount on a base amount; a flat discount cannot exceed the base
+ */
+function discountAmountFor(base, discount, label) {
+  if (!discount) return 0;
+  const amount =
+    discount.discountType === "percent"
+      ? (base * discount.discountValue) / 100
+      : discount.discountValue;
+  if (amount > base) {
+    throw httpError(400, `Discount for ${label} exceeds its amount`);
   }
+  return parseFloat(amount.toFixed(2));
+}
 
-  if (!payload.customerName || !payload.customerAddress) {
-    return res.status(400).json({
-      error: "Customer name and address are required",
-    });
+/**
+ * Spread an amount over lines in proportion to their totals. The last line
+ * takes the rounding remainder so the shares add up exactly.
+ */
+function allocateAmount(amount, lines) {
+  const base = lines.reduce((s, line) => s + line.total, 0);
+  let remaining = amount;
+  return lines.map((line, index) => {
+    if (index === lines.length - 1) return parseFloat(remaining.toFixed(2));
+    const share = base
+      ? parseFloat(((amount * line.total) / base).toFixed(2))
+      : 0;
+    remaining -= share;
+    return share;
+  });
+}
+
+/**
+ * Parse additional charges (freight, packing, insurance, ...) given as an
+ * array or JSON string of { name, sac, amount, taxable, taxRate }. Taxable
+ * charges default to the bill tax rate; non-taxable ones carry no GST.
+ */
+function parseAdditionalCharges(rawCharges, defaultTaxRate) {
+  if (rawCharges === undefined || rawCharges === null || rawCharges === "") {
+    return [];
+  }
+  let charges = rawCharges;
+  if (typeof charges === "string") {
+    try {
+      charges = JSON.parse(charges);
+    } catch (error) {
+      throw httpError(400, "Invalid additional charges format");
+    }
+  }
+  if (!Array.isArray(charges)) {
+    throw httpError(400, "Additional charges must be an array");
+  }
+
+  return charges.map((charge, index) => {
+    const name = String(charge.name || "").trim();
+    const amount = Number(charge.amount);
+    const taxable = charge.taxable !== false && charge.taxable !== "false";
+    const taxRate = !taxable
+      ? 0
+      : charge.taxRate != null && charge.taxRate !== ""
+      ? parseFloat(charge.taxRate)
+      : defaultTaxRate;
+
+    if (!name) {
+      throw httpError(400, `Name is required for charge ${index + 1}`);
+    }
+    if (isNaN(amount) || amount < 0) {
+      throw httpError(
+        400,
+        `Invalid amount for charge ${index + 1}: ${charge.amount}`
+      );
+    }
+    if (isNaN(taxRate) || taxRate < 0 || taxRate > 100) {
+      throw httpError(
+        400,
+        `Invalid tax rate for charge ${index + 1}: ${charge.taxRate}`
+      );
+    }
+
+    return {
+      name,
+      sac: String(charge.sac || "").trim(),
+      amount: parseFloat(amount.toFixed(2)),
+      taxable,
+      taxRate,
+    };
+  });
+}
+
+/**
+ * Parse a boolean flag sent as JSON or as a multipart string
+ */
+function parseFlag(value) {
+  return value === true || value === "true" || value === "1" || value === 1;
+}
+
+/**
+ * BACKEND CALCULATION: validate items and compute line totals, discounts, tax
+ * and grand total. Discounts apply before tax: line discounts reduce the line
+ * total and the document discount is spread over the lines' taxable values.
+ * Additional charges are added after the discount and are part of the sub
+ * total. Tax is split into CGST/SGST or IGST from the place of supply.
+ * With pricesIncludeTax, prices and charges are gross and the taxable values
+ * are back-calculated; the grand total is then rounded by roundingPolicy.
+ */
+function calculateBillTotals(payload, { companyGSTIN = "" } = {}) {
+  // Parse `items` if sent as a string
+  let rawItems = payload.items;
+  if (rawItems && typeof rawItems === "string") {
+    try {
+      rawItems = JSON.parse(rawItems);
+    } catch (error) {
+      throw httpError(400, "Invalid items format");
+    }
+  }
+
+  if (!rawItems || !Array.isArray(rawItems) || rawItems.length === 0) {
+    throw httpError(400, "Items array is required and must not be empty");
   }
 
-  // Validate currency
-  const supportedCurrencies = [
-    "USD",
-    "EUR",
-    "GBP",
-    "JPY",
-    "AUD",
-    "CAD",
-    "CHF",
-    "CNY",
-    "SEK",
-    "NZD",
-    "MXN",
-    "SGD",
-    "HKD",
-    "NOK",
-    "INR",
-    "BRL",
-    "ZAR",
-    "RUB",
-  ];
   const currency =
-    payload.currency && supportedCurrencies.includes(payload.currency)
+    payload.currency && SUPPORTED_CURRENCIES.includes(payload.currency)
       ? payload.currency
       : "INR";
 
-  // BACKEND CALCULATION: Process items with enhanced validation and calculation
-  const items = payload.items.map((it, index) => {
+  const taxPercent =
+    payload.taxPercent != null ? parseFloat(payload.taxPercent) : 0;
+
+  // Validate tax percent
+  if (isNaN(taxPercent) || taxPercent < 0 || taxPercent > 100) {
+    throw httpError(400, "Tax percent must be a number between 0 and 100");
+  }
+
+  const pricesIncludeTax = parseFlag(payload.pricesIncludeTax);
+  const roundingPolicy = payload.roundingPolicy || "none";
+  if (!Object.keys(ROUNDING_POLICIES).includes(roundingPolicy)) {
+    throw httpError(
+      400,
+      `Invalid rounding policy: ${roundingPolicy}. Use ${Object.keys(
+        ROUNDING_POLICIES
+      ).join(", ")}`
+    );
+  }
+
+  const items = rawItems.map((it, index) => {
     const qty = Number(it.quantity);
     const up = Number(it.unitPrice);
+    // Each line carries its own GST rate, defaulting to the bill rate
+    const taxRate =
+      it.taxRate != null && it.taxRate !== ""
+        ? parseFloat(it.taxRate)
+        : taxPercent;
 
     if (isNaN(qty) || qty <= 0) {
-      throw new Error(`Invalid quantity for item ${index + 1}: ${it.quantity}`);
+      throw httpError(
+        400,
+        `Invalid quantity for item ${index + 1}: ${it.quantity}`
+      );
     }
     if (isNaN(up) || up <= 0) {
-      throw new Error(
+      throw httpError(
+        400,
         `Invalid unit price for item ${index + 1}: ${it.unitPrice}`
       );
     }
+    if (isNaN(taxRate) || taxRate < 0 || taxRate > 100) {
+      throw httpError(
+        400,
+        `Invalid tax rate for item ${index + 1}: ${it.taxRate}`
+      );
+    }
 
     // BACKEND CALCULATION: Calculate total using backend logic
-    const calculatedTotal = calculateItemTotal(up, it.unit, qty);
+    const calculatedTotal = calculateItemTotal(up, it.unit || "pcs", qty);
+    const discount = parseDiscount(it, `item ${index + 1}`);
+    const discountAmount = discountAmountFor(
+      calculatedTotal,
+      discount,
+      `item ${index + 1}`
+    );
 
     return {
       description: (it.description || `Item ${index + 1}`).trim(),
@@ -391,208 +687,439 @@ const createBill = asyncHandler(async (req, res) => {
       quantity: qty,
       unit: (it.unit || "pcs").trim(),
       unitPrice: parseFloat(up.toFixed(2)),
-      total: calculatedTotal, // Backend calculated total
+      discountType: discount ? discount.discountType : undefined,
+      discountValue: discount ? discount.discountValue : 0,
+      discountAmount,
+      // Backend calculated total, net of the line discount
+      total: parseFloat((calculatedTotal - discountAmount).toFixed(2)),
+      taxRate,
     };
   });
 
   // BACKEND CALCULATION: Calculate totals with proper decimal precision
-  const subTotal = parseFloat(
+  const itemsTotal = parseFloat(
     items.reduce((s, it) => s + it.total, 0).toFixed(2)
   );
+  const additionalCharges = parseAdditionalCharges(
+    payload.additionalCharges,
+    taxPercent
+  );
+  const chargesTotal = sumAmounts(additionalCharges, "amount");
+  const subTotal = parseFloat((itemsTotal + chargesTotal).toFixed(2));
+
+  // Document discount on the goods, spread over the lines before tax
+  const billDiscount = parseDiscount(payload, "the bill");
+  const discountAmount = discountAmountFor(
+    itemsTotal,
+    billDiscount,
+    "the bill"
+  );
+  allocateAmount(discountAmount, items).forEach((share, index) => {
+    const item = items[index];
+    Object.assign(
+      item,
+      computeLineTax(item.total - share, item.taxRate, pricesIncludeTax)
+    );
+  });
+  additionalCharges.forEach((charge) => {
+    Object.assign(
+      charge,
+      computeLineTax(charge.amount, charge.taxRate, pricesIncludeTax)
+    );
+  });
 
-  const taxPercent =
-    payload.taxPercent != null ? parseFloat(payload.taxPercent) : 0;
-  
-  // Validate tax percent
-  if (isNaN(taxPercent) || taxPercent < 0 || taxPercent > 100) {
-    return res.status(400).json({
-      error: "Tax percent must be a number between 0 and 100",
-    });
-  }
-  
-  const taxes = parseFloat(((subTotal * taxPercent) / 100).toFixed(2));
-  const grandTotal = parseFloat((subTotal + taxes).toFixed(2));
+  // Place of supply: explicit field, else customer GSTIN state
+  const supply = determineSupplyType({
+    companyGSTIN,
+    customerGSTIN: payload.customerGSTIN,
+    placeOfSupply: payload.placeOfSupply,
+    currency,
+  });
+
+  // Tax is computed per line; the HSN summary carries the CGST/SGST/IGST
+  // split per HSN and rate, and the bill totals are its sums
+  const hsnSummary = buildHsnSummary(
+    [
+      ...items,
+      ...additionalCharges
+        .filter((charge) => charge.taxable)
+        .map((charge) => ({
+          hsn: charge.sac,
+          taxRate: charge.taxRate,
+          quantity: 0,
+          taxableValue: charge.taxableValue,
+          taxAmount: charge.taxAmount,
+        })),
+    ],
+    supply.isInterState
+  );
+  const taxBreakdown = {
+    cgst: sumAmounts(hsnSummary, "cgst"),
+    sgst: sumAmounts(hsnSummary, "sgst"),
+    igst: sumAmounts(hsnSummary, "igst"),
+  };
+  const taxes = sumAmounts(hsnSummary, "taxAmount");
+  // Gross prices already contain the tax
+  const { total: grandTotal, roundOff } = applyRounding(
+    subTotal - discountAmount + (pricesIncludeTax ? 0 : taxes),
+    roundingPolicy
+  );
 
   console.log("Backend Calculations:", {
     subTotal,
+    chargesTotal,
+    discountAmount,
     taxPercent,
     taxes,
+    ...taxBreakdown,
+    pricesIncludeTax,
+    roundOff,
     grandTotal,
     currency,
   });
 
-  // Normalize the bill type FIRST
-  const billType = normalizeBillType(payload.type);
-  console.log("Normalized bill type:", billType);
-
-  // Get sequence for THIS specific type
-  const seq = await getNextSequence(billType);
-  console.log(`Generated sequence ${seq} for type ${billType}`);
+  return {
+    items,
+    additionalCharges,
+    chargesTotal,
+    subTotal,
+    discountType: billDiscount ? billDiscount.discountType : undefined,
+    discountValue: billDiscount ? billDiscount.discountValue : 0,
+    discountAmount,
+    taxPercent,
+    taxes,
+    pricesIncludeTax,
+    roundingPolicy,
+    roundOff,
+    grandTotal,
+    currency,
+    placeOfSupply: supply.placeOfSupply,
+    isInterState: supply.isInterState,
+    taxBreakdown,
+    hsnSummary,
+  };
+}
 
-  // Format bill number with type-specific prefix
-  const poNo = formatBillNo(billType, seq);
-  console.log("Generated Bill Number:", poNo);
+const TRANSPORT_MODES = ["road", "rail", "air", "ship"];
 
-  // Handle bank details - could be an ID reference or direct object
-  let bankDetails = null;
-  if (payload.bankId) {
+/**
+ * Parse structured payment terms, given as an object or JSON string:
+ * { advancePercent, netDays, instalments: [{ label, percent, trigger, days }] }.
+ * With instalments, the advance and the instalments must add up to 100%.
+ */
+function parsePaymentPlan(rawPlan) {
+  if (!rawPlan) return null;
+  let plan = rawPlan;
+  if (typeof plan === "string") {
     try {
-      bankDetails = await BankDetail.findById(payload.bankId);
-      if (!bankDetails || !bankDetails.isActive) {
-        console.warn("Bank details not found or inactive, using default");
-        bankDetails = null;
-      }
+      plan = JSON.parse(plan);
     } catch (error) {
-      console.warn("Error fetching bank details:", error.message);
+      throw httpError(400, "Invalid paymentPlan format");
     }
   }
 
-  // Default bank details if none provided
-  if (!bankDetails) {
-    bankDetails = {
-      bankName: "ICICI Bank",
-      accountName: "PROINGREDIENTZ CONNECTIONS PRIVATE LIMITED",
-      accountNumber: "004105022131",
-      ifscCode: "ICIC0000041",
-      swiftCode: "ICICINBBCTS",
-    };
+  const advancePercent = Number(plan.advancePercent) || 0;
+  if (advancePercent < 0 || advancePercent > 100) {
+    throw httpError(400, "advancePercent must be between 0 and 100");
+  }
+  const netDays = Number(plan.netDays) || 0;
+  if (!Number.isInteger(netDays) || netDays < 0 || netDays > 365) {
+    throw httpError(400, "netDays must be a whole number of days (0-365)");
   }
 
-  // Fetch company details if provided (company management)
-  let companyDetails = null;
-  if (payload.companyId) {
-    try {
-      companyDetails = await Company.findById(payload.companyId).select("-__v");
-      if (!companyDetails || !companyDetails.isActive) {
-        console.warn("Company not found or inactive, using defaults");
-        companyDetails = null;
-      }
-    } catch (error) {
-      console.warn("Error fetching company details:", error.message);
-      companyDetails = null;
-    }
-  }
-
-  // Default company values if none provided
-  if (!companyDetails) {
-    companyDetails = {
-      name: "PROINGREDIENTZ CONNECTIONS PVT. LTD.",
-      registeredOffice:
-        "Flat No. 609, C Wing, 6th Floor, Raga Bldg, Vasantrao Naik Marg, Shram Jivi Nagar, Chembur, Mumbai – 400071, India",
-      principalPlaceOfBusiness:
-        "Khasra No. 594, Ganesh Nagar, Indore – 452010, Madhya Pradesh, India",
-      gstin: "23AAPCP3793B1ZC",
-      pan: "AAPCP3793B",
-      iec: "AAPCP3793B",
-      emails: ["sales@ingredientz.co", "procurement@ingredientz.co"],
+  const rawInstalments = Array.isArray(plan.instalments)
+    ? plan.instalments
+    : [];
+  const instalments = rawInstalments.map((instalment, index) => {
+    const percent = Number(instalment.percent);
+    if (!(percent > 0) || percent > 100) {
+      throw httpError(400, `Instalment ${index + 1}: percent must be 0-100`);
+    }
+    const trigger = String(instalment.trigger || "invoice").toLowerCase();
+    if (!PAYMENT_TRIGGERS[trigger]) {
+      throw httpError(
+        400,
+        `Instalment ${index + 1}: trigger must be one of ${Object.keys(
+          PAYMENT_TRIGGERS
+        ).join(", ")}`
+      );
+    }
+    const days = Number(instalment.days) || 0;
+    if (!Number.isInteger(days) || days < 0 || days > 365) {
+      throw httpError(400, `Instalment ${index + 1}: days must be 0-365`);
+    }
+    return {
+      label: String(instalment.label || `Instalment ${index + 1}`).trim(),
+      percent,
+      trigger,
+      days,
     };
+  });
+  if (instalments.length) {
+    const total = instalments.reduce(
+      (sum, instalment) => sum + instalment.percent,
+      advancePercent
+    );
+    if (Math.abs(total - 100) > 0.01) {
+      throw httpError(
+        400,
+        `Advance and instalments must add up to 100% (got ${roundToTwoDecimal(
+          total
+        )}%)`
+      );
+    }
   }
 
-  // Create bill with backend-calculated values
-  const bill = new Bill({
-    poNo,
-    billNumber: poNo,
-    type: billType,
-    companyId: payload.companyId || null,
-    date: payload.date ? new Date(payload.date) : new Date(),
-    customerName: payload.customerName.trim(),
-    customerAddress: payload.customerAddress.trim(),
-    customerGSTIN: (payload.customerGSTIN || "").trim(),
-    deliveryAddress: (
-      payload.deliveryAddress || payload.customerAddress
-    ).trim(),
-    items,
-    subTotal, // Backend calculated
-    taxes, // Backend calculated
-    taxPercent, // Store tax percentage used
-    grandTotal, // Backend calculated
-
-    // Enhanced dynamic fields
-    emails: emails,
-    website: (payload.website || "www.ingredientz.co").trim(),
-    currency: currency,
-    paymentTerms: (payload.paymentTerms || "50% Advance").trim(),
-    deliveryTerms: (payload.deliveryTerms || "1 Week").trim(),
-    modeOfDispatch: (payload.modeOfDispatch || "").trim(),
-    billingInstructions: (payload.billingInstructions || "").trim(),
-    remarks: (payload.remarks || "").trim(),
+  return { advancePercent, netDays, instalments };
+}
 
-    imageUrl: req.file ? `Uploaded: ${req.file.originalname}` : "Default Logo",
-    deliveryDate: payload.deliveryDate ? new Date(payload.deliveryDate) : null,
-    termsAndConditions: (() => {
-      let processedTerms = [];
-      if (payload.termsAndConditions) {
-        if (typeof payload.termsAndConditions === "string") {
-          try {
-            // Try to parse as JSON first
-            const parsed = JSON.parse(payload.termsAndConditions);
-            if (Array.isArray(parsed)) {
-              processedTerms = parsed;
-            } else {
-              processedTerms = [payload.termsAndConditions];
-            }
-          } catch {
-            // If not JSON, treat as delimited string
-            processedTerms = payload.termsAndConditions
-              .split(/\s*\+\s*|\s*\n\s*/) // Split by + or newlines
-              .map((term) => term.trim())
-              .filter((term) => term.length > 0)
-              .map((term) =>
-                term
-                  .replace(/^\[|\]$/g, "")
-                  .replace(/^["']|["']$/g, "")
-                  .trim()
-              );
-          }
-        } else if (Array.isArray(payload.termsAndConditions)) {
-          processedTerms = payload.termsAndConditions
-            .filter(
-              (term) => typeof term === "string" && term.trim().length > 0
-            )
-            .map((term) =>
-              term
-                .trim()
-                .replace(/^\[|\]$/g, "")
-                .replace(/^["']|["']$/g, "")
-                .trim()
-            );
-        }
-      }
+/**
+ * Validate the customer GSTIN (format, state code and check digit).
+ * Unregistered customers have none.
+ */
+function parseCustomerGSTIN(rawGSTIN) {
+  if (!rawGSTIN || !String(rawGSTIN).trim()) return "";
+  const result = validateGSTIN(rawGSTIN);
+  if (!result.valid) throw httpError(400, result.error);
+  return result.gstin;
+}
 
-      // Return default terms if none provided
-      if (processedTerms.length === 0) {
-        return [
-          "Supply shall commence only after pre-shipment samples are approved in writing by Proingredientz. If samples fail, all advances must be refunded immediately in full.",
-          "Supplier guarantees that goods conform to agreed specifications, COA (Certificate of Analysis), and applicable Indian/International quality standards. Any deviation or misrepresentation will be treated as breach of contract.",
-          "Proingredientz reserves the right to reject goods not meeting quality, specifications, or agreed delivery timelines. All costs of return/replacement shall be borne by the supplier.",
-          "Each consignment must be accompanied by Invoice, Packing List, COA, and relevant regulatory documents. Non-compliance can result in rejection.",
-          "All disputes subject to Mumbai, Maharashtra jurisdiction.",
-          "Supplier shall not disclose Proingredientz's order details, product specifications, or client information to third parties without written approval.",
-        ];
-      }
+/**
+ * Non-blocking GSTIN checks returned alongside a saved bill
+ */
+function customerGSTINWarnings(fields, companyGSTIN) {
+  const warnings = [];
+  const { valid, stateCode, stateName, pan } = validateGSTIN(
+    fields.customerGSTIN
+  );
+  if (!valid) return warnings;
+  if (fields.placeOfSupply && fields.placeOfSupply !== stateCode) {
+    warnings.push(
+      `Place of supply ${fields.placeOfSupply} differs from the customer GSTIN state ${stateCode} (${stateName})`
+    );
+  }
+  if (companyGSTIN && fields.customerGSTIN === companyGSTIN) {
+    warnings.push("Customer GSTIN is the company's own GSTIN");
+  } else if (companyGSTIN && pan === companyGSTIN.slice(2, 12)) {
+    warnings.push(
+      "Customer GSTIN belongs to the company's own PAN (branch transfer)"
+    );
+  }
+  return warnings;
+}
 
-      return processedTerms;
-    })(),
-    bankId: payload.bankId || null,
+/**
+ * Parse transport details for e-way bills, given as an object or JSON string:
+ * { mode, distanceKm, transporterId, transporterName, vehicleNumber,
+ *   vehicleType, transportDocNo, transportDocDate }
+ */
+function parseTransport(rawTransport) {
+  if (!rawTransport) return {};
+  let transport = rawTransport;
+  if (typeof transport === "string") {
+    try {
+      transport = JSON.parse(transport);
+    } catch (error) {
+      throw httpError(400, "Invalid transport format");
+    }
+  }
+
+  // Left unset rather than assumed; the e-way bill export reports it missing
+  const mode = transport.mode
+    ? String(transport.mode).toLowerCase()
+    : undefined;
+  if (mode && !TRANSPORT_MODES.includes(mode)) {
+    throw httpError(
+      400,
+      `Invalid transport mode: ${transport.mode}. Use ${TRANSPORT_MODES.join(
+        ", "
+      )}`
+    );
+  }
+  const distanceKm =
+    transport.distanceKm != null && transport.distanceKm !== ""
+      ? Number(transport.distanceKm)
+      : null;
+  if (
+    distanceKm !== null &&
+    (!Number.isInteger(distanceKm) || distanceKm < 0 || distanceKm > 4000)
+  ) {
+    throw httpError(400, "Transport distance must be 0-4000 km");
+  }
+  const transporterId = String(transport.transporterId || "")
+    .trim()
+    .toUpperCase();
+  if (transporterId && !/^[0-9]{2}[0-9A-Z]{13}$/.test(transporterId)) {
+    throw httpError(400, `Invalid transporter ID: ${transporterId}`);
+  }
+  const vehicleNumber = String(transport.vehicleNumber || "")
+    .replace(/[\s-]/g, "")
+    .toUpperCase();
+  // State series (MH12AB1234) or Bharat series (22BH1234AA)
+  if (
+    vehicleNumber &&
+    !/^[A-Z]{2}[0-9A-Z]{2,9}[0-9]{4}$/.test(vehicleNumber) &&
+    !/^[0-9]{2}BH[0-9]{4}[A-Z]{1,2}$/.test(vehicleNumber)
+  ) {
+    throw httpError(400, `Invalid vehicle number: ${transport.vehicleNumber}`);
+  }
+  const transportDocDate = transport.transportDocDate
+    ? new Date(transport.transportDocDate)
+    : null;
+  if (transportDocDate && isNaN(transportDocDate.getTime())) {
+    throw httpError(400, "Invalid transport document date");
+  }
+
+  return {
+    mode,
+    distanceKm,
+    transporterId,
+    transporterName: String(transport.transporterName || "").trim(),
+    vehicleNumber,
+    vehicleType: transport.vehicleType === "odc" ? "odc" : "regular",
+    transportDocNo: String(transport.transportDocNo || "").trim(),
+    transportDocDate,
+  };
+}
+
+/**
+ * Build the editable Bill fields (everything except number, type and PDF)
+ * from a create/update payload
+ */
+async function buildBillFields(payload) {
+  if (!payload.customerName || !payload.customerAddress) {
+    throw httpError(400, "Customer name and address are required");
+  }
+
+  const emails = parseEmails(payload.emails);
+  const companyDetails = await resolveCompanyDetails(payload.companyId);
+  const totals = calculateBillTotals(payload, {
+    companyGSTIN: companyDetails.gstin,
   });
 
-  console.log("Bill object created with backend calculations:", {
-    poNo: bill.poNo,
-    customerName: bill.customerName,
-    subTotal: bill.subTotal,
-    taxes: bill.taxes,
-    grandTotal: bill.grandTotal,
-    currency: bill.currency,
-    taxPercent: bill.taxPercent,
-    emails: bill.emails,
-    logoBase64Length: logoBase64.length,
+  // Structured terms win; otherwise they are read from the display string
+  const structuredPlan = parsePaymentPlan(payload.paymentPlan);
+  const paymentTerms = (
+    payload.paymentTerms ||
+    (structuredPlan ? describePaymentPlan(structuredPlan) : "50% Advance")
+  ).trim();
+  const paymentPlan = structuredPlan || planFromText(paymentTerms);
+  const deliveryDate = payload.deliveryDate
+    ? new Date(payload.deliveryDate)
+    : null;
+  const date = payload.date ? new Date(payload.date) : new Date();
+  const schedule = buildPaymentSchedule(paymentPlan, {
+    date,
+    deliveryDate,
+    grandTotal: totals.grandTotal,
   });
 
-  // Prepare comprehensive PDF data with backend calculations
-  const pdfData = {
+  return {
+    companyId: payload.companyId || null,
+    date,
+    customerName: payload.customerName.trim(),
+    customerAddress: payload.customerAddress.trim(),
+    customerGSTIN: parseCustomerGSTIN(payload.customerGSTIN),
+    deliveryAddress: (
+      payload.deliveryAddress || payload.customerAddress
+    ).trim(),
+    ...totals, // Backend calculated items, totals and GST breakdown
+
+    // Enhanced dynamic fields
+    emails: emails,
+    website: (payload.website || "www.ingredientz.co").trim(),
+    paymentTerms,
+    paymentPlan,
+    paymentSchedule: schedule.schedule,
+    dueDate: schedule.dueDate,
+    deliveryTerms: (payload.deliveryTerms || "1 Week").trim(),
+    modeOfDispatch: (payload.modeOfDispatch || "").trim(),
+    billingInstructions: (payload.billingInstructions || "").trim(),
+    remarks: (payload.remarks || "").trim(),
+    deliveryDate,
+    termsAndConditions: parseTermsAndConditions(payload.termsAndConditions),
+    bankId: payload.bankId || null,
+    transport: parseTransport(payload.transport),
+  };
+}
+
+/**
+ * Merge an edit/override payload over an existing bill. A stored place of
+ * supply is dropped when the customer GSTIN changes so it is derived again;
+ * payment terms text and plan are kept in step the same way.
+ */
+function mergeBillPayload(bill, payload) {
+  const merged = { ...bill.toObject(), ...payload };
+  // Lines that followed the old bill rate follow the new one
+  const followBillRate = (line) => {
+    const plain = line.toObject();
+    if (plain.taxRate == null || plain.taxRate === bill.taxPercent) {
+      delete plain.taxRate;
+    }
+    return plain;
+  };
+  if (payload.taxPercent !== undefined && payload.items === undefined) {
+    merged.items = bill.items.map(followBillRate);
+  }
+  if (
+    payload.taxPercent !== undefined &&
+    payload.additionalCharges === undefined
+  ) {
+    merged.additionalCharges = (bill.additionalCharges || []).map(
+      followBillRate
+    );
+  }
+  if (
+    payload.customerGSTIN !== undefined &&
+    payload.placeOfSupply === undefined
+  ) {
+    delete merged.placeOfSupply;
+  }
+  // New terms text is read again; a new plan gets a new text. Bills saved
+  // before structured terms have no plan, so theirs is read from the text.
+  const hasStoredPlan =
+    bill.paymentPlan && bill.paymentPlan.advancePercent != null;
+  if (
+    (payload.paymentTerms !== undefined || !hasStoredPlan) &&
+    payload.paymentPlan === undefined
+  ) {
+    delete merged.paymentPlan;
+  }
+  if (
+    payload.paymentPlan !== undefined &&
+    payload.paymentTerms === undefined
+  ) {
+    delete merged.paymentTerms;
+  }
+  return merged;
+}
+
+/**
+ * Handle bank details - active BankDetail by ID, otherwise the default account
+ */
+async function resolveBankDetails(bankId) {
+  if (bankId) {
+    try {
+      const bankDetails = await BankDetail.findById(bankId);
+      if (bankDetails && bankDetails.isActive) {
+        return bankDetails;
+      }
+      console.warn("Bank details not found or inactive, using default");
+    } catch (error) {
+      console.warn("Error fetching bank details:", error.message);
+    }
+  }
+  return DEFAULT_BANK_DETAILS;
+}
+
+/**
+ * Prepare comprehensive PDF data with backend calculations
+ */
+function buildPdfData(bill, { companyDetails, bankDetails, logoBase64 }) {
+  return {
     // Basic bill information with backend-calculated values
     ...bill.toObject(),
-    billNumber: poNo,
+    billNumber: bill.poNo,
     date: bill.date,
     // Company information (from provided company or defaults)
     companyName: companyDetails.name,
@@ -633,10 +1160,24 @@ const createBill = asyncHandler(async (req, res) => {
       unitPrice: it.unitPrice,
       totalValue: it.total, // Backend calculated
       total: it.total, // For backward compatibility
+      discountType: it.discountType,
+      discountValue: it.discountValue,
+      discountAmount: it.discountAmount,
+      taxRate: it.taxRate,
+      taxableValue: it.taxableValue,
+      taxAmount: it.taxAmount,
     })),
+    hsnSummary: bill.hsnSummary || [],
+    additionalCharges: bill.additionalCharges || [],
+    chargesTotal: bill.chargesTotal || 0,
 
     // Backend calculated totals
     subTotal: bill.subTotal,
+    discountType: bill.discountType,
+    discountValue: bill.discountValue,
+    discountAmount: bill.discountAmount || 0,
+    pricesIncludeTax: !!bill.pricesIncludeTax,
+    roundOff: bill.roundOff || 0,
     gstAmount: bill.taxes,
     taxes: bill.taxes, // For backward compatibility
     totalAmount: bill.grandTotal,
@@ -645,6 +1186,7 @@ const createBill = asyncHandler(async (req, res) => {
 
     // Terms and conditions
     paymentTerms: bill.paymentTerms,
+    paymentSchedule: bill.paymentSchedule || [],
     deliveryTerms: bill.deliveryTerms,
     modeOfDispatch: bill.modeOfDispatch,
     billingInstructions: bill.billingInstructions,
@@ -658,14 +1200,22 @@ const createBill = asyncHandler(async (req, res) => {
       accountNumber: bankDetails.accountNumber,
       ifscCode: bankDetails.ifscCode || bankDetails.ifsc,
       swiftCode: bankDetails.swiftCode || bankDetails.swift,
+      upiId: bankDetails.upiId || "",
     },
+    // The UPI payment QR is left off bills that are already settled
+    balanceDue: computeBalance(bill.grandTotal, bill.amountPaid).balanceDue,
 
     // Additional metadata
     jurisdiction: "Mumbai, Maharashtra",
   };
+}
 
+/**
+ * Render the bill PDF with retries
+ */
+async function renderBillPdf(pdfData) {
   console.log("Comprehensive PDF data prepared with backend calculations:", {
-    currency: currency,
+    currency: pdfData.currency,
     subTotal: pdfData.subTotal,
     taxes: pdfData.taxes,
     grandTotal: pdfData.grandTotal,
@@ -688,30 +1238,37 @@ const createBill = asyncHandler(async (req, res) => {
       1000
     );
     console.log(`PDF generated successfully, size: ${pdfBuffer.length} bytes`);
+    return pdfBuffer;
   } catch (pdfError) {
     console.error("PDF generation error:", pdfError.message);
-    return res.status(500).json({
-      error: "Failed to generate PDF",
-      details: pdfError.message,
-    });
+    throw httpError(500, "Failed to generate PDF", pdfError.message);
   }
+}
 
+/**
+ * Upload a rendered PDF to Cloudinary under the bill number. Revisions get
+ * their own asset (`_rev{n}`) so the PDFs of earlier versions are kept.
+ */
+async function uploadBillPdf(bill, pdfBuffer, revision = 0) {
   // Upload PDF to Cloudinary with enhanced error handling
-  let uploadResult;
   try {
     console.log("Uploading PDF to Cloudinary...");
-    uploadResult = await retryWithExponentialBackoff(
+    const uploadResult = await retryWithExponentialBackoff(
       async () => {
         return await uploadBufferToCloudinary(pdfBuffer, {
           folder: "bills",
           resource_type: "raw",
-          public_id: poNo.replace(/\//g, "_"),
+          public_id: `${bill.poNo.replace(/\//g, "_")}${
+            revision ? `_rev${revision}` : ""
+          }`,
+          overwrite: true,
+          invalidate: true,
           timeout: 120000,
-          tags: ["purchase-order", currency.toLowerCase()],
+          tags: ["purchase-order", bill.currency.toLowerCase()],
           context: {
-            currency: currency,
+            currency: bill.currency,
             customer: bill.customerName,
-            total: grandTotal.toString(),
+            total: bill.grandTotal.toString(),
           },
         });
       },
@@ -723,25 +1280,227 @@ const createBill = asyncHandler(async (req, res) => {
       "PDF uploaded to Cloudinary successfully:",
       uploadResult.secure_url
     );
+    return uploadResult;
   } catch (uploadError) {
     console.error("Cloudinary upload error:", uploadError.message);
-    return res.status(500).json({
-      error: "Failed to upload PDF to cloud storage",
-      details: uploadError.message,
-    });
+    throw httpError(
+      500,
+      "Failed to upload PDF to cloud storage",
+      uploadError.message
+    );
   }
+}
+
+/**
+ * Apply a change to a saved bill, re-render its PDF and archive the replaced
+ * version (snapshot and PDF) as a BillRevision. Returns the changed fields.
+ * The new PDF is uploaded and the bill saved before the revision is written,
+ * so a failure leaves the bill on its previous version and PDF.
+ */
+async function reviseBill(
+  bill,
+  applyChanges,
+  { changedBy, changeReason, logoBase64 } = {}
+) {
+  const editor = String(changedBy || "system").trim();
+
+  // Capture the version being replaced, including the bank and company it printed
+  const previousSnapshot = takeSnapshot(
+    bill,
+    await resolveBankDetails(bill.bankId),
+    await resolveCompanyDetails(bill.companyId)
+  );
+
+  applyChanges(bill);
+
+  const bankDetails = await resolveBankDetails(bill.bankId);
+  const companyDetails = await resolveCompanyDetails(bill.companyId);
+  const changes = diffSnapshots(
+    previousSnapshot,
+    takeSnapshot(bill, bankDetails, companyDetails)
+  );
+
+  const pdfData = buildPdfData(bill, {
+    companyDetails,
+    bankDetails,
+    logoBase64:
+      logoBase64 !== undefined
+        ? logoBase64
+        : (await getCustomLogo(bill)) || resolveLogoBase64(),
+  });
+  const pdfBuffer = await renderBillPdf(pdfData);
 
+  // The PDF the customer received for the replaced version stays where it is
+  const previousRevision = bill.revision || 0;
+  const previousPdf = {
+    pdfUrl: bill.pdfUrl || "",
+    pdfPublicId: bill.pdfPublicId || "",
+  };
+  const uploadResult = await uploadBillPdf(
+    bill,
+    pdfBuffer,
+    previousRevision + 1
+  );
+
+  bill.revision = previousRevision + 1;
+  bill.updatedBy = editor;
   bill.pdfUrl = uploadResult.secure_url;
   bill.pdfPublicId = uploadResult.public_id;
+  try {
+    await bill.save();
+  } catch (saveError) {
+    try {
+      await cloudinary.uploader.destroy(uploadResult.public_id, {
+        resource_type: "raw",
+      });
+    } catch (cleanupError) {
+      console.error("Failed to cleanup uploaded PDF:", cleanupError.message);
+    }
+    throw saveError;
+  }
 
-  // Save bill to database with enhanced error handling
+  await BillRevision.create({
+    billId: bill._id,
+    poNo: bill.poNo,
+    revision: previousRevision,
+    snapshot: previousSnapshot,
+    ...previousPdf,
+    changes,
+    changedBy: editor,
+    changeReason: (changeReason || "").trim(),
+  });
+  console.log(
+    `Bill ${bill.poNo} saved as revision ${bill.revision} (${changes.length} field(s) changed)`
+  );
+  return changes;
+}
+
+/**
+ * Shape of a bill returned by the create/update endpoints
+ */
+function billSummary(bill, logoBase64) {
+  return {
+    id: bill._id,
+    poNo: bill.poNo,
+    status: bill.status,
+    pdfUrl: bill.pdfUrl,
+    customerName: bill.customerName,
+    subTotal: bill.subTotal, // Backend calculated
+    taxes: bill.taxes, // Backend calculated
+    grandTotal: bill.grandTotal, // Backend calculated
+    taxPercent: bill.taxPercent, // Tax percentage used
+    amountPaid: bill.amountPaid,
+    balanceDue: bill.balanceDue,
+    currency: bill.currency,
+    date: bill.date,
+    emails: bill.emails,
+    website: bill.website,
+    paymentTerms: bill.paymentTerms,
+    paymentSchedule: bill.paymentSchedule,
+    dueDate: bill.dueDate,
+    deliveryTerms: bill.deliveryTerms,
+    remarks: bill.remarks,
+    imageUrl: bill.imageUrl,
+    hasLogo: !!logoBase64,
+    bankId: bill.bankId,
+  };
+}
+
+function billCalculations(bill) {
+  return {
+    subTotal: bill.subTotal,
+    chargesTotal: bill.chargesTotal,
+    discountAmount: bill.discountAmount,
+    taxPercent: bill.taxPercent,
+    taxes: bill.taxes,
+    placeOfSupply: bill.placeOfSupply,
+    isInterState: bill.isInterState,
+    taxBreakdown: bill.taxBreakdown,
+    hsnSummary: bill.hsnSummary,
+    pricesIncludeTax: bill.pricesIncludeTax,
+    roundOff: bill.roundOff,
+    grandTotal: bill.grandTotal,
+    currency: bill.currency,
+  };
+}
+
+/**
+ * Allocate a number for a new bill, render and upload its PDF and save it.
+ * `extra` carries fields outside the editable set (e.g. document links).
+ */
+async function issueBill({
+  type,
+  fields,
+  status = "issued",
+  changedBy,
+  logoBase64 = "",
+  logo = {},
+  imageUrl = "Default Logo",
+  extra = {},
+}) {
+  const bankDetails = await resolveBankDetails(fields.bankId);
+  const companyDetails = await resolveCompanyDetails(fields.companyId);
+
+  // Get sequence for THIS specific type in the company's numbering series
+  const seq = await getNextSequence(type, fields.date, companyDetails);
+  console.log(`Generated sequence ${seq} for type ${type}`);
+
+  // Format bill number with the company's (or default) numbering scheme
+  const poNo = formatBillNo(type, seq, fields.date, companyDetails);
+  console.log("Generated Bill Number:", poNo);
+
+  // Create bill with backend-calculated values
+  const bill = new Bill({
+    poNo,
+    billNumber: poNo,
+    type,
+    counterId: getCounterId(type, fields.date, companyDetails),
+    sequence: seq,
+    status,
+    statusHistory: [{ from: "", to: status, changedBy }],
+    ...fields,
+    ...extra,
+    imageUrl,
+    ...logo,
+  });
+
+  console.log("Bill object created with backend calculations:", {
+    poNo: bill.poNo,
+    customerName: bill.customerName,
+    subTotal: bill.subTotal,
+    taxes: bill.taxes,
+    grandTotal: bill.grandTotal,
+    currency: bill.currency,
+    taxPercent: bill.taxPercent,
+    emails: bill.emails,
+    logoBase64Length: logoBase64.length,
+  });
+
+  let uploadResult;
   try {
+    const pdfData = buildPdfData(bill, {
+      companyDetails,
+      bankDetails,
+      logoBase64,
+    });
+    const pdfBuffer = await renderBillPdf(pdfData);
+    uploadResult = await uploadBillPdf(bill, pdfBuffer);
+
+    bill.pdfUrl = uploadResult.secure_url;
+    bill.pdfPublicId = uploadResult.public_id;
+
+    // Save bill to database with enhanced error handling
     await bill.save();
     console.log(
       `Bill ${poNo} saved successfully to database with backend calculations`
     );
-  } catch (saveError) {
-    console.error("Database save error:", saveError.message);
+  } catch (error) {
+    // Hand the number back so the series stays gapless
+    if (await releaseSequence(bill.counterId, seq)) {
+      console.log(`Number ${poNo} released after failed issue`);
+    }
+    if (!uploadResult) throw error;
+    console.error("Database save error:", error.message);
 
     // Try to clean up uploaded PDF if database save fails
     try {
@@ -753,10 +1512,52 @@ const createBill = asyncHandler(async (req, res) => {
       console.error("Failed to cleanup uploaded PDF:", cleanupError.message);
     }
 
-    return res.status(500).json({
-      error: "Failed to save bill to database",
-      details: saveError.message,
+    throw httpError(
+      500,
+      "Failed to save bill to database",
+      error.message
+    );
+  }
+
+  return bill;
+}
+
+const createBill = asyncHandler(async (req, res) => {
+  const payload = req.body;
+  console.log("Creating bill with payload:", JSON.stringify(payload, null, 2));
+
+  const logoBase64 = resolveLogoBase64(req.file);
+  const fields = await buildBillFields(payload);
+  const { gstin: companyGSTIN } = await resolveCompanyDetails(
+    fields.companyId
+  );
+  const warnings = customerGSTINWarnings(fields, companyGSTIN);
+
+  // Normalize the bill type FIRST
+  const billType = normalizeBillType(payload.type);
+  console.log("Normalized bill type:", billType);
+
+  // New bills start as issued unless the client explicitly saves a draft
+  const status =
+    normalizeStatus(payload.status) === "draft" ? "draft" : "issued";
+
+  const logo = req.file ? await uploadLogo(req.file) : {};
+  let bill;
+  try {
+    bill = await issueBill({
+      type: billType,
+      fields,
+      status,
+      changedBy: payload.changedBy,
+      logoBase64,
+      logo,
+      imageUrl: req.file
+        ? `Uploaded: ${req.file.originalname}`
+        : "Default Logo",
     });
+  } catch (error) {
+    if (req.file) await discardLogo(logo);
+    throw error;
   }
 
   console.log(
@@ -764,33 +1565,382 @@ const createBill = asyncHandler(async (req, res) => {
   );
   return res.status(201).json({
     success: true,
+    bill: billSummary(bill, logoBase64),
+    message: `Purchase Order ${bill.poNo} created successfully with ${bill.currency} currency. Backend calculated totals: Subtotal: ${bill.subTotal}, Tax (${bill.taxPercent}%): ${bill.taxes}, Total: ${bill.grandTotal}`,
+    calculations: billCalculations(bill),
+    ...(warnings.length && { warnings }),
+  });
+});
+
+/**
+ * Update an existing bill, recompute its totals and regenerate the PDF.
+ * The bill number and type never change; fields missing from the payload
+ * keep their current values.
+ */
+const updateBill = asyncHandler(async (req, res) => {
+  const id = req.params.id;
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({ error: "Invalid bill ID format" });
+  }
+  const bill = await Bill.findById(id);
+  if (!bill) {
+    return res.status(404).json({ error: "Bill not found" });
+  }
+
+  const payload = req.body || {};
+  console.log(`Updating bill ${bill.poNo}`);
+
+  if (bill.status === "cancelled") {
+    return res.status(409).json({ error: "Cancelled bills cannot be edited" });
+  }
+  // A registered e-invoice can only be cancelled, never amended
+  if (bill.einvoice && bill.einvoice.irn) {
+    return res.status(409).json({
+      error:
+        "This invoice has an IRN and cannot be edited. Cancel it and issue a new invoice instead.",
+    });
+  }
+
+  // Without a new upload the bill keeps the logo it was created with
+  const logoBase64 = req.file
+    ? resolveLogoBase64(req.file)
+    : (await getCustomLogo(bill)) || resolveLogoBase64();
+  const fields = await buildBillFields(mergeBillPayload(bill, payload));
+  const { gstin: companyGSTIN } = await resolveCompanyDetails(
+    fields.companyId
+  );
+  const warnings = customerGSTINWarnings(fields, companyGSTIN);
+
+  // The replaced logo stays in Cloudinary: converted or duplicated bills
+  // and earlier revisions may still use it
+  const logo = req.file ? await uploadLogo(req.file) : null;
+  let changes;
+  try {
+    changes = await reviseBill(
+      bill,
+      () => {
+        const previousTotal = bill.grandTotal;
+        bill.set(fields);
+        if (logo) {
+          bill.imageUrl = `Uploaded: ${req.file.originalname}`;
+          bill.set(logo);
+        }
+        // A lower total can settle a partially paid bill; a higher one reopens
+        // a paid bill so it shows up as outstanding again
+        const status = getPaymentStatus(
+          bill.status,
+          computeBalance(bill.grandTotal, bill.amountPaid),
+          { reopen: bill.grandTotal > previousTotal }
+        );
+        if (status) {
+          bill.statusHistory.push({
+            from: bill.status,
+            to: status,
+            changedBy: payload.changedBy || "system",
+            note: "Bill total revised",
+          });
+          bill.status = status;
+        }
+      },
+      {
+        changedBy: payload.changedBy,
+        changeReason: payload.changeReason,
+        logoBase64,
+      }
+    );
+  } catch (error) {
+    if (logo) await discardLogo(logo);
+    throw error;
+  }
+
+  return res.json({
+    success: true,
+    bill: billSummary(bill, logoBase64),
+    revision: bill.revision,
+    changes,
+    message: `Bill ${bill.poNo} updated successfully. Backend calculated totals: Subtotal: ${bill.subTotal}, Tax (${bill.taxPercent}%): ${bill.taxes}, Total: ${bill.grandTotal}`,
+    calculations: billCalculations(bill),
+    ...(warnings.length && { warnings }),
+  });
+});
+
+/**
+ * Convert a bill into the next document of the chain (e.g. proforma ->
+ * invoice). The new document gets its own number and both are linked.
+ */
+const convertBill = asyncHandler(async (req, res) => {
+  const id = req.params.id;
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({ error: "Invalid bill ID format" });
+  }
+  const payload = req.body || {};
+  const rawTarget = req.query.to || payload.to;
+  if (!rawTarget) {
+    return res.status(400).json({ error: "Target type (?to=) is required" });
+  }
+  const targetType = normalizeBillType(rawTarget);
+
+  const source = await Bill.findById(id);
+  if (!source) {
+    return res.status(404).json({ error: "Bill not found" });
+  }
+
+  const allowedTargets = CONVERSION_TARGETS[source.type] || [];
+  if (!allowedTargets.includes(targetType)) {
+    return res.status(400).json({
+      error: `A ${source.type} cannot be converted to ${targetType}`,
+      allowed: allowedTargets,
+    });
+  }
+  if (["draft", "cancelled"].includes(source.status)) {
+    return res.status(409).json({
+      error: `A ${source.status} bill cannot be converted`,
+    });
+  }
+
+  const existing = await Bill.findOne({
+    sourceBillId: source._id,
+    type: targetType,
+    status: { $ne: "cancelled" },
+  }).select("poNo");
+  if (existing) {
+    return res.status(409).json({
+      error: `${source.poNo} has already been converted to ${existing.poNo}`,
+      billId: existing._id,
+    });
+  }
+
+  const fields = await buildBillFields(
+    mergeBillPayload(source, { date: payload.date || new Date() })
+  );
+  const customLogo = await getCustomLogo(source);
+
+  const bill = await issueBill({
+    type: targetType,
+    fields,
+    status: normalizeStatus(payload.status) === "draft" ? "draft" : "issued",
+    changedBy: payload.changedBy,
+    logoBase64: customLogo || resolveLogoBase64(),
+    logo: { logoUrl: source.logoUrl, logoPublicId: source.logoPublicId },
+    imageUrl: customLogo ? source.imageUrl : "Default Logo",
+    extra: {
+      sourceBillId: source._id,
+      sourceBillNo: source.poNo,
+      sourceBillType: source.type,
+    },
+  });
+
+  source.convertedTo.push({
+    billId: bill._id,
+    poNo: bill.poNo,
+    type: bill.type,
+  });
+  await source.save();
+  console.log(`Bill ${source.poNo} converted to ${bill.type} ${bill.poNo}`);
+
+  res.status(201).json({
+    success: true,
+    message: `${source.poNo} converted to ${bill.poNo}`,
+    bill: {
+      ...billSummary(bill),
+      type: bill.type,
+      sourceBillId: bill.sourceBillId,
+      sourceBillNo: bill.sourceBillNo,
+    },
+    source: {
+      id: source._id,
+      poNo: source.poNo,
+      type: source.type,
+      convertedTo: source.convertedTo,
+    },
+  });
+});
+
+/**
+ * Clone a bill as a new draft with a fresh number and today's date.
+ * Any bill field supplied in the body overrides the copied value.
+ */
+const duplicateBill = asyncHandler(async (req, res) => {
+  const id = req.params.id;
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({ error: "Invalid bill ID format" });
+  }
+  const source = await Bill.findById(id);
+  if (!source) {
+    return res.status(404).json({ error: "Bill not found" });
+  }
+
+  const overrides = req.body || {};
+  const billType = overrides.type
+    ? normalizeBillType(overrides.type)
+    : source.type;
+  const fields = await buildBillFields(
+    mergeBillPayload(source, {
+      date: new Date(),
+      deliveryDate: null,
+      transport: null,
+      ...overrides,
+    })
+  );
+
+  const customLogo = await getCustomLogo(source);
+  const bill = await issueBill({
+    type: billType,
+    fields,
+    status: "draft",
+    changedBy: overrides.changedBy,
+    logoBase64: customLogo || resolveLogoBase64(),
+    logo: { logoUrl: source.logoUrl, logoPublicId: source.logoPublicId },
+    imageUrl: customLogo ? source.imageUrl : "Default Logo",
+  });
+  console.log(`Bill ${source.poNo} duplicated as draft ${bill.poNo}`);
+
+  res.status(201).json({
+    success: true,
+    message: `${source.poNo} duplicated as draft ${bill.poNo}`,
+    bill: { ...billSummary(bill), type: bill.type },
+    calculations: billCalculations(bill),
+  });
+});
+
+/**
+ * List the revision history of a bill, newest first
+ */
+const listBillRevisions = asyncHandler(async (req, res) => {
+  const id = req.params.id;
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({ error: "Invalid bill ID format" });
+  }
+  const bill = await Bill.findById(id).select("poNo revision pdfUrl updatedAt");
+  if (!bill) {
+    return res.status(404).json({ error: "Bill not found" });
+  }
+
+  const revisions = await BillRevision.find({ billId: bill._id })
+    .sort({ revision: -1 })
+    .select("revision pdfUrl changes changedBy changeReason createdAt");
+
+  res.json({
+    success: true,
+    poNo: bill.poNo,
+    currentRevision: bill.revision || 0,
+    current: {
+      revision: bill.revision || 0,
+      pdfUrl: bill.pdfUrl,
+      updatedAt: bill.updatedAt,
+    },
+    count: revisions.length,
+    revisions,
+  });
+});
+
+/**
+ * Get the full snapshot of one bill revision. Requesting the current
+ * revision number returns a snapshot of the bill as it stands today.
+ */
+const getBillRevision = asyncHandler(async (req, res) => {
+  const id = req.params.id;
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({ error: "Invalid bill ID format" });
+  }
+  const rev = parseInt(req.params.rev, 10);
+  if (isNaN(rev) || rev < 0) {
+    return res.status(400).json({ error: "Invalid revision number" });
+  }
+  const bill = await Bill.findById(id);
+  if (!bill) {
+    return res.status(404).json({ error: "Bill not found" });
+  }
+
+  if (rev === (bill.revision || 0)) {
+    return res.json({
+      success: true,
+      revision: {
+        billId: bill._id,
+        poNo: bill.poNo,
+        revision: rev,
+        current: true,
+        snapshot: takeSnapshot(
+          bill,
+          await resolveBankDetails(bill.bankId),
+          await resolveCompanyDetails(bill.companyId)
+        ),
+        pdfUrl: bill.pdfUrl,
+        changes: [],
+      },
+    });
+  }
+
+  const revision = await BillRevision.findOne({
+    billId: bill._id,
+    revision: rev,
+  }).select("-__v");
+  if (!revision) {
+    return res.status(404).json({ error: "Revision not found" });
+  }
+  res.json({ success: true, revision });
+});
+
+/**
+ * Move a bill through its status lifecycle. The PDF is re-rendered (and the
+ * previous one archived as a revision) when the status stamp changes.
+ */
+const updateBillStatus = asyncHandler(async (req, res) => {
+  const id = req.params.id;
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({ error: "Invalid bill ID format" });
+  }
+  const status = normalizeStatus(req.body && req.body.status);
+  if (!status) {
+    return res.status(400).json({ error: "Invalid status" });
+  }
+  const bill = await Bill.findById(id);
+  if (!bill) {
+    return res.status(404).json({ error: "Bill not found" });
+  }
+
+  const from = bill.status;
+  // Paid and partially paid follow the payments recorded on the bill
+  if (PAYMENT_STATUSES.includes(status)) {
+    return res.status(409).json({
+      error: `A bill becomes ${status} when its payments are recorded; use POST /api/bills/${bill._id}/payments`,
+      allowed: getManualTransitions(from),
+    });
+  }
+  if (!canSetStatus(from, status)) {
+    return res.status(409).json({
+      error: `Cannot change status from ${from} to ${status}`,
+      allowed: getManualTransitions(from),
+    });
+  }
+
+  const changedBy = String(req.body.changedBy || "system").trim();
+  const note = String(req.body.note || req.body.reason || "").trim();
+  const applyStatus = () => {
+    bill.status = status;
+    bill.statusHistory.push({ from, to: status, changedBy, note });
+  };
+
+  if (status === "cancelled") {
+    await cancelBillRecord(bill, { reason: note, cancelledBy: changedBy });
+  } else if (getStatusStamp(from) !== getStatusStamp(status)) {
+    await reviseBill(bill, applyStatus, { changedBy, changeReason: note });
+  } else {
+    applyStatus();
+    await bill.save();
+  }
+  console.log(`Bill ${bill.poNo} status changed from ${from} to ${status}`);
+
+  res.json({
+    success: true,
+    message: `Bill ${bill.poNo} is now ${status}`,
     bill: {
       id: bill._id,
       poNo: bill.poNo,
+      status: bill.status,
       pdfUrl: bill.pdfUrl,
-      customerName: bill.customerName,
-      subTotal: bill.subTotal, // Backend calculated
-      taxes: bill.taxes, // Backend calculated
-      grandTotal: bill.grandTotal, // Backend calculated
-      taxPercent: bill.taxPercent, // Tax percentage used
-      currency: bill.currency,
-      date: bill.date,
-      emails: bill.emails,
-      website: bill.website,
-      paymentTerms: bill.paymentTerms,
-      deliveryTerms: bill.deliveryTerms,
-      remarks: bill.remarks,
-      imageUrl: bill.imageUrl,
-      hasLogo: !!logoBase64,
-      bankId: bill.bankId,
-    },
-    message: `Purchase Order ${poNo} created successfully with ${currency} currency. Backend calculated totals: Subtotal: ${bill.subTotal}, Tax (${bill.taxPercent}%): ${bill.taxes}, Total: ${bill.grandTotal}`,
-    calculations: {
-      subTotal: bill.subTotal,
-      taxPercent: bill.taxPercent,
-      taxes: bill.taxes,
-      grandTotal: bill.grandTotal,
-      currency: bill.currency,
+      revision: bill.revision,
+      statusHistory: bill.statusHistory,
     },
   });
 });
@@ -809,13 +1959,23 @@ const listBills = asyncHandler(async (req, res) => {
       { customerGSTIN: { $regex: q, $options: "i" } },
     ];
   }
+  if (req.query.status) {
+    const statuses = String(req.query.status)
+      .split(",")
+      .map(normalizeStatus)
+      .filter(Boolean);
+    if (statuses.length === 0) {
+      return res.status(400).json({ error: "Invalid status filter" });
+    }
+    filter.status = { $in: statuses };
+  }
   const [bills, total] = await Promise.all([
     Bill.find(filter)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
       .select(
-        "poNo customerName grandTotal date pdfUrl createdAt imageUrl currency type"
+        "poNo customerName grandTotal date pdfUrl createdAt imageUrl currency type status"
       ),
     Bill.countDocuments(filter),
   ]);
@@ -884,6 +2044,242 @@ const downloadPdf = asyncHandler(async (req, res) => {
   return res.status(404).json({ error: "PDF not available" });
 });
 
+/**
+ * GET /api/bills/:id/einvoice-json
+ * INV-01 e-invoice payload for upload to the Invoice Registration Portal.
+ * Foreign currency invoices need ?exchangeRate= (INR per unit).
+ * Responds 422 with field-level errors when the payload would be rejected.
+ */
+const getEInvoiceJson = asyncHandler(async (req, res) => {
+  const id = req.params.id;
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({ error: "Invalid bill ID format" });
+  }
+  const bill = await Bill.findById(id);
+  if (!bill) {
+    return res.status(404).json({ error: "Bill not found" });
+  }
+  if (bill.type !== "invoice") {
+    return res
+      .status(400)
+      .json({ error: "E-invoices can only be generated for invoices" });
+  }
+  if (["draft", "cancelled"].includes(bill.status)) {
+    return res.status(409).json({
+      error: `E-invoice JSON is not available for ${bill.status} invoices`,
+    });
+  }
+
+  let exchangeRate = 1;
+  if (bill.currency !== "INR") {
+    exchangeRate = Number(req.query.exchangeRate);
+    if (!exchangeRate || exchangeRate <= 0) {
+      return res.status(400).json({
+        error: `Invoice is in ${bill.currency}; pass ?exchangeRate= (INR per ${bill.currency}) to report values in INR`,
+      });
+    }
+  }
+
+  const companyDetails = await resolveCompanyDetails(bill.companyId);
+  const payload = buildEInvoicePayload(bill, companyDetails, { exchangeRate });
+  const errors = validateEInvoicePayload(payload);
+  if (errors.length > 0) {
+    throw httpError(
+      422,
+      `E-invoice payload has ${errors.length} error(s); fix them before uploading`,
+      errors
+    );
+  }
+
+  res.json(payload);
+});
+
+/**
+ * POST /api/bills/eway-bill-json
+ * Bulk e-way bill JSON for one or many invoices.
+ * Body: { billIds: [...], exchangeRates: { USD: 83.1 } }
+ * `ewayBill` is the file to upload; `results` lists per bill whether it was
+ * included and flags bills above the threshold that lack transport data.
+ */
+const getEwayBillJson = asyncHandler(async (req, res) => {
+  const body = req.body || {};
+  let billIds = body.billIds;
+  if (typeof billIds === "string") {
+    billIds = billIds.split(",").map((billId) => billId.trim());
+  }
+  if (!Array.isArray(billIds) || billIds.length === 0) {
+    return res.status(400).json({ error: "billIds must be a non-empty array" });
+  }
+  const invalid = billIds.filter(
+    (billId) => !String(billId).match(/^[0-9a-fA-F]{24}$/)
+  );
+  if (invalid.length > 0) {
+    return res
+      .status(400)
+      .json({ error: `Invalid bill ID format: ${invalid.join(", ")}` });
+  }
+
+  const bills = await Bill.find({ _id: { $in: billIds } });
+  const missing = billIds.filter(
+    (billId) => !bills.some((bill) => String(bill._id) === String(billId))
+  );
+  if (missing.length > 0) {
+    return res
+      .status(404)
+      .json({ error: `Bill(s) not found: ${missing.join(", ")}` });
+  }
+
+  const entries = [];
+  for (const bill of bills) {
+    entries.push({
+      bill,
+      company: await resolveCompanyDetails(bill.companyId),
+    });
+  }
+  const result = buildBulkEwayBill(entries, {
+    exchangeRates: body.exchangeRates || {},
+  });
+
+  res.json({
+    ...result,
+    count: result.ewayBill.billLists.length,
+    flagged: result.results.filter((entry) => entry.flagged).length,
+  });
+});
+
+/**
+ * PATCH /api/bills/:id/transport
+ * Set the consignment transport details used by the e-way bill export.
+ * Fields sent replace the stored ones; the rest are kept. Transport is not
+ * printed on the PDF, so this is allowed on invoices locked by an IRN
+ * (e-way bills are usually generated after the e-invoice).
+ */
+const updateBillTransport = asyncHandler(async (req, res) => {
+  const id = req.params.id;
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({ error: "Invalid bill ID format" });
+  }
+  const body = req.body || {};
+  const bill = await Bill.findById(id);
+  if (!bill) {
+    return res.status(404).json({ error: "Bill not found" });
+  }
+  if (bill.status === "cancelled") {
+    return res
+      .status(409)
+      .json({ error: "Transport cannot be set on a cancelled bill" });
+  }
+
+  const { changedBy, ...fields } = body.transport || body;
+  bill.transport = parseTransport({
+    ...(bill.toObject().transport || {}),
+    ...fields,
+  });
+  await bill.save();
+  console.log(
+    `Transport of ${bill.poNo} updated by ${String(changedBy || "system").trim()}`
+  );
+
+  res.json({
+    success: true,
+    message: `Transport details of ${bill.poNo} updated`,
+    transport: bill.transport,
+    issues: findTransportIssues(bill),
+  });
+});
+
+/**
+ * POST /api/bills/:id/irn
+ * Attach the IRN, acknowledgement and signed QR obtained from the e-invoice
+ * portal. Body: { irn, ackNo, ackDate, signedQRCode, registeredBy }
+ * The PDF is regenerated with the IRN block and QR code and the invoice is
+ * locked against further edits (cancellation is still allowed).
+ */
+const attachIrn = asyncHandler(async (req, res) => {
+  const id = req.params.id;
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({ error: "Invalid bill ID format" });
+  }
+  const body = req.body || {};
+  const irn = String(body.irn || "").trim().toLowerCase();
+  const ackNo = String(body.ackNo || "").trim();
+  const ackDate = body.ackDate ? new Date(body.ackDate) : null;
+  const signedQRCode = String(body.signedQRCode || "").trim();
+
+  if (!/^[0-9a-f]{64}$/.test(irn)) {
+    return res
+      .status(400)
+      .json({ error: "IRN must be the 64-character hash issued by the IRP" });
+  }
+  if (!/^\d{1,20}$/.test(ackNo)) {
+    return res
+      .status(400)
+      .json({ error: "Valid acknowledgement number is required" });
+  }
+  if (!ackDate || isNaN(ackDate.getTime())) {
+    return res
+      .status(400)
+      .json({ error: "Valid acknowledgement date is required" });
+  }
+  if (!signedQRCode) {
+    return res.status(400).json({ error: "Signed QR code is required" });
+  }
+
+  const bill = await Bill.findById(id);
+  if (!bill) {
+    return res.status(404).json({ error: "Bill not found" });
+  }
+  if (bill.type !== "invoice") {
+    return res
+      .status(400)
+      .json({ error: "An IRN can only be attached to an invoice" });
+  }
+  if (["draft", "cancelled"].includes(bill.status)) {
+    return res.status(409).json({
+      error: `An IRN cannot be attached to a ${bill.status} invoice`,
+    });
+  }
+  if (bill.einvoice && bill.einvoice.irn) {
+    return res.status(409).json({
+      error: `Invoice ${bill.poNo} already has IRN ${bill.einvoice.irn}`,
+    });
+  }
+
+  const registeredBy = String(body.registeredBy || "system").trim();
+  await reviseBill(
+    bill,
+    () => {
+      bill.einvoice = {
+        irn,
+        ackNo,
+        ackDate,
+        signedQRCode,
+        registeredBy,
+        registeredAt: new Date(),
+      };
+    },
+    { changedBy: registeredBy, changeReason: `IRN ${irn} attached` }
+  );
+  console.log(`IRN attached to ${bill.poNo} by ${registeredBy}`);
+
+  res.json({
+    success: true,
+    message: `IRN attached to ${bill.poNo}`,
+    bill: {
+      id: bill._id,
+      poNo: bill.poNo,
+      status: bill.status,
+      einvoice: {
+        irn: bill.einvoice.irn,
+        ackNo: bill.einvoice.ackNo,
+        ackDate: bill.einvoice.ackDate,
+      },
+      revision: bill.revision,
+      pdfUrl: bill.pdfUrl,
+    },
+  });
+});
+
 const getBillById = asyncHandler(async (req, res) => {
   const id = req.params.id;
   if (!id.match(/^[0-9a-fA-F]{24}$/)) {
@@ -906,6 +2302,26 @@ const deleteBill = asyncHandler(async (req, res) => {
     return res.status(404).json({ error: "Bill not found" });
   }
 
+  // Issued documents are cancelled, never deleted, to keep numbering auditable
+  if (bill.status !== "draft") {
+    return res.status(409).json({
+      error: "Only draft bills can be deleted. Cancel this bill instead.",
+    });
+  }
+
+  // A draft may only be removed while it holds the latest number of its
+  // series; rolling the counter back keeps the sequence gapless.
+  const counterId = bill.counterId || `bill_${bill.type}`;
+  const sequence = bill.sequence || parseInt(bill.poNo.split("/").pop(), 10);
+  const rolledBack = await releaseSequence(counterId, sequence);
+  if (!rolledBack) {
+    return res.status(409).json({
+      error:
+        "Only the latest draft in a numbering series can be deleted. Cancel this bill instead.",
+    });
+  }
+  console.log(`Counter ${counterId} rolled back to ${rolledBack.seq}`);
+
   // Handle PDF deletion in Cloudinary if exists
   if (bill.pdfPublicId) {
     try {
@@ -918,23 +2334,36 @@ const deleteBill = asyncHandler(async (req, res) => {
     }
   }
 
-  // Delete the bill
-  await Bill.findByIdAndDelete(id);
-  console.log(`Bill ${bill.poNo} deleted successfully`);
+  // Delete revision history and archived revision PDFs
+  const revisions = await BillRevision.find({ billId: bill._id });
+  for (const revision of revisions) {
+    if (revision.pdfPublicId && revision.pdfPublicId !== bill.pdfPublicId) {
+      try {
+        await cloudinary.uploader.destroy(revision.pdfPublicId, {
+          resource_type: "raw",
+        });
+      } catch (err) {
+        console.warn("Cloudinary revision delete failed:", err.message);
+      }
+    }
+  }
+  await BillRevision.deleteMany({ billId: bill._id });
 
-  // Delete the counter for this bill type if no other bills of this type exist
-  const counterId = `bill_${bill.type}`;
-  const otherBillsOfSameType = await Bill.findOne({ type: bill.type });
-  if (!otherBillsOfSameType) {
-    await Counter.findByIdAndDelete(counterId);
-    console.log(
-      `Deleted counter ${counterId} as no more bills of type ${bill.type} exist`
+  // A draft created by converting another bill no longer counts as its conversion
+  if (bill.sourceBillId) {
+    await Bill.updateOne(
+      { _id: bill.sourceBillId },
+      { $pull: { convertedTo: { billId: bill._id } } }
     );
   }
 
+  // Delete the bill
+  await Bill.findByIdAndDelete(id);
+  console.log(`Draft bill ${bill.poNo} deleted successfully`);
+
   res.json({
     success: true,
-    message: "Bill and related data deleted successfully",
+    message: "Draft bill and related data deleted successfully",
     deletedBill: {
       id: bill._id,
       poNo: bill.poNo,
@@ -943,6 +2372,72 @@ const deleteBill = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Cancel a bill with a reason, recorded in `cancellation` and the status
+ * history, and re-render its PDF with a CANCELLED stamp. Both cancel
+ * endpoints (PATCH status and POST /cancel) go through here.
+ */
+async function cancelBillRecord(bill, { reason, cancelledBy }) {
+  if (!reason) throw httpError(400, "Cancellation reason is required");
+  const from = bill.status;
+  if (!canTransition(from, "cancelled")) {
+    throw httpError(409, `A bill in status ${from} cannot be cancelled`);
+  }
+  await reviseBill(
+    bill,
+    () => {
+      bill.status = "cancelled";
+      bill.cancellation = {
+        reason,
+        cancelledBy,
+        cancelledAt: new Date(),
+      };
+      bill.statusHistory.push({
+        from,
+        to: "cancelled",
+        changedBy: cancelledBy,
+        note: reason,
+      });
+    },
+    { changedBy: cancelledBy, changeReason: reason }
+  );
+  console.log(`Bill ${bill.poNo} cancelled by ${cancelledBy}: ${reason}`);
+}
+
+/**
+ * Cancel a bill: the record and its number are kept, the cancellation is
+ * recorded and the PDF is re-rendered with a CANCELLED stamp
+ */
+const cancelBill = asyncHandler(async (req, res) => {
+  const id = req.params.id;
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({ error: "Invalid bill ID format" });
+  }
+  const bill = await Bill.findById(id);
+  if (!bill) {
+    return res.status(404).json({ error: "Bill not found" });
+  }
+
+  const body = req.body || {};
+  await cancelBillRecord(bill, {
+    reason: String(body.reason || "").trim(),
+    cancelledBy: String(body.cancelledBy || "system").trim(),
+  });
+
+  res.json({
+    success: true,
+    message: `Bill ${bill.poNo} cancelled`,
+    bill: {
+      id: bill._id,
+      poNo: bill.poNo,
+      type: bill.type,
+      status: bill.status,
+      cancellation: bill.cancellation,
+      pdfUrl: bill.pdfUrl,
+    },
+  });
+});
+
 const healthCheck = asyncHandler(async (req, res) => {
   let browserHealthy = false;
   try {
@@ -964,10 +2459,21 @@ const healthCheck = asyncHandler(async (req, res) => {
 
 module.exports = {
   createBill,
+  updateBill,
+  convertBill,
+  duplicateBill,
+  listBillRevisions,
+  getBillRevision,
+  updateBillStatus,
   listBills,
   getPdf,
   getBillById,
+  getEInvoiceJson,
+  attachIrn,
+  getEwayBillJson,
+  updateBillTransport,
   deleteBill,
+  cancelBill,
   healthCheck,
   downloadPdf,
 };
@@ -1,9 +1,122 @@
 const Company = require("../models/Company");
+const {
+  NUMBERED_TYPES,
+  validatePattern,
+  getCounterId,
+  previewNextBillNumber,
+  seedSequence,
+} = require("../services/numbering.service");
+const {
+  normalizeTaxId,
+  validateGSTIN,
+  validatePAN,
+  validateIEC,
+} = require("../utils/taxIds");
 
 const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
 };
 
+// Validate and normalize a numbering config: { invoice: { prefix, pattern } }
+const parseNumbering = (numbering) => {
+  if (!numbering || typeof numbering !== "object") {
+    return { error: "numbering must be an object keyed by document type" };
+  }
+  const parsed = {};
+  for (const [type, scheme] of Object.entries(numbering)) {
+    if (!NUMBERED_TYPES.includes(type)) {
+      return { error: `Unknown document type in numbering: ${type}` };
+    }
+    if (!scheme) continue;
+    const prefix = (scheme.prefix || "").trim().toUpperCase();
+    const pattern = (scheme.pattern || "").trim();
+    if (prefix.includes("#")) {
+      return { error: `${type}: prefix cannot contain "#"` };
+    }
+    if (pattern) {
+      const patternError = validatePattern(pattern);
+      if (patternError) return { error: `${type}: ${patternError}` };
+    }
+    parsed[type] = { prefix, pattern };
+  }
+  return { numbering: parsed };
+};
+
+// Whether a company numbers a document type with a scheme of its own rather
+// than the shared default one
+const hasOwnScheme = (company, type) => {
+  const scheme = company.numbering && company.numbering[type];
+  return Boolean(scheme && (scheme.prefix || scheme.pattern));
+};
+
+// Each company numbers in its own series: a scheme that renders like one
+// another company has configured would draw from that company's counter.
+// Returns an error message or null.
+const findSharedSeries = async (companyId, numbering) => {
+  const date = new Date();
+  const company = { numbering };
+  const others = await Company.find(
+    companyId ? { _id: { $ne: companyId } } : {}
+  ).select("name numbering");
+  for (const type of NUMBERED_TYPES) {
+    if (!hasOwnScheme(company, type)) continue;
+    const counterId = getCounterId(type, date, company);
+    for (const other of others) {
+      const shared = NUMBERED_TYPES.some(
+        (otherType) =>
+          hasOwnScheme(other, otherType) &&
+          getCounterId(otherType, date, other) === counterId
+      );
+      if (shared) {
+        return `${type}: numbering ${counterId.replace(
+          /^bill_series_/,
+          ""
+        )} is already used by ${other.name}; choose another prefix`;
+      }
+    }
+  }
+  return null;
+};
+
+// Validate GSTIN, PAN and IEC together: the GSTIN embeds the PAN, and IECs
+// issued since 2018 are the PAN itself
+const checkTaxIds = (raw) => {
+  const gstin = normalizeTaxId(raw.gstin);
+  const pan = normalizeTaxId(raw.pan);
+  const iec = normalizeTaxId(raw.iec);
+  const values = { gstin: "", pan: "", iec: "" };
+  const warnings = [];
+  let gstinPan = "";
+  if (gstin) {
+    const result = validateGSTIN(gstin);
+    if (!result.valid) return { error: result.error };
+    values.gstin = result.gstin;
+    gstinPan = result.pan;
+  }
+  if (pan) {
+    const result = validatePAN(pan);
+    if (!result.valid) return { error: result.error };
+    values.pan = result.pan;
+  }
+  if (gstinPan && !values.pan) {
+    values.pan = gstinPan;
+    warnings.push(`PAN ${gstinPan} was taken from the GSTIN`);
+  } else if (gstinPan && values.pan !== gstinPan) {
+    return {
+      error: `PAN ${values.pan} does not match the PAN in GSTIN ${values.gstin} (${gstinPan})`,
+    };
+  }
+  if (iec) {
+    const result = validateIEC(iec);
+    if (!result.valid) return { error: result.error };
+    values.iec = result.iec;
+    if (!result.legacy && values.pan && values.iec !== values.pan) {
+      warnings.push(`IEC ${values.iec} differs from PAN ${values.pan}`);
+    }
+  }
+  return { values, warnings };
+};
+
 const createCompany = asyncHandler(async (req, res) => {
   const {
     name,
@@ -14,22 +127,38 @@ const createCompany = asyncHandler(async (req, res) => {
     iec,
     emails,
     website,
+    numbering,
   } = req.body;
   if (!name) return res.status(400).json({ error: "Company name is required" });
 
+  const taxIds = checkTaxIds({ gstin, pan, iec });
+  if (taxIds.error) return res.status(400).json({ error: taxIds.error });
+
+  let parsedNumbering;
+  if (numbering) {
+    const result = parseNumbering(numbering);
+    if (result.error) return res.status(400).json({ error: result.error });
+    parsedNumbering = result.numbering;
+    const sharedError = await findSharedSeries(null, parsedNumbering);
+    if (sharedError) return res.status(409).json({ error: sharedError });
+  }
+
   const company = new Company({
     name: name.trim(),
     registeredOffice: registeredOffice || "",
     principalPlaceOfBusiness: principalPlaceOfBusiness || "",
-    gstin: gstin ? gstin.trim().toUpperCase() : "",
-    pan: pan ? pan.trim().toUpperCase() : "",
-    iec: iec ? iec.trim().toUpperCase() : "",
+    ...taxIds.values,
     emails: Array.isArray(emails) ? emails.map((e) => e.trim()) : [],
     website: website || "",
+    numbering: parsedNumbering,
   });
 
   await company.save();
-  res.status(201).json({ success: true, company });
+  res.status(201).json({
+    success: true,
+    company,
+    ...(taxIds.warnings.length && { warnings: taxIds.warnings }),
+  });
 });
 
 const getCompanies = asyncHandler(async (req, res) => {
@@ -55,21 +184,52 @@ const updateCompany = asyncHandler(async (req, res) => {
   if (!id.match(/^[0-9a-fA-F]{24}$/))
     return res.status(400).json({ error: "Invalid ID" });
   const updateData = { ...req.body };
-  if (updateData.gstin)
-    updateData.gstin = updateData.gstin.trim().toUpperCase();
-  if (updateData.pan) updateData.pan = updateData.pan.trim().toUpperCase();
-  if (updateData.iec) updateData.iec = updateData.iec.trim().toUpperCase();
+  let warnings = [];
+  const taxIdFields = ["gstin", "pan", "iec"];
+  if (taxIdFields.some((field) => updateData[field] !== undefined)) {
+    // Check the identifiers that were sent against the stored ones
+    const existing = await Company.findById(id);
+    if (!existing) return res.status(404).json({ error: "Company not found" });
+    const taxIds = checkTaxIds({
+      gstin: updateData.gstin ?? existing.gstin,
+      pan: updateData.pan ?? existing.pan,
+      iec: updateData.iec ?? existing.iec,
+    });
+    if (taxIds.error) return res.status(400).json({ error: taxIds.error });
+    Object.assign(updateData, taxIds.values);
+    warnings = taxIds.warnings;
+  }
   if (updateData.emails && !Array.isArray(updateData.emails))
     updateData.emails = [updateData.emails];
   if (updateData.emails)
     updateData.emails = updateData.emails.map((e) => e.trim());
+  if (updateData.numbering) {
+    const result = parseNumbering(updateData.numbering);
+    if (result.error) return res.status(400).json({ error: result.error });
+    const existing = await Company.findById(id).select("numbering");
+    if (!existing) return res.status(404).json({ error: "Company not found" });
+    const sharedError = await findSharedSeries(id, {
+      ...(existing.toObject().numbering || {}),
+      ...result.numbering,
+    });
+    if (sharedError) return res.status(409).json({ error: sharedError });
+    // Only replace the schemes that were sent
+    delete updateData.numbering;
+    Object.entries(result.numbering).forEach(([type, scheme]) => {
+      updateData[`numbering.${type}`] = scheme;
+    });
+  }
 
   const updated = await Company.findByIdAndUpdate(id, updateData, {
     new: true,
     runValidators: true,
   }).select("-__v");
   if (!updated) return res.status(404).json({ error: "Company not found" });
-  res.json({ success: true, company: updated });
+  res.json({
+    success: true,
+    company: updated,
+    ...(warnings.length && { warnings }),
+  });
 });
 
 const deleteCompany = asyncHandler(async (req, res) => {
@@ -83,10 +243,63 @@ const deleteCompany = asyncHandler(async (req, res) => {
   res.json({ success: true, message: "Company deactivated", company });
 });
 
+// Preview the next bill number(s) for a company without consuming them
+const previewNumbering = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id.match(/^[0-9a-fA-F]{24}$/))
+    return res.status(400).json({ error: "Invalid ID" });
+  const { type } = req.query;
+  if (type && !NUMBERED_TYPES.includes(type))
+    return res.status(400).json({ error: `Unknown document type: ${type}` });
+  const date = req.query.date ? new Date(req.query.date) : new Date();
+  if (isNaN(date.getTime()))
+    return res.status(400).json({ error: "Invalid date" });
+  const company = await Company.findById(id).select("-__v");
+  if (!company) return res.status(404).json({ error: "Company not found" });
+
+  const types = type ? [type] : NUMBERED_TYPES;
+  const preview = {};
+  for (const t of types) {
+    preview[t] = await previewNextBillNumber(t, date, company);
+  }
+  res.json({ success: true, date, preview });
+});
+
+// Set the next sequence of a company's numbering series (migration helper)
+const seedNumbering = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id.match(/^[0-9a-fA-F]{24}$/))
+    return res.status(400).json({ error: "Invalid ID" });
+  const { type } = req.body;
+  if (!NUMBERED_TYPES.includes(type))
+    return res.status(400).json({
+      error: `type must be one of: ${NUMBERED_TYPES.join(", ")}`,
+    });
+  const nextSequence = Number(req.body.nextSequence);
+  if (!Number.isInteger(nextSequence) || nextSequence < 1)
+    return res
+      .status(400)
+      .json({ error: "nextSequence must be a positive integer" });
+  const date = req.body.date ? new Date(req.body.date) : new Date();
+  if (isNaN(date.getTime()))
+    return res.status(400).json({ error: "Invalid date" });
+  const company = await Company.findById(id).select("-__v");
+  if (!company) return res.status(404).json({ error: "Company not found" });
+
+  const next = await seedSequence(type, nextSequence, date, company);
+  res.json({
+    success: true,
+    message: `Next ${type} number will be ${next.poNo}`,
+    next,
+  });
+});
+
 module.exports = {
   createCompany,
   getCompanies,
   getCompanyById,
   updateCompany,
   deleteCompany,
+  previewNumbering,
+  seedNumbering,
 };
@@ -0,0 +1,121 @@
+const Bill = require("../models/Bill");
+const Payment = require("../models/Payment");
+const BankDetail = require("../models/BankDetail");
+const { roundToTwoDecimal } = require("../utils/currency");
+const { PAYMENT_MODES, normalizePaymentMode } = require("../utils/payment");
+const { applyPayment } = require("../services/payment.service");
+
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+// Payment position of a bill as returned by the payment endpoints
+const paymentSummary = (bill) => ({
+  id: bill._id,
+  poNo: bill.poNo,
+  status: bill.status,
+  currency: bill.currency,
+  grandTotal: bill.grandTotal,
+  amountPaid: bill.amountPaid,
+  balanceDue: bill.balanceDue,
+  excessPaid: bill.excessPaid,
+});
+
+/**
+ * Record a payment against a bill: { amount, date, mode, reference, bankId,
+ * notes, recordedBy }. The bill moves to partially_paid / paid on its own.
+ */
+const recordPayment = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({ error: "Invalid bill ID format" });
+  }
+  const bill = await Bill.findById(id);
+  if (!bill) return res.status(404).json({ error: "Bill not found" });
+  if (["draft", "cancelled"].includes(bill.status)) {
+    return res
+      .status(409)
+      .json({ error: `Payments cannot be recorded on a ${bill.status} bill` });
+  }
+
+  const body = req.body || {};
+  const amount = roundToTwoDecimal(Number(body.amount));
+  if (!(amount > 0)) {
+    return res.status(400).json({ error: "amount must be a positive number" });
+  }
+  const date = body.date ? new Date(body.date) : new Date();
+  if (isNaN(date.getTime())) {
+    return res.status(400).json({ error: "Invalid payment date" });
+  }
+  const mode = normalizePaymentMode(body.mode || "neft");
+  if (!mode) {
+    return res
+      .status(400)
+      .json({ error: `mode must be one of: ${PAYMENT_MODES.join(", ")}` });
+  }
+
+  const reference = String(body.reference || "")
+    .trim()
+    .toUpperCase();
+  if (reference && (await Payment.exists({ billId: bill._id, reference }))) {
+    return res.status(409).json({
+      error: `A payment with reference ${reference} is already recorded on ${bill.poNo}`,
+    });
+  }
+
+  // Defaults to the account printed on the bill
+  const bankId = body.bankId || bill.bankId || null;
+  if (body.bankId) {
+    if (!String(body.bankId).match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: "Invalid bank ID format" });
+    }
+    const bank = await BankDetail.findOne({ _id: body.bankId, isActive: true });
+    if (!bank) return res.status(404).json({ error: "Bank account not found" });
+  }
+
+  const payment = await applyPayment(bill, {
+    amount,
+    date,
+    mode,
+    reference,
+    bankId,
+    notes: String(body.notes || "").trim(),
+    recordedBy: String(body.recordedBy || "system").trim(),
+  });
+
+  res.status(201).json({
+    success: true,
+    message: bill.excessPaid
+      ? `Payment recorded; ${bill.poNo} is over-paid by ${bill.currency} ${bill.excessPaid}`
+      : `Payment recorded; balance due on ${bill.poNo} is ${bill.currency} ${bill.balanceDue}`,
+    payment,
+    bill: paymentSummary(bill),
+  });
+});
+
+/**
+ * List the payments recorded against a bill, oldest first
+ */
+const listPayments = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({ error: "Invalid bill ID format" });
+  }
+  const bill = await Bill.findById(id);
+  if (!bill) return res.status(404).json({ error: "Bill not found" });
+
+  const payments = await Payment.find({ billId: bill._id })
+    .select("-__v")
+    .sort({ date: 1, createdAt: 1 });
+  res.json({
+    success: true,
+    count: payments.length,
+    payments,
+    bill: paymentSummary(bill),
+  });
+});
+
+module.exports = {
+  recordPayment,
+  listPayments,
+};
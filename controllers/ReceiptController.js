@@ -0,0 +1,393 @@
+const axios = require("axios");
+const Receipt = require("../models/Receipt");
+const Payment = require("../models/Payment");
+const Bill = require("../models/Bill");
+const BankDetail = require("../models/BankDetail");
+const cloudinary = require("../config/cloudinary");
+const pdfServiceInstance = require("../services/pdf.service");
+const { uploadBufferToCloudinary } = require("../middleware/upload");
+const { resolveCompanyDetails } = require("../services/company.service");
+const {
+  getPaymentState,
+  applyPayment,
+  revertPayments,
+} = require("../services/payment.service");
+const {
+  checkReceiptBills,
+  buildReceiptFields,
+} = require("../services/receipt.service");
+const {
+  formatBillNo,
+  getCounterId,
+  getNextSequence,
+  releaseSequence,
+} = require("../services/numbering.service");
+const { roundToTwoDecimal } = require("../utils/currency");
+const { PAYMENT_MODES, normalizePaymentMode } = require("../utils/payment");
+
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+// Documents a customer pays against; purchase orders are paid by us
+const RECEIPT_BILL_TYPES = ["proforma_invoice", "invoice"];
+
+function httpError(statusCode, message, details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) error.details = details;
+  return error;
+}
+
+const isObjectId = (id) => /^[0-9a-fA-F]{24}$/.test(String(id || ""));
+
+// Bills the payments of a receipt are applied to, checked to share a receipt
+function checkBills(bills) {
+  const other = bills.find((bill) => !RECEIPT_BILL_TYPES.includes(bill.type));
+  if (other) {
+    throw httpError(
+      400,
+      `${other.poNo} is a purchase order; receipts are issued for proforma invoices and invoices`
+    );
+  }
+  const error = checkReceiptBills(bills);
+  if (error) throw httpError(400, error);
+}
+
+/**
+ * Payments already recorded (e.g. reconciled from a bank statement) that
+ * are not yet on a receipt
+ * @returns {Promise<Object>} - { payments, bills }
+ */
+async function loadRecordedPayments(paymentIds) {
+  const ids = [...new Set(paymentIds.map(String))];
+  if (!ids.every(isObjectId)) {
+    throw httpError(400, "Invalid payment ID format");
+  }
+  const payments = await Payment.find({ _id: { $in: ids } });
+  if (payments.length !== ids.length) {
+    throw httpError(404, "Payment not found");
+  }
+  const receipted = payments.find((payment) => payment.receiptId);
+  if (receipted) {
+    throw httpError(
+      409,
+      `Payment ${receipted.reference || receipted._id} on ${receipted.poNo} is already on a receipt`
+    );
+  }
+  const billIds = new Set(payments.map((payment) => String(payment.billId)));
+  const bills = await Bill.find({ _id: { $in: [...billIds] } });
+  if (bills.length !== billIds.size) throw httpError(404, "Bill not found");
+  checkBills(bills);
+  return { payments, bills };
+}
+
+/**
+ * Record one payment per allocation ({ billId, amount }) with the shared
+ * mode, reference and account. Everything is validated before any payment
+ * is recorded, and the payments already recorded are reverted when a later
+ * one fails.
+ * @returns {Promise<Object>} - { payments, bills }
+ */
+async function recordAllocations(body, date, recordedBy) {
+  const allocations = body.allocations.map((entry) => ({
+    billId: String((entry && entry.billId) || ""),
+    amount: roundToTwoDecimal(Number(entry && entry.amount)),
+  }));
+  if (!allocations.every((entry) => isObjectId(entry.billId))) {
+    throw httpError(400, "Invalid bill ID format");
+  }
+  if (!allocations.every((entry) => entry.amount > 0)) {
+    throw httpError(400, "Each allocation needs a positive amount");
+  }
+  const billIds = allocations.map((entry) => entry.billId);
+  if (new Set(billIds).size !== billIds.length) {
+    throw httpError(400, "A bill can only appear once on a receipt");
+  }
+
+  const bills = await Bill.find({ _id: { $in: billIds } });
+  if (bills.length !== billIds.length) throw httpError(404, "Bill not found");
+  checkBills(bills);
+  const closed = bills.find((bill) =>
+    ["draft", "cancelled"].includes(bill.status)
+  );
+  if (closed) {
+    throw httpError(
+      409,
+      `Payments cannot be recorded on ${closed.poNo}, it is ${closed.status}`
+    );
+  }
+
+  const mode = normalizePaymentMode(body.mode || "neft");
+  if (!mode) {
+    throw httpError(400, `mode must be one of: ${PAYMENT_MODES.join(", ")}`);
+  }
+  const reference = String(body.reference || "")
+    .trim()
+    .toUpperCase();
+  if (reference) {
+    const duplicate = await Payment.findOne({
+      billId: { $in: billIds },
+      reference,
+    });
+    if (duplicate) {
+      throw httpError(
+        409,
+        `A payment with reference ${reference} is already recorded on ${duplicate.poNo}`
+      );
+    }
+  }
+  if (body.bankId) {
+    if (!isObjectId(body.bankId)) {
+      throw httpError(400, "Invalid bank ID format");
+    }
+    const bank = await BankDetail.findOne({ _id: body.bankId, isActive: true });
+    if (!bank) throw httpError(404, "Bank account not found");
+  }
+
+  const billsById = new Map(bills.map((bill) => [String(bill._id), bill]));
+  const applied = [];
+  try {
+    for (const entry of allocations) {
+      const bill = billsById.get(entry.billId);
+      const state = getPaymentState(bill);
+      const payment = await applyPayment(bill, {
+        amount: entry.amount,
+        date,
+        mode,
+        reference,
+        // Defaults to the account printed on the bill
+        bankId: body.bankId || bill.bankId || null,
+        notes: String(body.notes || "").trim(),
+        recordedBy,
+      });
+      applied.push({ bill, payment, state });
+    }
+  } catch (error) {
+    await revertPayments(applied);
+    throw error;
+  }
+  return { payments: applied.map(({ payment }) => payment), bills };
+}
+
+/**
+ * Prepare the data printed on a receipt
+ */
+function buildReceiptPdfData(receipt, { companyDetails, bankDetails }) {
+  return {
+    ...receipt.toObject(),
+    companyName: companyDetails.name,
+    companyRegisteredOffice: companyDetails.registeredOffice,
+    companyGSTIN: companyDetails.gstin,
+    companyPAN: companyDetails.pan,
+    companyEmails: companyDetails.emails || [],
+    bankDetails: bankDetails
+      ? {
+          bankName: bankDetails.bankName,
+          accountNumber: bankDetails.accountNumber,
+        }
+      : {},
+  };
+}
+
+/**
+ * Number the receipt in the company's receipt series, render and upload its
+ * PDF, and link the payments to it. The number is handed back when the
+ * receipt cannot be saved, so the series stays gapless.
+ */
+async function issueReceipt({ payments, bills, date, notes, issuedBy }) {
+  const billPayments = await Payment.find({
+    billId: { $in: bills.map((bill) => bill._id) },
+  });
+  const fields = buildReceiptFields(payments, bills, billPayments);
+  const companyDetails = await resolveCompanyDetails(fields.companyId);
+  const bankDetails = fields.bankId
+    ? await BankDetail.findById(fields.bankId)
+    : null;
+
+  const seq = await getNextSequence("receipt", date, companyDetails);
+  const receipt = new Receipt({
+    ...fields,
+    receiptNo: formatBillNo("receipt", seq, date, companyDetails),
+    counterId: getCounterId("receipt", date, companyDetails),
+    sequence: seq,
+    date,
+    notes,
+    issuedBy,
+  });
+
+  try {
+    let pdfBuffer;
+    try {
+      pdfBuffer = await pdfServiceInstance.generateReceiptPDF(
+        buildReceiptPdfData(receipt, { companyDetails, bankDetails })
+      );
+    } catch (error) {
+      console.error("Receipt PDF generation error:", error.message);
+      throw httpError(500, "Failed to generate receipt PDF", error.message);
+    }
+    try {
+      const uploadResult = await uploadBufferToCloudinary(pdfBuffer, {
+        folder: "receipts",
+        resource_type: "raw",
+        public_id: receipt.receiptNo.replace(/\//g, "_"),
+        overwrite: true,
+        invalidate: true,
+        timeout: 120000,
+        tags: ["receipt", receipt.currency.toLowerCase()],
+      });
+      receipt.pdfUrl = uploadResult.secure_url;
+      receipt.pdfPublicId = uploadResult.public_id;
+    } catch (error) {
+      console.error("Receipt upload error:", error.message);
+      throw httpError(
+        500,
+        "Failed to upload receipt PDF to cloud storage",
+        error.message
+      );
+    }
+    await receipt.save();
+  } catch (error) {
+    if (await releaseSequence(receipt.counterId, seq)) {
+      console.log(`Number ${receipt.receiptNo} released after failed issue`);
+    }
+    if (receipt.pdfPublicId) {
+      try {
+        await cloudinary.uploader.destroy(receipt.pdfPublicId, {
+          resource_type: "raw",
+        });
+      } catch (cleanupError) {
+        console.error("Failed to cleanup uploaded PDF:", cleanupError.message);
+      }
+    }
+    throw error;
+  }
+  await Payment.updateMany(
+    { _id: { $in: payments.map((payment) => payment._id) } },
+    { $set: { receiptId: receipt._id } }
+  );
+  console.log(
+    `Receipt ${receipt.receiptNo} issued to ${receipt.customerName} for ${receipt.currency} ${receipt.amount}`
+  );
+  return receipt;
+}
+
+/**
+ * Issue a receipt to a customer. Either for payments already recorded,
+ * { paymentIds }, or for a remittance to record now, { allocations:
+ * [{ billId, amount }], mode, reference, bankId }. Also takes { date,
+ * notes, issuedBy }. All bills must belong to one customer and currency.
+ * Recorded allocations stay recorded if the receipt PDF then fails; retry
+ * with their paymentIds.
+ */
+const createReceipt = asyncHandler(async (req, res) => {
+  const body = req.body || {};
+  const date = body.date ? new Date(body.date) : new Date();
+  if (isNaN(date.getTime())) {
+    return res.status(400).json({ error: "Invalid receipt date" });
+  }
+  const issuedBy = String(body.issuedBy || "system").trim();
+
+  let source;
+  if (Array.isArray(body.paymentIds) && body.paymentIds.length) {
+    source = await loadRecordedPayments(body.paymentIds);
+  } else if (Array.isArray(body.allocations) && body.allocations.length) {
+    source = await recordAllocations(body, date, issuedBy);
+  } else {
+    return res.status(400).json({
+      error: "Send paymentIds of recorded payments or allocations to record",
+    });
+  }
+
+  const receipt = await issueReceipt({
+    ...source,
+    date,
+    notes: String(body.notes || "").trim(),
+    issuedBy,
+  });
+  res.status(201).json({
+    success: true,
+    message: `Receipt ${receipt.receiptNo} issued for ${receipt.currency} ${receipt.amount}`,
+    receipt,
+  });
+});
+
+/**
+ * List receipts, newest first. Filters: ?billId, ?customer (name),
+ * ?from / ?to (YYYY-MM-DD)
+ */
+const listReceipts = asyncHandler(async (req, res) => {
+  const { billId, customer, from, to } = req.query;
+  const filter = {};
+  if (billId) {
+    if (!isObjectId(billId)) {
+      return res.status(400).json({ error: "Invalid bill ID format" });
+    }
+    filter["allocations.billId"] = billId;
+  }
+  if (customer) {
+    const escaped = customer.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    filter.customerName = { $regex: escaped, $options: "i" };
+  }
+  if (from || to) {
+    const range = { from: new Date(from), to: new Date(to) };
+    if ((from && isNaN(range.from)) || (to && isNaN(range.to))) {
+      return res.status(400).json({ error: "Invalid from/to date" });
+    }
+    filter.date = {};
+    if (from) filter.date.$gte = range.from;
+    if (to) {
+      range.to.setHours(23, 59, 59, 999);
+      filter.date.$lte = range.to;
+    }
+  }
+
+  const receipts = await Receipt.find(filter)
+    .select("-__v")
+    .sort({ date: -1, createdAt: -1 });
+  res.json({ success: true, count: receipts.length, receipts });
+});
+
+const getReceipt = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!isObjectId(id)) {
+    return res.status(400).json({ error: "Invalid receipt ID format" });
+  }
+  const receipt = await Receipt.findById(id).select("-__v");
+  if (!receipt) return res.status(404).json({ error: "Receipt not found" });
+  res.json({ success: true, receipt });
+});
+
+const downloadReceipt = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!isObjectId(id)) {
+    return res.status(400).json({ error: "Invalid receipt ID format" });
+  }
+  const receipt = await Receipt.findById(id);
+  if (!receipt) return res.status(404).json({ error: "Receipt not found" });
+  if (!receipt.pdfUrl || !receipt.pdfUrl.startsWith("http")) {
+    return res.status(404).json({ error: "PDF not available" });
+  }
+  try {
+    const response = await axios.get(receipt.pdfUrl, {
+      responseType: "stream",
+    });
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename=${receipt.receiptNo.replace(/\//g, "_")}.pdf`
+    );
+    return response.data.pipe(res);
+  } catch (error) {
+    return res
+      .status(500)
+      .json({ error: "Failed to fetch PDF from Cloudinary" });
+  }
+});
+
+module.exports = {
+  createReceipt,
+  listReceipts,
+  getReceipt,
+  downloadReceipt,
+};
@@ -0,0 +1,169 @@
+const Bill = require("../models/Bill");
+const Company = require("../models/Company");
+const BankStatement = require("../models/BankStatement");
+const { roundToTwoDecimal } = require("../utils/currency");
+const { DEFAULT_COMPANY_DETAILS } = require("../services/company.service");
+const { parsePeriod, buildGstr1 } = require("../services/gstr1.service");
+const {
+  buildAgeingReport,
+  ageingToCsv,
+} = require("../services/ageing.service");
+const {
+  listUnmatchedCredits,
+  unmatchedCreditsToCsv,
+} = require("../services/reconciliation.service");
+
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+const GSTR1_SECTIONS = ["b2b", "b2cl", "b2cs", "hsn_b2b", "hsn_b2c", "docs"];
+
+/**
+ * GSTR-1 for one return period (?period=YYYY-MM). Bills are scoped to a
+ * company (?companyId) or to the default company when none is given.
+ * ?format=csv&section=b2b|b2cl|b2cs|hsn_b2b|hsn_b2c|docs downloads a single
+ * CSV file.
+ */
+const getGstr1 = asyncHandler(async (req, res) => {
+  const { period, companyId, format, section } = req.query;
+  const range = parsePeriod(period);
+  if (!range) {
+    return res
+      .status(400)
+      .json({ error: "period is required in YYYY-MM format" });
+  }
+
+  let company = DEFAULT_COMPANY_DETAILS;
+  if (companyId) {
+    if (!companyId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: "Invalid company ID format" });
+    }
+    company = await Company.findById(companyId);
+    if (!company) return res.status(404).json({ error: "Company not found" });
+  }
+  if (!company.gstin) {
+    return res
+      .status(400)
+      .json({ error: "Company GSTIN is required to prepare GSTR-1" });
+  }
+
+  const bills = await Bill.find({
+    type: "invoice",
+    status: { $ne: "draft" },
+    companyId: companyId || null,
+    date: { $gte: range.start, $lt: range.end },
+  }).sort({ date: 1, poNo: 1 });
+
+  const report = buildGstr1(bills, { gstin: company.gstin, period });
+
+  if (format === "csv") {
+    if (!GSTR1_SECTIONS.includes(section)) {
+      return res.status(400).json({
+        error: `section must be one of: ${GSTR1_SECTIONS.join(", ")}`,
+      });
+    }
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="GSTR1_${range.fp}_${section}.csv"`
+    );
+    return res.send(report.csv[`${section}.csv`]);
+  }
+
+  res.json({
+    success: true,
+    period,
+    gstin: company.gstin,
+    ...report,
+  });
+});
+
+/**
+ * Receivables ageing of open invoices (?asOf=YYYY-MM-DD, default today).
+ * ?companyId limits it to one company, ?customer filters by name and
+ * ?format=csv downloads the customer summary.
+ */
+const getAgeing = asyncHandler(async (req, res) => {
+  const { companyId, customer, format } = req.query;
+  const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+  if (isNaN(asOf.getTime())) {
+    return res.status(400).json({ error: "Invalid asOf date" });
+  }
+
+  // Invoices dated on the asOf day are included
+  const until = new Date(asOf);
+  until.setHours(23, 59, 59, 999);
+  const filter = {
+    type: "invoice",
+    status: { $in: ["issued", "sent", "partially_paid"] },
+    date: { $lte: until },
+  };
+  if (companyId) {
+    if (!companyId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: "Invalid company ID format" });
+    }
+    filter.companyId = companyId;
+  }
+  if (customer) {
+    const escaped = customer.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    filter.customerName = { $regex: escaped, $options: "i" };
+  }
+
+  const bills = await Bill.find(filter).select(
+    "poNo date customerName customerGSTIN currency grandTotal amountPaid paymentTerms paymentSchedule dueDate status"
+  );
+  const report = buildAgeingReport(bills, { asOf });
+
+  if (format === "csv") {
+    const day = asOf.toISOString().slice(0, 10);
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="Receivables_Ageing_${day}.csv"`
+    );
+    return res.send(ageingToCsv(report));
+  }
+
+  res.json({ success: true, ...report });
+});
+
+/**
+ * Statement credits not yet reconciled to a bill (unmatched or only
+ * proposed). ?bankId limits it to one account; ?format=csv downloads it.
+ */
+const getUnmatchedCredits = asyncHandler(async (req, res) => {
+  const { bankId, format } = req.query;
+  const filter = { "credits.status": { $in: ["unmatched", "proposed"] } };
+  if (bankId) {
+    if (!bankId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: "Invalid bank ID format" });
+    }
+    filter.bankId = bankId;
+  }
+
+  const credits = listUnmatchedCredits(await BankStatement.find(filter));
+  if (format === "csv") {
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      'attachment; filename="Unmatched_Credits.csv"'
+    );
+    return res.send(unmatchedCreditsToCsv(credits));
+  }
+
+  res.json({
+    success: true,
+    count: credits.length,
+    total: roundToTwoDecimal(
+      credits.reduce((sum, credit) => sum + credit.amount, 0)
+    ),
+    credits,
+  });
+});
+
+module.exports = {
+  getGstr1,
+  getAgeing,
+  getUnmatchedCredits,
+};
@@ -29,6 +29,7 @@ const errorHandler = (err, req, res, next) => {
   // Default error
   res.status(err.statusCode || 500).json({
     error: err.message || "Internal Server Error",
+    ...(err.details && { details: err.details }),
     ...(process.env.NODE_ENV === "development" && { stack: err.stack }),
   });
 };
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { UPI_ID_PATTERN } = require("../utils/upi");
 
 const bankDetailSchema = new mongoose.Schema(
   {
@@ -38,6 +39,16 @@ const bankDetailSchema = new mongoose.Schema(
         "Please provide a valid SWIFT code or leave empty",
       ],
     },
+    upiId: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: "",
+      validate: {
+        validator: (value) => !value || UPI_ID_PATTERN.test(value),
+        message: "Please provide a valid UPI ID (e.g. name@bank) or leave empty",
+      },
+    },
     branchName: {
       type: String,
       trim: true,
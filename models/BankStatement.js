@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+// One credit line of an imported statement and its reconciliation state
+const StatementCreditSchema = new mongoose.Schema({
+  date: { type: Date, required: true },
+  narration: { type: String, default: "" },
+  reference: { type: String, default: "" },
+  amount: { type: Number, required: true, min: 0 },
+  balance: { type: Number, default: null },
+  // unmatched | proposed | matched | ignored
+  status: {
+    type: String,
+    enum: ["unmatched", "proposed", "matched", "ignored"],
+    default: "unmatched",
+  },
+  // Best open bill found by the matcher, with the reasons it scored
+  proposal: {
+    billId: { type: mongoose.Schema.Types.ObjectId, ref: "Bill" },
+    poNo: { type: String },
+    customerName: { type: String },
+    score: { type: Number },
+    reasons: [{ type: String }],
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Payment",
+    default: null,
+  },
+});
+
+// A bank statement uploaded for a BankDetail account. Only credits
+// (money received) are kept; debits are counted and dropped.
+const BankStatementSchema = new mongoose.Schema(
+  {
+    bankId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BankDetail",
+      required: true,
+    },
+    fileName: { type: String, default: "" },
+    uploadedBy: { type: String, default: "system", trim: true },
+    fromDate: { type: Date, default: null },
+    toDate: { type: Date, default: null },
+    debitCount: { type: Number, default: 0 },
+    credits: [StatementCreditSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+BankStatementSchema.index({ bankId: 1, createdAt: -1 });
+BankStatementSchema.index({ "credits.status": 1 });
+
+module.exports = mongoose.model("BankStatement", BankStatementSchema);
@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const { BILL_STATUSES } = require("../utils/billStatus");
+const { computeBalance } = require("../utils/payment");
 
 const ItemSchema = new mongoose.Schema({
   description: { type: String, required: true },
@@ -6,9 +8,73 @@ const ItemSchema = new mongoose.Schema({
   quantity: { type: Number, required: true, min: 0 },
   unit: { type: String, default: "pcs" },
   unitPrice: { type: Number, required: true, min: 0 },
+  // Line discount, applied before tax; total is net of it
+  discountType: { type: String, enum: ["percent", "amount"] },
+  discountValue: { type: Number, default: 0, min: 0 },
+  discountAmount: { type: Number, default: 0, min: 0 },
   total: { type: Number, required: true, min: 0 },
+  // Per-line GST rate; unset on bills saved before per-line rates, whose
+  // lines are taxed at the bill taxPercent
+  taxRate: { type: Number, min: 0, max: 100 },
+  taxableValue: { type: Number, default: 0, min: 0 },
+  taxAmount: { type: Number, default: 0, min: 0 },
 });
 
+// Freight, packing, insurance and other charges outside the items
+const ChargeSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    sac: { type: String, default: "" },
+    amount: { type: Number, required: true, min: 0 },
+    taxable: { type: Boolean, default: true },
+    taxRate: { type: Number, default: 0, min: 0, max: 100 },
+    taxableValue: { type: Number, default: 0, min: 0 },
+    taxAmount: { type: Number, default: 0, min: 0 },
+  },
+  { _id: false }
+);
+
+// HSN/SAC-wise tax summary row (one per HSN and rate)
+const HsnSummarySchema = new mongoose.Schema(
+  {
+    hsn: { type: String, default: "" },
+    taxRate: { type: Number, default: 0 },
+    quantity: { type: Number, default: 0 },
+    unit: { type: String, default: "" },
+    taxableValue: { type: Number, default: 0 },
+    taxAmount: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// Structured payment terms; paymentTerms keeps the printed text
+const InstalmentSchema = new mongoose.Schema(
+  {
+    label: { type: String, default: "", trim: true },
+    percent: { type: Number, required: true, min: 0, max: 100 },
+    // order | invoice | dispatch | delivery (utils/paymentTerms.js)
+    trigger: { type: String, default: "invoice" },
+    days: { type: Number, default: 0, min: 0 },
+  },
+  { _id: false }
+);
+
+// One instalment of a bill's payment schedule
+const ScheduleEntrySchema = new mongoose.Schema(
+  {
+    label: { type: String, default: "" },
+    percent: { type: Number, default: 0 },
+    amount: { type: Number, default: 0 },
+    trigger: { type: String, default: "invoice" },
+    days: { type: Number, default: 0 },
+    dueDate: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
 const BillSchema = new mongoose.Schema(
   {
     poNo: { type: String, required: true, unique: true },
@@ -21,22 +87,134 @@ const BillSchema = new mongoose.Schema(
       enum: ["purchase_order", "proforma_invoice", "invoice"],
       default: "purchase_order",
     },
+    // status: draft | issued | sent | partially_paid | paid | cancelled
+    // Transitions are enforced by utils/billStatus.js
+    status: {
+      type: String,
+      enum: BILL_STATUSES,
+      default: "issued",
+    },
+    // Document chain (PO -> proforma -> invoice): the bill this one was
+    // converted from, and the bills converted from this one
+    sourceBillId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Bill",
+      default: null,
+    },
+    sourceBillNo: { type: String, default: "" },
+    sourceBillType: { type: String, default: "" },
+    convertedTo: [
+      {
+        _id: false,
+        billId: { type: mongoose.Schema.Types.ObjectId, ref: "Bill" },
+        poNo: { type: String },
+        type: { type: String },
+        convertedAt: { type: Date, default: Date.now },
+      },
+    ],
+    // Consignment transport details for e-way bills
+    transport: {
+      mode: {
+        type: String,
+        enum: ["road", "rail", "air", "ship"],
+      },
+      distanceKm: { type: Number, default: null, min: 0, max: 4000 },
+      transporterId: { type: String, default: "" },
+      transporterName: { type: String, default: "" },
+      vehicleNumber: { type: String, default: "" },
+      vehicleType: {
+        type: String,
+        enum: ["regular", "odc"],
+        default: "regular",
+      },
+      transportDocNo: { type: String, default: "" },
+      transportDocDate: { type: Date, default: null },
+    },
+    // Registration on the e-invoice portal (IRP); set once, locks the invoice
+    einvoice: {
+      irn: { type: String, default: "" },
+      ackNo: { type: String, default: "" },
+      ackDate: { type: Date, default: null },
+      signedQRCode: { type: String, default: "" },
+      registeredBy: { type: String, default: "" },
+      registeredAt: { type: Date, default: null },
+    },
+    cancellation: {
+      reason: { type: String, default: "" },
+      cancelledBy: { type: String, default: "" },
+      cancelledAt: { type: Date, default: null },
+    },
+    statusHistory: [
+      {
+        _id: false,
+        from: { type: String, default: "" },
+        to: { type: String, required: true },
+        changedBy: { type: String, default: "system" },
+        note: { type: String, default: "" },
+        changedAt: { type: Date, default: Date.now },
+      },
+    ],
+    // Counter the number was drawn from and its sequence, used to keep numbering gapless
+    counterId: { type: String, default: "" },
+    sequence: { type: Number, default: null },
     date: { type: Date, required: true },
     customerName: { type: String, required: true, trim: true },
     customerAddress: { type: String, required: true, trim: true },
     customerGSTIN: { type: String, default: "", trim: true },
     deliveryAddress: { type: String, required: true, trim: true },
     items: [ItemSchema],
+    additionalCharges: [ChargeSchema],
+    chargesTotal: { type: Number, default: 0, min: 0 },
     subTotal: { type: Number, required: true, min: 0 },
+    // Document discount, applied before tax
+    discountType: { type: String, enum: ["percent", "amount"] },
+    discountValue: { type: Number, default: 0, min: 0 },
+    discountAmount: { type: Number, default: 0, min: 0 },
     taxPercent: { type: Number, default: 0, min: 0, max: 100 },
     taxes: { type: Number, default: 0, min: 0 },
+    // GST place of supply (state code, e.g. "27") and the CGST/SGST/IGST split of `taxes`
+    placeOfSupply: { type: String, default: "" },
+    isInterState: { type: Boolean, default: false },
+    // Unset on bills saved before the split, which print a single GST row
+    taxBreakdown: {
+      cgst: { type: Number, min: 0 },
+      sgst: { type: Number, min: 0 },
+      igst: { type: Number, min: 0 },
+    },
+    hsnSummary: [HsnSummarySchema],
+    // Unit prices and charges are gross of GST when set
+    pricesIncludeTax: { type: Boolean, default: false },
+    roundingPolicy: {
+      type: String,
+      enum: ["none", "nearest_rupee", "nearest_0.05"],
+      default: "none",
+    },
+    // Amount added to (or taken off) the grand total by rounding
+    roundOff: { type: Number, default: 0 },
     grandTotal: { type: Number, required: true, min: 0 },
+    // Sum of the bill's Payment records; balanceDue/excessPaid follow from it
+    amountPaid: { type: Number, default: 0, min: 0 },
+    balanceDue: { type: Number, default: 0, min: 0 },
+    excessPaid: { type: Number, default: 0, min: 0 },
     pdfUrl: { type: String, default: "" },
     pdfPublicId: { type: String, default: "" },
     billingInstructions: { type: String, default: "" },
     paymentTerms: { type: String, default: "50% Advance" },
+    // Unset on bills saved before structured terms; read from paymentTerms
+    paymentPlan: {
+      advancePercent: { type: Number, min: 0, max: 100 },
+      netDays: { type: Number, min: 0 },
+      instalments: [InstalmentSchema],
+    },
+    // Instalments with amounts and due dates; dueDate is the final one
+    paymentSchedule: [ScheduleEntrySchema],
+    dueDate: { type: Date, default: null },
     deliveryTerms: { type: String, default: "1 Week" },
     imageUrl: { type: String, default: "" },
+    // Logo uploaded for this bill, kept in Cloudinary and reused whenever its
+    // PDF is re-rendered; empty when the bill uses the default logo
+    logoUrl: { type: String, default: "" },
+    logoPublicId: { type: String, default: "" },
     deliveryDate: { type: Date, default: null },
     modeOfDispatch: { type: String, default: "" },
     termsAndConditions: [{ type: String }],
@@ -71,14 +249,26 @@ const BillSchema = new mongoose.Schema(
       ],
     },
     remarks: { type: String, default: "" }, // New remarks field
+
+    // Revision tracking: incremented on every update, prior versions live in BillRevision
+    revision: { type: Number, default: 0, min: 0 },
+    updatedBy: { type: String, default: "" },
   },
   {
     timestamps: true,
   }
 );
 
+// Keep the outstanding balance in step with the total and payments
+BillSchema.pre("save", function (next) {
+  Object.assign(this, computeBalance(this.grandTotal, this.amountPaid));
+  next();
+});
+
 BillSchema.index({ poNo: 1 });
 BillSchema.index({ customerName: 1 });
 BillSchema.index({ createdAt: -1 });
+BillSchema.index({ status: 1, createdAt: -1 });
+BillSchema.index({ sourceBillId: 1, type: 1 });
 
 module.exports = mongoose.model("Bill", BillSchema);
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// Snapshot of a bill version that was replaced by an update.
+// `changes`, `changedBy` and `changeReason` describe the edit that superseded it.
+const BillRevisionSchema = new mongoose.Schema(
+  {
+    billId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Bill",
+      required: true,
+    },
+    poNo: { type: String, required: true },
+    revision: { type: Number, required: true, min: 0 },
+    snapshot: { type: mongoose.Schema.Types.Mixed, required: true },
+    pdfUrl: { type: String, default: "" },
+    pdfPublicId: { type: String, default: "" },
+    changes: [
+      {
+        _id: false,
+        field: { type: String, required: true },
+        from: { type: mongoose.Schema.Types.Mixed },
+        to: { type: mongoose.Schema.Types.Mixed },
+      },
+    ],
+    changedBy: { type: String, default: "system", trim: true },
+    changeReason: { type: String, default: "", trim: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+BillRevisionSchema.index({ billId: 1, revision: 1 }, { unique: true });
+
+module.exports = mongoose.model("BillRevision", BillRevisionSchema);
@@ -1,4 +1,15 @@
 const mongoose = require("mongoose");
+const { getStateCodeFromGSTIN, getStateName } = require("../utils/gst");
+
+// Numbering scheme for one document type, e.g. pattern "{PREFIX}/{FY}/{SEQ:4}"
+// Tokens are rendered by services/numbering.service.js
+const NumberingSchemeSchema = new mongoose.Schema(
+  {
+    prefix: { type: String, default: "", trim: true, uppercase: true },
+    pattern: { type: String, default: "", trim: true },
+  },
+  { _id: false }
+);
 
 const CompanySchema = new mongoose.Schema(
   {
@@ -11,6 +22,12 @@ const CompanySchema = new mongoose.Schema(
     emails: [{ type: String, trim: true }],
     isActive: { type: Boolean, default: true },
     website: { type: String, default: "", trim: true },
+    numbering: {
+      purchase_order: { type: NumberingSchemeSchema, default: undefined },
+      proforma_invoice: { type: NumberingSchemeSchema, default: undefined },
+      invoice: { type: NumberingSchemeSchema, default: undefined },
+      receipt: { type: NumberingSchemeSchema, default: undefined },
+    },
   },
   {
     timestamps: true,
@@ -19,6 +36,14 @@ const CompanySchema = new mongoose.Schema(
   }
 );
 
+// State of registration, derived from the GSTIN
+CompanySchema.virtual("stateCode").get(function () {
+  return getStateCodeFromGSTIN(this.gstin);
+});
+CompanySchema.virtual("stateName").get(function () {
+  return getStateName(getStateCodeFromGSTIN(this.gstin));
+});
+
 CompanySchema.index({ name: 1 });
 CompanySchema.index({ isActive: 1 });
 
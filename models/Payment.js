@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+const { PAYMENT_MODES } = require("../utils/payment");
+
+// Money received (or paid) against a bill, in the bill's currency.
+// The bill's amountPaid / balanceDue are the sums of its payments.
+const PaymentSchema = new mongoose.Schema(
+  {
+    billId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Bill",
+      required: true,
+    },
+    poNo: { type: String, required: true },
+    amount: { type: Number, required: true, min: 0.01 },
+    currency: { type: String, default: "INR" },
+    date: { type: Date, required: true },
+    mode: { type: String, enum: PAYMENT_MODES, default: "neft" },
+    // UTR / transaction ID / cheque number
+    reference: { type: String, default: "", trim: true, uppercase: true },
+    // Account the money was received in
+    bankId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BankDetail",
+      default: null,
+    },
+    // Statement credit the payment was reconciled from, if any
+    bankStatementId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BankStatement",
+      default: null,
+    },
+    // Receipt sent to the customer for this payment, if any
+    receiptId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Receipt",
+      default: null,
+    },
+    notes: { type: String, default: "", trim: true },
+    recordedBy: { type: String, default: "system", trim: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+PaymentSchema.index({ billId: 1, date: 1 });
+PaymentSchema.index({ reference: 1 });
+
+module.exports = mongoose.model("Payment", PaymentSchema);
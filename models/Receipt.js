@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+const { PAYMENT_MODES } = require("../utils/payment");
+
+// Part of a receipt applied to one bill, as it stood when the receipt was issued
+const ReceiptAllocationSchema = new mongoose.Schema(
+  {
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+      required: true,
+    },
+    billId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Bill",
+      required: true,
+    },
+    poNo: { type: String, required: true },
+    billType: { type: String, default: "" },
+    billDate: { type: Date },
+    billTotal: { type: Number, default: 0 },
+    paymentDate: { type: Date },
+    mode: { type: String, enum: PAYMENT_MODES },
+    reference: { type: String, default: "" },
+    amountApplied: { type: Number, required: true },
+    balanceAfter: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// Acknowledgement sent to a customer for payments received against their bills
+const ReceiptSchema = new mongoose.Schema(
+  {
+    receiptNo: { type: String, required: true, unique: true },
+    // Numbering series the receipt number was taken from
+    counterId: { type: String, default: "" },
+    sequence: { type: Number },
+    date: { type: Date, required: true },
+    companyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Company",
+      default: null,
+    },
+    customerName: { type: String, required: true, trim: true },
+    customerAddress: { type: String, default: "", trim: true },
+    customerGSTIN: { type: String, default: "", trim: true, uppercase: true },
+    currency: { type: String, default: "INR" },
+    amount: { type: Number, required: true, min: 0.01 },
+    // Account the money was received in
+    bankId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BankDetail",
+      default: null,
+    },
+    allocations: {
+      type: [ReceiptAllocationSchema],
+      validate: [(list) => list.length > 0, "A receipt needs a payment"],
+    },
+    notes: { type: String, default: "", trim: true },
+    pdfUrl: { type: String, default: "" },
+    pdfPublicId: { type: String, default: "" },
+    issuedBy: { type: String, default: "system", trim: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+ReceiptSchema.index({ "allocations.billId": 1 });
+ReceiptSchema.index({ customerName: 1, date: -1 });
+
+module.exports = mongoose.model("Receipt", ReceiptSchema);
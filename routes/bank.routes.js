@@ -1,4 +1,5 @@
 const express = require("express");
+const multer = require("multer");
 const {
   createBankDetail,
   getBankDetailById,
@@ -8,9 +9,28 @@ const {
   toggleBankDetailStatus,
   getBankDetails,
 } = require("../controllers/BankDetailController");
+const {
+  importStatement,
+  listStatements,
+  getStatement,
+  confirmMatches,
+} = require("../controllers/BankStatementController");
 
 const router = express.Router();
 
+// Bank statements are parsed in memory (CSV or Excel)
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|xlsx)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error("Only .csv and .xlsx statements are allowed"), false);
+    }
+  },
+});
+
 // GET /api/bank-details - Get all bank details
 router.get("/", getBankDetails);
 
@@ -32,4 +52,20 @@ router.delete("/:id/hard", hardDeleteBankDetail);
 // PATCH /api/bank-details/:id/toggle - Toggle bank detail status
 router.patch("/:id/toggle", toggleBankDetailStatus);
 
+// POST /api/bank-details/:id/statements - Import a statement and propose matches
+router.post(
+  "/:id/statements",
+  statementUpload.single("file"),
+  importStatement
+);
+
+// GET /api/bank-details/:id/statements - List imported statements
+router.get("/:id/statements", listStatements);
+
+// GET /api/bank-details/:id/statements/:statementId - Statement credits and proposals
+router.get("/:id/statements/:statementId", getStatement);
+
+// POST /api/bank-details/:id/statements/:statementId/confirm - Record matches as payments
+router.post("/:id/statements/:statementId/confirm", confirmMatches);
+
 module.exports = router;
@@ -2,13 +2,28 @@ const express = require("express");
 const multer = require("multer");
 const {
   createBill,
+  updateBill,
+  convertBill,
+  duplicateBill,
+  listBillRevisions,
+  getBillRevision,
+  updateBillStatus,
   listBills,
   healthCheck,
   getBillById,
   getPdf,
   downloadPdf,
+  getEInvoiceJson,
+  attachIrn,
+  getEwayBillJson,
+  updateBillTransport,
   deleteBill,
+  cancelBill,
 } = require("../controllers/BillController.js");
+const {
+  recordPayment,
+  listPayments,
+} = require("../controllers/PaymentController");
 
 const router = express.Router();
 
@@ -28,11 +43,24 @@ const upload = multer({
 
 // Routes
 router.post("/", upload.single("image"), createBill); // upload.any() handles any form fields and files
+router.post("/eway-bill-json", getEwayBillJson);
 router.get("/", listBills);
 router.get("/health", healthCheck);
 router.get("/:id", getBillById);
 router.get("/:id/pdf", getPdf);
 router.get("/:id/download", downloadPdf);
+router.get("/:id/einvoice-json", getEInvoiceJson);
+router.post("/:id/irn", attachIrn);
+router.put("/:id", upload.single("image"), updateBill);
+router.get("/:id/revisions", listBillRevisions);
+router.get("/:id/revisions/:rev", getBillRevision);
+router.patch("/:id/status", updateBillStatus);
+router.patch("/:id/transport", updateBillTransport);
+router.post("/:id/cancel", cancelBill);
+router.post("/:id/payments", recordPayment);
+router.get("/:id/payments", listPayments);
+router.post("/:id/convert", convertBill);
+router.post("/:id/duplicate", duplicateBill);
 router.delete("/:id", deleteBill);
 
 module.exports = router;
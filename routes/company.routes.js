@@ -5,6 +5,8 @@ const {
   getCompanyById,
   updateCompany,
   deleteCompany,
+  previewNumbering,
+  seedNumbering,
 } = require("../controllers/CompanyController");
 
 const router = express.Router();
@@ -14,5 +16,7 @@ router.get("/", getCompanies);
 router.get("/:id", getCompanyById);
 router.put("/:id", updateCompany);
 router.delete("/:id", deleteCompany);
+router.get("/:id/numbering/preview", previewNumbering);
+router.post("/:id/numbering/seed", seedNumbering);
 
 module.exports = router;
@@ -0,0 +1,16 @@
+const express = require("express");
+const {
+  createReceipt,
+  listReceipts,
+  getReceipt,
+  downloadReceipt,
+} = require("../controllers/ReceiptController");
+
+const router = express.Router();
+
+router.post("/", createReceipt);
+router.get("/", listReceipts);
+router.get("/:id", getReceipt);
+router.get("/:id/download", downloadReceipt);
+
+module.exports = router;
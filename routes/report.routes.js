@@ -0,0 +1,14 @@
+const express = require("express");
+const {
+  getGstr1,
+  getAgeing,
+  getUnmatchedCredits,
+} = require("../controllers/ReportController");
+
+const router = express.Router();
+
+router.get("/gstr1", getGstr1);
+router.get("/ageing", getAgeing);
+router.get("/unmatched-credits", getUnmatchedCredits);
+
+module.exports = router;
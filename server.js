@@ -46,6 +46,8 @@ const billRoutes = require("./routes/billRoutes");
 const bankRoutes = require("./routes/bank.routes");
 const companyRoutes = require("./routes/company.routes");
 const termsRoutes = require("./routes/terms.routes");
+const reportRoutes = require("./routes/report.routes");
+const receiptRoutes = require("./routes/receipt.routes");
 const errorHandler = require("./middleware/errorHandler");
 
 const app = express();
@@ -75,7 +77,7 @@ app.use("/api/", limiter);
 app.use(
   cors({
     origin: "*",
-    methods: ["GET", "POST", "PUT", "DELETE"],
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE"],
     allowedHeaders: ["Content-Type", "Authorization"],
   })
 );
@@ -142,6 +144,8 @@ app.use("/api/bills", billRoutes);
 app.use("/api/bank-details", bankRoutes);
 app.use("/api/companies", companyRoutes);
 app.use("/api/terms", termsRoutes);
+app.use("/api/reports", reportRoutes);
+app.use("/api/receipts", receiptRoutes);
 
 // Root route
 app.get("/", (req, res) => {
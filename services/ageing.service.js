@@ -0,0 +1,142 @@
+const { roundToTwoDecimal } = require("../utils/currency");
+const { toCsv } = require("../utils/csv");
+const { computeBalance } = require("../utils/payment");
+const { getDueDate, getDaysOverdue } = require("../utils/paymentTerms");
+
+// Ageing buckets by days past the due date; "current" is not yet due
+const AGEING_BUCKETS = [
+  { key: "current", label: "Not Due", maxDays: -1 },
+  { key: "0_30", label: "0-30 Days", maxDays: 30 },
+  { key: "31_60", label: "31-60 Days", maxDays: 60 },
+  { key: "61_90", label: "61-90 Days", maxDays: 90 },
+  { key: "90_plus", label: "90+ Days", maxDays: Infinity },
+];
+
+// Statuses that can still carry a balance
+const OPEN_STATUSES = ["issued", "sent", "partially_paid"];
+
+function bucketFor(daysOverdue) {
+  return AGEING_BUCKETS.find((bucket) => daysOverdue <= bucket.maxDays).key;
+}
+
+const emptyBuckets = () =>
+  Object.fromEntries(AGEING_BUCKETS.map((bucket) => [bucket.key, 0]));
+
+function addToBuckets(target, bucket, amount) {
+  target.buckets[bucket] = roundToTwoDecimal(target.buckets[bucket] + amount);
+  target.total = roundToTwoDecimal(target.total + amount);
+}
+
+/**
+ * Build the receivables ageing of open invoices as of a date. Balances are
+ * grouped per customer (GSTIN, else name) and currency, never summed across
+ * currencies.
+ * @returns {Object} - { asOf, buckets, customers, totals }
+ */
+function buildAgeingReport(bills, { asOf = new Date() } = {}) {
+  const customers = new Map();
+  const totals = {};
+
+  bills
+    .filter((bill) => OPEN_STATUSES.includes(bill.status))
+    .forEach((bill) => {
+      const { balanceDue } = computeBalance(bill.grandTotal, bill.amountPaid);
+      if (balanceDue <= 0) return;
+
+      const dueDate = getDueDate(bill);
+      const daysOverdue = getDaysOverdue(dueDate, asOf);
+      const bucket = bucketFor(daysOverdue);
+      const customerKey = (bill.customerGSTIN || bill.customerName)
+        .trim()
+        .toUpperCase();
+      const key = `${customerKey}|${bill.currency}`;
+
+      if (!customers.has(key)) {
+        customers.set(key, {
+          customerName: bill.customerName,
+          customerGSTIN: bill.customerGSTIN || "",
+          currency: bill.currency,
+          buckets: emptyBuckets(),
+          total: 0,
+          oldestDaysOverdue: daysOverdue,
+          invoices: [],
+        });
+      }
+      const customer = customers.get(key);
+      addToBuckets(customer, bucket, balanceDue);
+      customer.oldestDaysOverdue = Math.max(
+        customer.oldestDaysOverdue,
+        daysOverdue
+      );
+      customer.invoices.push({
+        billId: bill._id,
+        poNo: bill.poNo,
+        date: bill.date,
+        dueDate,
+        daysOverdue,
+        bucket,
+        grandTotal: bill.grandTotal,
+        balanceDue,
+      });
+
+      if (!totals[bill.currency]) {
+        totals[bill.currency] = { buckets: emptyBuckets(), total: 0 };
+      }
+      addToBuckets(totals[bill.currency], bucket, balanceDue);
+    });
+
+  // Most overdue customers first
+  const rows = [...customers.values()].sort(
+    (a, b) =>
+      b.oldestDaysOverdue - a.oldestDaysOverdue ||
+      b.total - a.total ||
+      a.customerName.localeCompare(b.customerName)
+  );
+  rows.forEach((customer) =>
+    customer.invoices.sort((a, b) => b.daysOverdue - a.daysOverdue)
+  );
+
+  return {
+    asOf,
+    buckets: AGEING_BUCKETS.map(({ key, label }) => ({ key, label })),
+    customers: rows,
+    totals,
+  };
+}
+
+/**
+ * CSV of the ageing report: one row per customer and currency, followed by
+ * the per-currency totals
+ */
+function ageingToCsv(report) {
+  const bucketCells = (target) =>
+    AGEING_BUCKETS.map((bucket) => target.buckets[bucket.key]);
+  const rows = report.customers.map((customer) => [
+    customer.customerName,
+    customer.customerGSTIN,
+    customer.currency,
+    customer.invoices.length,
+    ...bucketCells(customer),
+    customer.total,
+  ]);
+  Object.entries(report.totals).forEach(([currency, total]) => {
+    rows.push(["Total", "", currency, "", ...bucketCells(total), total.total]);
+  });
+  return toCsv(
+    [
+      "Customer",
+      "GSTIN",
+      "Currency",
+      "Open Invoices",
+      ...AGEING_BUCKETS.map((bucket) => bucket.label),
+      "Total Outstanding",
+    ],
+    rows
+  );
+}
+
+module.exports = {
+  AGEING_BUCKETS,
+  buildAgeingReport,
+  ageingToCsv,
+};
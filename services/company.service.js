@@ -0,0 +1,40 @@
+const Company = require("../models/Company");
+
+const DEFAULT_EMAILS = ["sales@ingredientz.co", "procurement@ingredientz.co"];
+
+// Company printed on documents that are not linked to a Company record
+const DEFAULT_COMPANY_DETAILS = {
+  name: "PROINGREDIENTZ CONNECTIONS PVT. LTD.",
+  registeredOffice:
+    "Flat No. 609, C Wing, 6th Floor, Raga Bldg, Vasantrao Naik Marg, Shram Jivi Nagar, Chembur, Mumbai – 400071, India",
+  principalPlaceOfBusiness:
+    "Khasra No. 594, Ganesh Nagar, Indore – 452010, Madhya Pradesh, India",
+  gstin: "23AAPCP3793B1ZC",
+  pan: "AAPCP3793B",
+  iec: "AAPCP3793B",
+  emails: DEFAULT_EMAILS,
+};
+
+/**
+ * Fetch company details if provided (company management), otherwise defaults
+ */
+async function resolveCompanyDetails(companyId) {
+  if (companyId) {
+    try {
+      const companyDetails = await Company.findById(companyId).select("-__v");
+      if (companyDetails && companyDetails.isActive) {
+        return companyDetails;
+      }
+      console.warn("Company not found or inactive, using defaults");
+    } catch (error) {
+      console.warn("Error fetching company details:", error.message);
+    }
+  }
+  return DEFAULT_COMPANY_DETAILS;
+}
+
+module.exports = {
+  DEFAULT_EMAILS,
+  DEFAULT_COMPANY_DETAILS,
+  resolveCompanyDetails,
+};
@@ -0,0 +1,440 @@
+const {
+  GST_STATE_CODES,
+  getStateCodeFromGSTIN,
+  normalizeStateCode,
+} = require("../utils/gst");
+const { roundToTwoDecimal } = require("../utils/currency");
+
+// INV-01 schema version produced by this service
+const EINVOICE_VERSION = "1.1";
+
+// State code and PIN the IRP expects for buyers outside India
+const EXPORT_STATE_CODE = "96";
+const EXPORT_PIN = 999999;
+
+// GST rates accepted by the IRP
+const VALID_GST_RATES = [0, 0.1, 0.25, 1, 1.5, 3, 5, 6, 7.5, 12, 18, 28, 40];
+
+// Bill units mapped to GST unit quantity codes (UQC). Weight units are
+// reported in kilograms because prices are per kg (see calculateItemTotal).
+const UNIT_CODES = {
+  kg: "KGS",
+  mt: "KGS",
+  tons: "KGS",
+  grams: "KGS",
+  lbs: "KGS",
+  oz: "KGS",
+  pcs: "PCS",
+  ft: "OTH",
+  m: "MTR",
+  cm: "CMS",
+  inches: "OTH",
+  "sq ft": "SQF",
+  "sq m": "SQM",
+  liters: "LTR",
+  gallons: "UGS",
+  box: "BOX",
+  set: "SET",
+  pair: "PRS",
+  dozen: "DOZ",
+};
+const KG_FACTORS = {
+  kg: 1,
+  mt: 1000,
+  tons: 1000,
+  grams: 0.001,
+  lbs: 0.453592,
+  oz: 0.0283495,
+};
+
+const GSTIN_REGEX = /^[0-9]{2}[0-9A-Z]{13}$/;
+const DOC_NO_REGEX = /^[A-Za-z1-9][A-Za-z0-9/-]{0,15}$/;
+const HSN_REGEX = /^(\d{4}|\d{6}|\d{8})$/;
+const PIN_REGEX = /\b([1-9]\d{5})\b/;
+
+const round3 = (num) =>
+  Math.round((Number(num) + Number.EPSILON) * 1000) / 1000;
+
+/**
+ * Split a free-text address into INV-01 address parts. The PIN is the
+ * 6-digit number in the text and the location is the text next to it
+ * ("Mumbai – 400071" -> "Mumbai").
+ */
+function parseAddress(text) {
+  const address = String(text || "")
+    .replace(/\s+/g, " ")
+    .trim();
+  const segments = address
+    .split(",")
+    .map((segment) => segment.trim())
+    .filter(Boolean);
+  const pinMatch = address.match(PIN_REGEX);
+  const pinIndex = segments.findIndex((segment) => PIN_REGEX.test(segment));
+
+  let loc = "";
+  if (pinIndex !== -1) {
+    loc = segments[pinIndex]
+      .replace(PIN_REGEX, "")
+      .replace(/[–—-]/g, " ")
+      .trim();
+    if (loc.length < 3 && pinIndex > 0) loc = segments[pinIndex - 1];
+  } else if (segments.length > 1) {
+    loc = segments[segments.length - 1];
+  }
+
+  // Addr1/Addr2 hold at most 100 characters each
+  const addr1 = address.slice(0, 100);
+  const addr2 = address.slice(100, 200);
+  return {
+    Addr1: addr1,
+    ...(addr2 && { Addr2: addr2 }),
+    Loc: loc.slice(0, 50),
+    Pin: pinMatch ? Number(pinMatch[1]) : undefined,
+  };
+}
+
+/**
+ * Quantity and GST unit code (UQC) of an item as reported to the portals
+ */
+function toReportedQuantity(item) {
+  const unit = (item.unit || "pcs").toLowerCase();
+  const kgFactor = KG_FACTORS[unit];
+  return {
+    quantity: round3(kgFactor ? item.quantity * kgFactor : item.quantity),
+    unit: UNIT_CODES[unit] || "OTH",
+  };
+}
+
+/**
+ * Format a date as dd/mm/yyyy
+ */
+function formatDocDate(date) {
+  const d = new Date(date);
+  const dd = String(d.getDate()).padStart(2, "0");
+  const mm = String(d.getMonth() + 1).padStart(2, "0");
+  return `${dd}/${mm}/${d.getFullYear()}`;
+}
+
+/**
+ * Map a Bill and its company into the INV-01 e-invoice payload.
+ * Amounts in a foreign currency are converted with `exchangeRate` (INR per
+ * unit); the IRP only accepts INR values.
+ */
+function buildEInvoicePayload(bill, company, { exchangeRate = 1 } = {}) {
+  const rate = Number(exchangeRate) || 1;
+  const inr = (amount) => roundToTwoDecimal((Number(amount) || 0) * rate);
+  const isExport = bill.currency !== "INR" && !bill.customerGSTIN;
+  const isInterState = !!bill.isInterState;
+  const inclusive = !!bill.pricesIncludeTax;
+
+  const splitLineTax = (taxAmount) => {
+    const tax = inr(taxAmount);
+    if (isInterState) return { IgstAmt: tax, CgstAmt: 0, SgstAmt: 0 };
+    const cgst = roundToTwoDecimal(tax / 2);
+    return {
+      IgstAmt: 0,
+      CgstAmt: cgst,
+      SgstAmt: roundToTwoDecimal(tax - cgst),
+    };
+  };
+
+  const itemList = bill.items.map((item, index) => {
+    const { quantity: qty, unit } = toReportedQuantity(item);
+    const taxRate = Number(item.taxRate) || 0;
+    // Line value before any discount; TotAmt excludes tax
+    const gross = (item.total || 0) + (item.discountAmount || 0);
+    const totAmt = inr(inclusive ? (gross * 100) / (100 + taxRate) : gross);
+    const assAmt = inr(item.taxableValue);
+    const taxes = splitLineTax(item.taxAmount);
+    return {
+      SlNo: String(index + 1),
+      PrdDesc: item.description,
+      IsServc: /^99/.test(item.hsn || "") ? "Y" : "N",
+      HsnCd: item.hsn || "",
+      Qty: qty,
+      Unit: unit,
+      UnitPrice: round3(qty ? totAmt / qty : 0),
+      TotAmt: totAmt,
+      Discount: roundToTwoDecimal(totAmt - assAmt),
+      AssAmt: assAmt,
+      GstRt: taxRate,
+      ...taxes,
+      CesRt: 0,
+      CesAmt: 0,
+      CesNonAdvlAmt: 0,
+      StateCesRt: 0,
+      StateCesAmt: 0,
+      StateCesNonAdvlAmt: 0,
+      OthChrg: 0,
+      TotItemVal: roundToTwoDecimal(
+        assAmt + taxes.IgstAmt + taxes.CgstAmt + taxes.SgstAmt
+      ),
+    };
+  });
+
+  // Taxable charges (freight, packing, ...) are services on their own line;
+  // non-taxable ones go into the invoice-level other charges
+  const charges = bill.additionalCharges || [];
+  charges
+    .filter((charge) => charge.taxable)
+    .forEach((charge) => {
+      const assAmt = inr(charge.taxableValue);
+      const taxes = splitLineTax(charge.taxAmount);
+      itemList.push({
+        SlNo: String(itemList.length + 1),
+        PrdDesc: charge.name,
+        IsServc: "Y",
+        HsnCd: charge.sac || "",
+        Qty: 1,
+        Unit: "OTH",
+        UnitPrice: assAmt,
+        TotAmt: assAmt,
+        Discount: 0,
+        AssAmt: assAmt,
+        GstRt: Number(charge.taxRate) || 0,
+        ...taxes,
+        CesRt: 0,
+        CesAmt: 0,
+        CesNonAdvlAmt: 0,
+        StateCesRt: 0,
+        StateCesAmt: 0,
+        StateCesNonAdvlAmt: 0,
+        OthChrg: 0,
+        TotItemVal: roundToTwoDecimal(
+          assAmt + taxes.IgstAmt + taxes.CgstAmt + taxes.SgstAmt
+        ),
+      });
+    });
+  const otherCharges = inr(
+    charges
+      .filter((charge) => !charge.taxable)
+      .reduce((sum, charge) => sum + (charge.amount || 0), 0)
+  );
+
+  const sum = (field) =>
+    roundToTwoDecimal(itemList.reduce((s, item) => s + item[field], 0));
+
+  const sellerAddress =
+    company.principalPlaceOfBusiness || company.registeredOffice || "";
+  const buyerStateCode = isExport
+    ? EXPORT_STATE_CODE
+    : getStateCodeFromGSTIN(bill.customerGSTIN) ||
+      normalizeStateCode(bill.placeOfSupply);
+  const placeOfSupply = isExport
+    ? EXPORT_STATE_CODE
+    : normalizeStateCode(bill.placeOfSupply) || buyerStateCode;
+  const buyerAddress = parseAddress(bill.customerAddress);
+
+  let supplyType = "B2B";
+  if (isExport) supplyType = bill.taxes > 0 ? "EXPWP" : "EXPWOP";
+
+  const payload = {
+    Version: EINVOICE_VERSION,
+    TranDtls: {
+      TaxSch: "GST",
+      SupTyp: supplyType,
+      RegRev: "N",
+      IgstOnIntra: "N",
+    },
+    DocDtls: {
+      Typ: "INV",
+      No: bill.poNo,
+      Dt: formatDocDate(bill.date),
+    },
+    SellerDtls: {
+      Gstin: company.gstin || "",
+      LglNm: company.name || "",
+      ...parseAddress(sellerAddress),
+      Stcd: getStateCodeFromGSTIN(company.gstin),
+      ...(company.emails &&
+        company.emails.length && { Em: company.emails[0] }),
+    },
+    BuyerDtls: {
+      Gstin: isExport ? "URP" : bill.customerGSTIN || "",
+      LglNm: bill.customerName || "",
+      Pos: placeOfSupply,
+      ...buyerAddress,
+      ...(isExport && { Pin: EXPORT_PIN }),
+      Stcd: buyerStateCode,
+    },
+    ItemList: itemList,
+    ValDtls: {
+      AssVal: sum("AssAmt"),
+      CgstVal: sum("CgstAmt"),
+      SgstVal: sum("SgstAmt"),
+      IgstVal: sum("IgstAmt"),
+      CesVal: 0,
+      StCesVal: 0,
+      Discount: 0,
+      OthChrg: otherCharges,
+      RndOffAmt: inr(bill.roundOff),
+      TotInvVal: inr(bill.grandTotal),
+      ...(bill.currency !== "INR" && {
+        TotInvValFc: roundToTwoDecimal(bill.grandTotal),
+      }),
+    },
+  };
+
+  // Ship-to only when goods go somewhere other than the billing address
+  if (
+    bill.deliveryAddress &&
+    bill.deliveryAddress.trim() !== (bill.customerAddress || "").trim()
+  ) {
+    payload.ShipDtls = {
+      ...(!isExport && bill.customerGSTIN && { Gstin: bill.customerGSTIN }),
+      LglNm: bill.customerName || "",
+      ...parseAddress(bill.deliveryAddress),
+      ...(isExport && { Pin: EXPORT_PIN }),
+      Stcd: isExport ? EXPORT_STATE_CODE : placeOfSupply,
+    };
+  }
+
+  if (isExport) {
+    payload.ExpDtls = { ForCur: bill.currency };
+  }
+
+  return payload;
+}
+
+/**
+ * Validate party (seller/buyer/ship-to) details against INV-01 rules
+ */
+function validateParty(errors, party, path, source) {
+  const add = (field, message) =>
+    errors.push({ field: `${path}.${field}`, message });
+
+  if (party.Gstin !== undefined && party.Gstin !== "URP") {
+    if (!GSTIN_REGEX.test(party.Gstin || "")) {
+      add("Gstin", `${source} GSTIN is missing or not 15 characters`);
+    }
+  }
+  if (!party.LglNm || party.LglNm.length < 3 || party.LglNm.length > 100) {
+    add("LglNm", `${source} legal name must be 3-100 characters`);
+  }
+  if (!party.Addr1) {
+    add("Addr1", `${source} address is missing`);
+  }
+  if (!party.Loc || party.Loc.length < 3) {
+    add(
+      "Loc",
+      `${source} city/location could not be read from the address; write it next to the PIN code (e.g. "Mumbai - 400071")`
+    );
+  }
+  if (!party.Pin || party.Pin < 100000 || party.Pin > 999999) {
+    add(
+      "Pin",
+      `${source} PIN code not found; add a 6-digit PIN code to the address`
+    );
+  }
+  if (
+    !party.Stcd ||
+    !(GST_STATE_CODES[party.Stcd] || party.Stcd === EXPORT_STATE_CODE)
+  ) {
+    add(
+      "Stcd",
+      `${source} state code is missing; set a valid GSTIN or place of supply`
+    );
+  }
+}
+
+/**
+ * Validate an INV-01 payload locally before it is uploaded to the IRP.
+ * Returns a list of { field, message }; empty when the payload is valid.
+ */
+function validateEInvoicePayload(payload) {
+  const errors = [];
+  const add = (field, message) => errors.push({ field, message });
+
+  if (!DOC_NO_REGEX.test(payload.DocDtls.No || "")) {
+    add(
+      "DocDtls.No",
+      "Invoice number must be 1-16 characters of letters, digits, / and - and cannot start with 0, / or -"
+    );
+  }
+  if (!/^\d{2}\/\d{2}\/\d{4}$/.test(payload.DocDtls.Dt)) {
+    add("DocDtls.Dt", "Invoice date is invalid");
+  }
+
+  validateParty(errors, payload.SellerDtls, "SellerDtls", "Seller");
+  validateParty(errors, payload.BuyerDtls, "BuyerDtls", "Buyer");
+  if (payload.ShipDtls) {
+    validateParty(errors, payload.ShipDtls, "ShipDtls", "Ship-to");
+  }
+  if (
+    payload.TranDtls.SupTyp === "B2B" &&
+    (!payload.BuyerDtls.Gstin || payload.BuyerDtls.Gstin === "URP")
+  ) {
+    add(
+      "BuyerDtls.Gstin",
+      "Buyer GSTIN is required; e-invoices are only issued for B2B supplies and exports"
+    );
+  }
+  if (
+    !payload.BuyerDtls.Pos ||
+    !(
+      GST_STATE_CODES[payload.BuyerDtls.Pos] ||
+      payload.BuyerDtls.Pos === EXPORT_STATE_CODE
+    )
+  ) {
+    add("BuyerDtls.Pos", "Place of supply is missing or not a GST state code");
+  }
+
+  if (!payload.ItemList.length) {
+    add("ItemList", "At least one item is required");
+  }
+  payload.ItemList.forEach((item, index) => {
+    const path = `ItemList[${index}]`;
+    if (!HSN_REGEX.test(item.HsnCd)) {
+      add(
+        `${path}.HsnCd`,
+        `Line ${item.SlNo} (${item.PrdDesc}): HSN/SAC must be 4, 6 or 8 digits`
+      );
+    }
+    if (!VALID_GST_RATES.includes(item.GstRt)) {
+      add(
+        `${path}.GstRt`,
+        `Line ${item.SlNo} (${item.PrdDesc}): ${
+          item.GstRt
+        }% is not a GST rate (${VALID_GST_RATES.join(", ")})`
+      );
+    }
+    if (!item.PrdDesc || item.PrdDesc.length > 300) {
+      add(
+        `${path}.PrdDesc`,
+        `Line ${item.SlNo}: description must be 1-300 characters`
+      );
+    }
+  });
+
+  const { ValDtls } = payload;
+  const itemsValue = payload.ItemList.reduce(
+    (sum, item) => sum + item.TotItemVal,
+    0
+  );
+  const expected = roundToTwoDecimal(
+    itemsValue + ValDtls.OthChrg + ValDtls.RndOffAmt - ValDtls.Discount
+  );
+  // The IRP tolerates a difference of up to one rupee
+  if (Math.abs(expected - ValDtls.TotInvVal) > 1) {
+    add(
+      "ValDtls.TotInvVal",
+      `Invoice total ${ValDtls.TotInvVal} does not match the item values (${expected})`
+    );
+  }
+  if (Math.abs(ValDtls.RndOffAmt) > 99.99) {
+    add("ValDtls.RndOffAmt", "Round-off must be within ±99.99");
+  }
+
+  return errors;
+}
+
+module.exports = {
+  EINVOICE_VERSION,
+  EXPORT_STATE_CODE,
+  EXPORT_PIN,
+  parseAddress,
+  formatDocDate,
+  toReportedQuantity,
+  buildEInvoicePayload,
+  validateEInvoicePayload,
+};
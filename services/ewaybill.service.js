@@ -0,0 +1,235 @@
+const {
+  getStateCodeFromGSTIN,
+  normalizeStateCode,
+} = require("../utils/gst");
+const { roundToTwoDecimal } = require("../utils/currency");
+const {
+  EXPORT_STATE_CODE,
+  EXPORT_PIN,
+  parseAddress,
+  formatDocDate,
+  toReportedQuantity,
+} = require("./einvoice.service");
+
+// Version of the bulk e-way bill JSON accepted by the EWB portal
+const EWAY_BILL_VERSION = "1.0.0621";
+
+// Consignments above this invoice value (INR) need an e-way bill
+function getEwayBillThreshold() {
+  return Number(process.env.EWAY_BILL_THRESHOLD) || 50000;
+}
+
+const TRANSPORT_MODE_CODES = { road: 1, rail: 2, air: 3, ship: 4 };
+
+/**
+ * Transport data the EWB portal needs before it generates an e-way bill.
+ * Returns a list of messages; empty when the bill is complete.
+ */
+function findTransportIssues(bill) {
+  const transport = bill.transport || {};
+  const issues = [];
+  if (transport.distanceKm === null || transport.distanceKm === undefined) {
+    issues.push("Transport distance (km) is missing");
+  }
+  if (!transport.mode) {
+    issues.push("Transport mode is missing");
+  } else if (transport.mode === "road") {
+    if (!transport.vehicleNumber && !transport.transporterId) {
+      issues.push("Vehicle number or transporter ID is required for road");
+    }
+  } else if (!transport.transportDocNo || !transport.transportDocDate) {
+    issues.push(
+      `Transport document number and date are required for ${transport.mode}`
+    );
+  }
+  return issues;
+}
+
+/**
+ * Map an invoice into one entry of the bulk e-way bill JSON (billLists).
+ * Amounts in a foreign currency are converted with `exchangeRate` (INR per
+ * unit).
+ */
+function buildEwayBillEntry(bill, company, { exchangeRate = 1 } = {}) {
+  const rate = Number(exchangeRate) || 1;
+  const inr = (amount) => roundToTwoDecimal((Number(amount) || 0) * rate);
+  const transport = bill.transport || {};
+  const isExport = bill.currency !== "INR" && !bill.customerGSTIN;
+  const isInterState = !!bill.isInterState;
+
+  const from = parseAddress(
+    company.principalPlaceOfBusiness || company.registeredOffice
+  );
+  const to = parseAddress(bill.customerAddress);
+  const shipTo = parseAddress(bill.deliveryAddress || bill.customerAddress);
+  const shipsElsewhere =
+    !!bill.deliveryAddress &&
+    bill.deliveryAddress.trim() !== (bill.customerAddress || "").trim();
+
+  const fromStateCode = getStateCodeFromGSTIN(company.gstin);
+  const toStateCode = isExport
+    ? EXPORT_STATE_CODE
+    : getStateCodeFromGSTIN(bill.customerGSTIN) ||
+      normalizeStateCode(bill.placeOfSupply);
+  const actualToStateCode = isExport
+    ? EXPORT_STATE_CODE
+    : normalizeStateCode(bill.placeOfSupply) || toStateCode;
+
+  const rateSplit = (taxRate) => ({
+    sgstRate: isInterState ? 0 : taxRate / 2,
+    cgstRate: isInterState ? 0 : taxRate / 2,
+    igstRate: isInterState ? taxRate : 0,
+  });
+
+  const itemList = bill.items.map((item, index) => {
+    const { quantity, unit } = toReportedQuantity(item);
+    const taxRate = Number(item.taxRate) || 0;
+    return {
+      itemNo: index + 1,
+      productName: item.description,
+      productDesc: item.description,
+      hsnCode: Number(item.hsn) || 0,
+      quantity,
+      qtyUnit: unit,
+      taxableAmount: inr(item.taxableValue),
+      ...rateSplit(taxRate),
+      cessRate: 0,
+      cessNonAdvol: 0,
+    };
+  });
+  (bill.additionalCharges || [])
+    .filter((charge) => charge.taxable)
+    .forEach((charge) => {
+      itemList.push({
+        itemNo: itemList.length + 1,
+        productName: charge.name,
+        productDesc: charge.name,
+        hsnCode: Number(charge.sac) || 0,
+        quantity: 1,
+        qtyUnit: "OTH",
+        taxableAmount: inr(charge.taxableValue),
+        ...rateSplit(Number(charge.taxRate) || 0),
+        cessRate: 0,
+        cessNonAdvol: 0,
+      });
+    });
+
+  // Main HSN is the one carrying the largest taxable value
+  const main = [...itemList].sort(
+    (a, b) => b.taxableAmount - a.taxableAmount
+  )[0];
+  const taxBreakdown = bill.taxBreakdown || {};
+  const nonTaxable = (bill.additionalCharges || [])
+    .filter((charge) => !charge.taxable)
+    .reduce((sum, charge) => sum + (charge.amount || 0), 0);
+
+  return {
+    userGstin: company.gstin || "",
+    supplyType: "O",
+    subSupplyType: isExport ? 3 : 1,
+    subSupplyDesc: "",
+    docType: "INV",
+    docNo: bill.poNo,
+    docDate: formatDocDate(bill.date),
+    // 1 = regular, 2 = bill to - ship to
+    transType: shipsElsewhere ? 2 : 1,
+    fromGstin: company.gstin || "",
+    fromTrdName: company.name || "",
+    fromAddr1: from.Addr1,
+    fromAddr2: from.Addr2 || "",
+    fromPlace: from.Loc,
+    fromPincode: from.Pin || 0,
+    fromStateCode: Number(fromStateCode) || 0,
+    actualFromStateCode: Number(fromStateCode) || 0,
+    toGstin: isExport ? "URP" : bill.customerGSTIN || "URP",
+    toTrdName: bill.customerName || "",
+    toAddr1: shipTo.Addr1,
+    toAddr2: shipTo.Addr2 || "",
+    toPlace: shipTo.Loc || to.Loc,
+    toPincode: isExport ? EXPORT_PIN : shipTo.Pin || 0,
+    toStateCode: Number(toStateCode) || 0,
+    actualToStateCode: Number(actualToStateCode) || 0,
+    totalValue: roundToTwoDecimal(
+      itemList.reduce((sum, item) => sum + item.taxableAmount, 0)
+    ),
+    cgstValue: inr(taxBreakdown.cgst),
+    sgstValue: inr(taxBreakdown.sgst),
+    igstValue: inr(taxBreakdown.igst),
+    cessValue: 0,
+    TotNonAdvolVal: 0,
+    OthValue: inr(nonTaxable + (bill.roundOff || 0)),
+    totInvValue: inr(bill.grandTotal),
+    transMode: TRANSPORT_MODE_CODES[transport.mode] || 1,
+    transDistance: String(transport.distanceKm || 0),
+    transporterName: transport.transporterName || "",
+    transporterId: transport.transporterId || "",
+    transDocNo: transport.transportDocNo || "",
+    transDocDate: transport.transportDocDate
+      ? formatDocDate(transport.transportDocDate)
+      : "",
+    vehicleNo: transport.vehicleNumber || "",
+    vehicleType: transport.vehicleType === "odc" ? "O" : "R",
+    mainHsnCode: main ? main.hsnCode : 0,
+    itemList,
+  };
+}
+
+/**
+ * Build the bulk e-way bill JSON for several bills. Bills with incomplete
+ * transport data, non-invoices and foreign currency bills without an
+ * exchange rate are reported and left out; those above the threshold that
+ * lack transport data are flagged.
+ * @returns {Object} - { ewayBill: { version, billLists }, threshold, results }
+ */
+function buildBulkEwayBill(entries, { exchangeRates = {} } = {}) {
+  const threshold = getEwayBillThreshold();
+  const billLists = [];
+  const results = entries.map(({ bill, company }) => {
+    const result = {
+      billId: bill._id,
+      poNo: bill.poNo,
+      issues: [],
+    };
+    if (bill.type !== "invoice") {
+      result.issues.push("Only invoices can be filed as e-way bills");
+    }
+    if (["draft", "cancelled"].includes(bill.status)) {
+      result.issues.push(`Bill is ${bill.status}`);
+    }
+    const exchangeRate =
+      bill.currency === "INR" ? 1 : Number(exchangeRates[bill.currency]);
+    if (!exchangeRate) {
+      result.issues.push(
+        `Exchange rate for ${bill.currency} is required to report values in INR`
+      );
+    }
+
+    const value = roundToTwoDecimal(bill.grandTotal * (exchangeRate || 1));
+    result.invoiceValue = value;
+    result.requiresEwayBill = value > threshold;
+    const transportIssues = findTransportIssues(bill);
+    result.issues.push(...transportIssues);
+    // Above the threshold the goods cannot move without an e-way bill
+    result.flagged = result.requiresEwayBill && transportIssues.length > 0;
+
+    result.included = result.issues.length === 0;
+    if (result.included) {
+      billLists.push(buildEwayBillEntry(bill, company, { exchangeRate }));
+    }
+    return result;
+  });
+
+  return {
+    ewayBill: { version: EWAY_BILL_VERSION, billLists },
+    threshold,
+    results,
+  };
+}
+
+module.exports = {
+  EWAY_BILL_VERSION,
+  getEwayBillThreshold,
+  findTransportIssues,
+  buildEwayBillEntry,
+  buildBulkEwayBill,
+};
@@ -0,0 +1,472 @@
+const {
+  getStateName,
+  getStateCodeFromGSTIN,
+  buildHsnSummary,
+} = require("../utils/gst");
+const { roundToTwoDecimal } = require("../utils/currency");
+const { toCsv } = require("../utils/csv");
+const { toReportedQuantity } = require("./einvoice.service");
+
+// Offline tool schema version the JSON is produced for. From 3.2 (returns
+// from May 2025) Table 12 (HSN) is reported as separate B2B and B2C tables.
+const GSTR1_VERSION = "GST3.2.1";
+
+// Inter-state B2C invoices above this value are reported invoice-wise (B2CL)
+const B2CL_THRESHOLD = 100000;
+
+const HSN_CSV_HEADERS = [
+  "HSN",
+  "Description",
+  "UQC",
+  "Total Quantity",
+  "Total Value",
+  "Rate",
+  "Taxable Value",
+  "Integrated Tax Amount",
+  "Central Tax Amount",
+  "State/UT Tax Amount",
+  "Cess Amount",
+];
+
+const MONTHS = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+/**
+ * Parse a return period "YYYY-MM" into its date range and GSTN code (MMYYYY)
+ * @returns {Object|null} - { start, end, fp } or null when invalid
+ */
+function parsePeriod(period) {
+  const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(period || "");
+  if (!match) return null;
+  const year = Number(match[1]);
+  const month = Number(match[2]) - 1;
+  return {
+    start: new Date(year, month, 1),
+    end: new Date(year, month + 1, 1),
+    fp: `${match[2]}${match[1]}`,
+  };
+}
+
+const pad = (num) => String(num).padStart(2, "0");
+// JSON dates are dd-mm-yyyy, CSV dates dd-Mon-yyyy
+const jsonDate = (date) => {
+  const d = new Date(date);
+  return `${pad(d.getDate())}-${pad(d.getMonth() + 1)}-${d.getFullYear()}`;
+};
+const csvDate = (date) => {
+  const d = new Date(date);
+  return `${pad(d.getDate())}-${MONTHS[d.getMonth()]}-${d.getFullYear()}`;
+};
+const posLabel = (code) => `${code}-${getStateName(code)}`;
+
+/**
+ * HSN rows of a bill; bills saved before per-line GST have no HSN summary
+ * (nor line rates) and are summarised from their items at the bill rate
+ */
+function billHsnRows(bill) {
+  if (bill.hsnSummary && bill.hsnSummary.length) return bill.hsnSummary;
+  const taxRate = bill.taxPercent || 0;
+  const items = (bill.items || []).map((item) => {
+    const taxableValue = item.taxableValue || item.total || 0;
+    return {
+      hsn: item.hsn,
+      quantity: item.quantity,
+      unit: item.unit,
+      taxRate,
+      taxableValue,
+      taxAmount:
+        item.taxAmount != null && item.taxableValue
+          ? item.taxAmount
+          : roundToTwoDecimal((taxableValue * taxRate) / 100),
+    };
+  });
+  return buildHsnSummary(items, !!bill.isInterState);
+}
+
+/**
+ * Rate-wise totals of a bill: [{ rt, txval, iamt, camt, samt, csamt }]
+ */
+function rateWiseTotals(rows) {
+  const byRate = new Map();
+  rows.forEach((row) => {
+    const rt = Number(row.taxRate) || 0;
+    const entry = byRate.get(rt) || {
+      rt,
+      txval: 0,
+      iamt: 0,
+      camt: 0,
+      samt: 0,
+      csamt: 0,
+    };
+    entry.txval += row.taxableValue || 0;
+    entry.iamt += row.igst || 0;
+    entry.camt += row.cgst || 0;
+    entry.samt += row.sgst || 0;
+    byRate.set(rt, entry);
+  });
+  return [...byRate.values()].map((entry) => ({
+    rt: entry.rt,
+    txval: roundToTwoDecimal(entry.txval),
+    iamt: roundToTwoDecimal(entry.iamt),
+    camt: roundToTwoDecimal(entry.camt),
+    samt: roundToTwoDecimal(entry.samt),
+    csamt: 0,
+  }));
+}
+
+/**
+ * Classify an invoice into a GSTR-1 section, or explain why it is left out
+ */
+function classify(bill, supplierStateCode) {
+  if (bill.currency !== "INR") {
+    return {
+      skip: "Foreign currency invoice; report it under exports (EXP)",
+    };
+  }
+  const pos =
+    bill.placeOfSupply ||
+    getStateCodeFromGSTIN(bill.customerGSTIN) ||
+    supplierStateCode;
+  if (!pos) {
+    return { skip: "Place of supply is unknown" };
+  }
+  if (bill.customerGSTIN) return { section: "b2b", pos };
+  const interState = pos !== supplierStateCode;
+  if (interState && bill.grandTotal > B2CL_THRESHOLD) {
+    return { section: "b2cl", pos };
+  }
+  return { section: "b2cs", pos, interState };
+}
+
+/**
+ * Aggregate a month of invoices into GSTR-1 sections.
+ * `bills` are the invoice-type bills dated in the period (drafts excluded);
+ * cancelled invoices only count in the document series.
+ * @returns {Object} - { json, csv, summary, skipped }
+ */
+function buildGstr1(bills, { gstin, period }) {
+  const { fp } = parsePeriod(period);
+  const supplierStateCode = getStateCodeFromGSTIN(gstin);
+
+  const b2b = new Map();
+  const b2cl = new Map();
+  const b2cs = new Map();
+  // Table 12: supplies to registered (B2B) and unregistered (B2C) recipients
+  const hsn = { b2b: new Map(), b2c: new Map() };
+  const skipped = [];
+  const csvRows = {
+    b2b: [],
+    b2cl: [],
+    b2cs: [],
+    hsn_b2b: [],
+    hsn_b2c: [],
+    docs: [],
+  };
+
+  const issued = bills.filter((bill) => bill.status !== "cancelled");
+  issued.forEach((bill) => {
+    const target = classify(bill, supplierStateCode);
+    if (target.skip) {
+      skipped.push({ billId: bill._id, poNo: bill.poNo, reason: target.skip });
+      return;
+    }
+    const rows = billHsnRows(bill);
+    const rates = rateWiseTotals(rows);
+    const val = roundToTwoDecimal(bill.grandTotal);
+
+    if (target.section === "b2b") {
+      const ctin = bill.customerGSTIN.toUpperCase();
+      const party = b2b.get(ctin) || { ctin, inv: [] };
+      party.inv.push({
+        inum: bill.poNo,
+        idt: jsonDate(bill.date),
+        val,
+        pos: target.pos,
+        rchrg: "N",
+        inv_typ: "R",
+        itms: rates.map((rate) => ({
+          num: Math.round(rate.rt * 100) + 1,
+          itm_det: rate,
+        })),
+      });
+      b2b.set(ctin, party);
+      rates.forEach((rate) =>
+        csvRows.b2b.push([
+          ctin,
+          bill.customerName,
+          bill.poNo,
+          csvDate(bill.date),
+          val,
+          posLabel(target.pos),
+          "N",
+          "",
+          "Regular B2B",
+          "",
+          rate.rt,
+          rate.txval,
+          0,
+        ])
+      );
+    } else if (target.section === "b2cl") {
+      const group = b2cl.get(target.pos) || { pos: target.pos, inv: [] };
+      group.inv.push({
+        inum: bill.poNo,
+        idt: jsonDate(bill.date),
+        val,
+        itms: rates.map((rate) => ({
+          num: Math.round(rate.rt * 100) + 1,
+          itm_det: {
+            txval: rate.txval,
+            rt: rate.rt,
+            iamt: rate.iamt,
+            csamt: 0,
+          },
+        })),
+      });
+      b2cl.set(target.pos, group);
+      rates.forEach((rate) =>
+        csvRows.b2cl.push([
+          bill.poNo,
+          csvDate(bill.date),
+          val,
+          posLabel(target.pos),
+          "",
+          rate.rt,
+          rate.txval,
+          0,
+          "",
+        ])
+      );
+    } else {
+      rates.forEach((rate) => {
+        const key = `${target.pos}|${rate.rt}`;
+        const entry = b2cs.get(key) || {
+          sply_ty: target.interState ? "INTER" : "INTRA",
+          pos: target.pos,
+          typ: "OE",
+          rt: rate.rt,
+          txval: 0,
+          iamt: 0,
+          camt: 0,
+          samt: 0,
+          csamt: 0,
+        };
+        entry.txval += rate.txval;
+        entry.iamt += rate.iamt;
+        entry.camt += rate.camt;
+        entry.samt += rate.samt;
+        b2cs.set(key, entry);
+      });
+    }
+
+    // HSN-wise summary, B2B invoices apart from B2CL / B2CS ones
+    const hsnTable = target.section === "b2b" ? hsn.b2b : hsn.b2c;
+    rows.forEach((row) => {
+      const { quantity, unit } = toReportedQuantity({
+        unit: row.unit,
+        quantity: row.quantity || 0,
+      });
+      const uqc = row.unit ? unit : "OTH";
+      const key = `${row.hsn}|${row.taxRate}|${uqc}`;
+      const description =
+        ((bill.items || []).find((item) => item.hsn === row.hsn) || {})
+          .description || "";
+      const entry = hsnTable.get(key) || {
+        hsn_sc: row.hsn || "",
+        desc: description,
+        uqc,
+        qty: 0,
+        rt: Number(row.taxRate) || 0,
+        txval: 0,
+        iamt: 0,
+        camt: 0,
+        samt: 0,
+        csamt: 0,
+      };
+      entry.qty += quantity;
+      entry.txval += row.taxableValue || 0;
+      entry.iamt += row.igst || 0;
+      entry.camt += row.cgst || 0;
+      entry.samt += row.sgst || 0;
+      hsnTable.set(key, entry);
+    });
+  });
+
+  const roundEntry = (entry) => {
+    const rounded = { ...entry };
+    ["txval", "iamt", "camt", "samt", "csamt"].forEach((field) => {
+      rounded[field] = roundToTwoDecimal(entry[field]);
+    });
+    return rounded;
+  };
+  const b2csList = [...b2cs.values()].map(roundEntry);
+  const hsnList = (table) =>
+    [...table.values()].map((entry, index) => ({
+      num: index + 1,
+      ...roundEntry(entry),
+      qty: Math.round(entry.qty * 1000) / 1000,
+    }));
+  const hsnB2b = hsnList(hsn.b2b);
+  const hsnB2c = hsnList(hsn.b2c);
+
+  b2csList.forEach((entry) =>
+    csvRows.b2cs.push([
+      "OE",
+      posLabel(entry.pos),
+      "",
+      entry.rt,
+      entry.txval,
+      0,
+      "",
+    ])
+  );
+  const hsnCsvRow = (entry) => [
+    entry.hsn_sc,
+    entry.desc,
+    entry.uqc,
+    entry.qty,
+    roundToTwoDecimal(entry.txval + entry.iamt + entry.camt + entry.samt),
+    entry.rt,
+    entry.txval,
+    entry.iamt,
+    entry.camt,
+    entry.samt,
+    0,
+  ];
+  csvRows.hsn_b2b = hsnB2b.map(hsnCsvRow);
+  csvRows.hsn_b2c = hsnB2c.map(hsnCsvRow);
+
+  // Document series: one row per numbering series, cancelled ones included
+  const series = new Map();
+  bills.forEach((bill) => {
+    const key = bill.counterId || bill.poNo.replace(/\d+$/, "");
+    const entry = series.get(key) || { bills: [] };
+    entry.bills.push(bill);
+    series.set(key, entry);
+  });
+  const docs = [...series.values()].map((entry, index) => {
+    const sorted = entry.bills.sort(
+      (a, b) =>
+        (a.sequence || 0) - (b.sequence || 0) || a.poNo.localeCompare(b.poNo)
+    );
+    const cancel = sorted.filter((bill) => bill.status === "cancelled").length;
+    const doc = {
+      num: index + 1,
+      from: sorted[0].poNo,
+      to: sorted[sorted.length - 1].poNo,
+      totnum: sorted.length,
+      cancel,
+      net_issue: sorted.length - cancel,
+    };
+    csvRows.docs.push([
+      "Invoices for outward supply",
+      doc.from,
+      doc.to,
+      doc.totnum,
+      doc.cancel,
+    ]);
+    return doc;
+  });
+
+  const json = {
+    gstin,
+    fp,
+    version: GSTR1_VERSION,
+    b2b: [...b2b.values()],
+    b2cl: [...b2cl.values()],
+    b2cs: b2csList,
+    hsn: { hsn_b2b: hsnB2b, hsn_b2c: hsnB2c },
+    doc_issue: { doc_det: docs.length ? [{ doc_num: 1, docs }] : [] },
+  };
+
+  const csv = {
+    "b2b.csv": toCsv(
+      [
+        "GSTIN/UIN of Recipient",
+        "Receiver Name",
+        "Invoice Number",
+        "Invoice date",
+        "Invoice Value",
+        "Place Of Supply",
+        "Reverse Charge",
+        "Applicable % of Tax Rate",
+        "Invoice Type",
+        "E-Commerce GSTIN",
+        "Rate",
+        "Taxable Value",
+        "Cess Amount",
+      ],
+      csvRows.b2b
+    ),
+    "b2cl.csv": toCsv(
+      [
+        "Invoice Number",
+        "Invoice date",
+        "Invoice Value",
+        "Place Of Supply",
+        "Applicable % of Tax Rate",
+        "Rate",
+        "Taxable Value",
+        "Cess Amount",
+        "E-Commerce GSTIN",
+      ],
+      csvRows.b2cl
+    ),
+    "b2cs.csv": toCsv(
+      [
+        "Type",
+        "Place Of Supply",
+        "Applicable % of Tax Rate",
+        "Rate",
+        "Taxable Value",
+        "Cess Amount",
+        "E-Commerce GSTIN",
+      ],
+      csvRows.b2cs
+    ),
+    "hsn_b2b.csv": toCsv(HSN_CSV_HEADERS, csvRows.hsn_b2b),
+    "hsn_b2c.csv": toCsv(HSN_CSV_HEADERS, csvRows.hsn_b2c),
+    "docs.csv": toCsv(
+      [
+        "Nature of Document",
+        "Sr. No. From",
+        "Sr. No. To",
+        "Total Number",
+        "Cancelled",
+      ],
+      csvRows.docs
+    ),
+  };
+
+  const summary = {
+    invoices: bills.length,
+    cancelled: bills.length - issued.length,
+    b2b: json.b2b.reduce((count, party) => count + party.inv.length, 0),
+    b2cl: json.b2cl.reduce((count, group) => count + group.inv.length, 0),
+    b2cs: b2csList.length,
+    hsnB2b: hsnB2b.length,
+    hsnB2c: hsnB2c.length,
+    skipped: skipped.length,
+  };
+
+  return { json, csv, summary, skipped };
+}
+
+module.exports = {
+  GSTR1_VERSION,
+  B2CL_THRESHOLD,
+  parsePeriod,
+  buildGstr1,
+};
@@ -0,0 +1,282 @@
+const Counter = require("../models/Counter");
+const Bill = require("../models/Bill");
+const Receipt = require("../models/Receipt");
+const { getFinancialYear } = require("../utils/financialYear");
+
+// Pattern used when a company has no numbering scheme for a document type
+const DEFAULT_PATTERN = "{PREFIX}/{FY}/{SEQ:3}";
+
+// Stands in for the sequence when a number is rendered as a series key
+const SEQ_MARKER = "#";
+
+const TOKEN_REGEX = /\{([A-Z_]+)(?::(\d+))?\}/g;
+const SUPPORTED_TOKENS = [
+  "PREFIX",
+  "FY",
+  "FY_FULL",
+  "YYYY",
+  "YY",
+  "MM",
+  "SEQ",
+];
+
+/**
+ * Default prefixes per document type (shared environment configuration)
+ */
+function getDefaultPrefixes() {
+  return {
+    purchase_order: process.env.COMPANY_PREFIX_PO || "INGPO",
+    proforma_invoice: process.env.COMPANY_PREFIX_PI || "INGPI",
+    invoice: process.env.COMPANY_PREFIX_INV || "INGINV",
+    receipt: process.env.COMPANY_PREFIX_RCPT || "INGRCPT",
+  };
+}
+
+const NUMBERED_TYPES = Object.keys(getDefaultPrefixes());
+
+/**
+ * Validate a numbering pattern. Returns an error message or null.
+ * Patterns must contain exactly one {SEQ} / {SEQ:n} token (n = 1-10).
+ */
+function validatePattern(pattern) {
+  if (!pattern || typeof pattern !== "string") {
+    return "Numbering pattern must be a non-empty string";
+  }
+  const tokens = [...pattern.matchAll(TOKEN_REGEX)];
+  const unknown = tokens.filter(
+    ([, token]) => !SUPPORTED_TOKENS.includes(token)
+  );
+  if (unknown.length > 0) {
+    return `Unknown token(s) ${unknown
+      .map(([match]) => match)
+      .join(", ")}. Supported: ${SUPPORTED_TOKENS.map((t) => `{${t}}`).join(
+      ", "
+    )}`;
+  }
+  const seqTokens = tokens.filter(([, token]) => token === "SEQ");
+  if (seqTokens.length !== 1) {
+    return "Numbering pattern must contain exactly one {SEQ} or {SEQ:n} token";
+  }
+  const width = seqTokens[0][2] ? Number(seqTokens[0][2]) : 3;
+  if (width < 1 || width > 10) {
+    return "{SEQ:n} padding must be between 1 and 10";
+  }
+  if (pattern.includes(SEQ_MARKER)) {
+    return `Numbering pattern cannot contain "${SEQ_MARKER}"`;
+  }
+  return null;
+}
+
+/**
+ * Numbering scheme for a document type: the company's own scheme when set,
+ * otherwise the environment prefix with the default pattern
+ */
+function resolveNumberingScheme(type, company = null) {
+  const numbering = (company && company.numbering) || {};
+  const configured = numbering[type] || {};
+  return {
+    prefix: configured.prefix || getDefaultPrefixes()[type] || "INGPO",
+    pattern: configured.pattern || DEFAULT_PATTERN,
+  };
+}
+
+/**
+ * Render a numbering pattern for a date and sequence.
+ * A null sequence renders the SEQ token as a marker (the series key).
+ */
+function renderPattern(pattern, { prefix, date = new Date(), seq = null }) {
+  const d = date ? new Date(date) : new Date();
+  const fy = getFinancialYear(d);
+  return pattern.replace(TOKEN_REGEX, (match, token, width) => {
+    switch (token) {
+      case "PREFIX":
+        return prefix;
+      case "FY":
+        return fy.label;
+      case "FY_FULL":
+        return `${fy.startYear}-${fy.endYear}`;
+      case "YYYY":
+        return String(d.getFullYear());
+      case "YY":
+        return String(d.getFullYear() % 100).padStart(2, "0");
+      case "MM":
+        return String(d.getMonth() + 1).padStart(2, "0");
+      case "SEQ":
+        return seq === null
+          ? SEQ_MARKER
+          : String(seq).padStart(width ? Number(width) : 3, "0");
+      default:
+        return match;
+    }
+  });
+}
+
+/**
+ * Format bill number depending on document type, date and company scheme
+ * types: purchase_order, proforma_invoice, invoice, receipt
+ */
+function formatBillNo(type, seq, date = new Date(), company = null) {
+  const scheme = resolveNumberingScheme(type, company);
+  return renderPattern(scheme.pattern, { prefix: scheme.prefix, date, seq });
+}
+
+/**
+ * Counter backing a numbering series. Everything in the number except the
+ * sequence identifies the series, so a {FY} pattern restarts every April.
+ * Companies on the default scheme share its series; a company's own scheme
+ * may not render like another company's (see CompanyController), so each
+ * company counts independently.
+ */
+function getCounterId(type, date = new Date(), company = null) {
+  const scheme = resolveNumberingScheme(type, company);
+  const seriesKey = renderPattern(scheme.pattern, {
+    prefix: scheme.prefix,
+    date,
+  });
+  return `bill_series_${seriesKey}`;
+}
+
+// Collection and field holding the numbers issued for a document type
+function getNumberSource(type) {
+  return type === "receipt"
+    ? { model: Receipt, field: "receiptNo" }
+    : { model: Bill, field: "poNo" };
+}
+
+/**
+ * Highest sequence already used in the series of `date`. Seeds a new
+ * counter so numbers issued under earlier counters are never handed out again.
+ */
+async function findHighestSequence(type, date, company = null) {
+  const scheme = resolveNumberingScheme(type, company);
+  const seriesKey = renderPattern(scheme.pattern, {
+    prefix: scheme.prefix,
+    date,
+  });
+  const escaped = seriesKey.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const seqRegex = new RegExp(`^${escaped.replace(SEQ_MARKER, "(\\d+)")}$`);
+  const { model, field } = getNumberSource(type);
+  const documents = await model
+    .find({ [field]: { $regex: seqRegex } })
+    .select(field)
+    .lean();
+  return documents.reduce((max, doc) => {
+    const seq = parseInt(doc[field].match(seqRegex)[1], 10);
+    return isNaN(seq) ? max : Math.max(max, seq);
+  }, 0);
+}
+
+/**
+ * Get next sequence of the series for a document type and date
+ * Each series has its own independent counter
+ */
+async function getNextSequence(type, date = new Date(), company = null) {
+  const id = getCounterId(type, date, company);
+  console.log(`Getting next sequence for counter: ${id}`);
+
+  let counter = await Counter.findOneAndUpdate(
+    { _id: id },
+    { $inc: { seq: 1 } },
+    { new: true }
+  );
+
+  if (!counter) {
+    const seed = await findHighestSequence(type, date, company);
+    try {
+      await Counter.create({ _id: id, seq: seed });
+      console.log(`Created counter ${id} starting after ${seed}`);
+    } catch (error) {
+      // Another request created it first
+      if (error.code !== 11000) throw error;
+    }
+    counter = await Counter.findOneAndUpdate(
+      { _id: id },
+      { $inc: { seq: 1 } },
+      { new: true }
+    );
+  }
+
+  console.log(`Generated sequence ${counter.seq} for type ${type}`);
+  return counter.seq;
+}
+
+/**
+ * Give back the number `seq` of a counter when it is still the latest one
+ * issued (a draft deleted, or an issue that failed before the bill was
+ * saved), so the series stays gapless
+ * @returns {Promise<Object|null>} - The rolled back counter, null if later
+ * numbers were issued meanwhile
+ */
+async function releaseSequence(counterId, seq) {
+  return Counter.findOneAndUpdate(
+    { _id: counterId, seq },
+    { $inc: { seq: -1 } },
+    { new: true }
+  );
+}
+
+/**
+ * Preview the next number of a series without consuming it
+ * @returns {Promise<Object>} - { poNo, seq, counterId, pattern, prefix }
+ */
+async function previewNextBillNumber(
+  type,
+  date = new Date(),
+  company = null
+) {
+  const scheme = resolveNumberingScheme(type, company);
+  const id = getCounterId(type, date, company);
+  const counter = await Counter.findById(id);
+  const current = counter
+    ? counter.seq
+    : await findHighestSequence(type, date, company);
+  return {
+    poNo: formatBillNo(type, current + 1, date, company),
+    seq: current + 1,
+    counterId: id,
+    pattern: scheme.pattern,
+    prefix: scheme.prefix,
+  };
+}
+
+/**
+ * Set the next sequence of a series, e.g. when migrating from another system.
+ * Refuses to go below a number that has already been issued in this system.
+ */
+async function seedSequence(
+  type,
+  nextSequence,
+  date = new Date(),
+  company = null
+) {
+  const highest = await findHighestSequence(type, date, company);
+  if (nextSequence <= highest) {
+    const error = new Error(
+      `Next sequence must be greater than ${highest}, the highest number already issued in this series`
+    );
+    error.statusCode = 409;
+    throw error;
+  }
+  const id = getCounterId(type, date, company);
+  await Counter.findOneAndUpdate(
+    { _id: id },
+    { $set: { seq: nextSequence - 1 } },
+    { new: true, upsert: true }
+  );
+  console.log(`Counter ${id} seeded, next sequence ${nextSequence}`);
+  return previewNextBillNumber(type, date, company);
+}
+
+module.exports = {
+  DEFAULT_PATTERN,
+  NUMBERED_TYPES,
+  SUPPORTED_TOKENS,
+  validatePattern,
+  resolveNumberingScheme,
+  formatBillNo,
+  getCounterId,
+  getNextSequence,
+  releaseSequence,
+  previewNextBillNumber,
+  seedSequence,
+};
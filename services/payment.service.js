@@ -0,0 +1,108 @@
+const Payment = require("../models/Payment");
+const { computeBalance, getPaymentStatus } = require("../utils/payment");
+
+/**
+ * Bill fields applyPayment changes, taken before a payment so it can be
+ * undone with revertPayment
+ */
+function getPaymentState(bill) {
+  return {
+    status: bill.status,
+    amountPaid: bill.amountPaid,
+    historyLength: bill.statusHistory.length,
+  };
+}
+
+/**
+ * Undo a payment recorded by applyPayment: delete it and put its bill back
+ * to `state`. The bill is saved unless `save` is false (its save failed).
+ */
+async function revertPayment(bill, payment, state, { save = true } = {}) {
+  await Payment.deleteOne({ _id: payment._id });
+  bill.status = state.status;
+  bill.amountPaid = state.amountPaid;
+  bill.statusHistory.splice(state.historyLength);
+  if (save) await bill.save();
+  console.log(
+    `Payment of ${bill.currency} ${payment.amount} on ${bill.poNo} reverted`
+  );
+}
+
+/**
+ * Undo several payments, newest first. Used when a request recording
+ * payments on more than one bill fails part way; failures are logged so the
+ * error that caused the rollback is the one reported.
+ * @param {Array} applied - [{ bill, payment, state }]
+ */
+async function revertPayments(applied) {
+  for (const { bill, payment, state } of [...applied].reverse()) {
+    try {
+      await revertPayment(bill, payment, state);
+    } catch (error) {
+      console.error(
+        `Failed to revert payment ${payment._id} on ${bill.poNo}:`,
+        error.message
+      );
+    }
+  }
+}
+
+/**
+ * Record a payment on a bill, recompute amountPaid from all of the bill's
+ * payments and move the bill to partially_paid / paid when due.
+ * `fields` are the Payment fields other than billId, poNo and currency.
+ * The payment is deleted again when the bill cannot be saved, so a retry
+ * does not post it twice.
+ * @returns {Promise<Object>} - The saved Payment
+ */
+async function applyPayment(bill, fields) {
+  const state = getPaymentState(bill);
+  const payment = await Payment.create({
+    ...fields,
+    billId: bill._id,
+    poNo: bill.poNo,
+    currency: bill.currency,
+  });
+
+  try {
+    const payments = await Payment.find({ billId: bill._id });
+    const balance = computeBalance(
+      bill.grandTotal,
+      payments.reduce((sum, entry) => sum + entry.amount, 0)
+    );
+    const status = getPaymentStatus(bill.status, balance);
+    if (status) {
+      bill.statusHistory.push({
+        from: bill.status,
+        to: status,
+        changedBy: fields.recordedBy || "system",
+        note: `Payment ${fields.reference || payment._id} recorded`,
+      });
+      bill.status = status;
+    }
+    bill.amountPaid = balance.amountPaid;
+    await bill.save();
+  } catch (error) {
+    console.error(`Saving payment on ${bill.poNo} failed:`, error.message);
+    try {
+      await revertPayment(bill, payment, state, { save: false });
+    } catch (revertError) {
+      console.error(
+        `Failed to revert payment ${payment._id} on ${bill.poNo}:`,
+        revertError.message
+      );
+    }
+    throw error;
+  }
+  console.log(
+    `Payment of ${bill.currency} ${payment.amount} recorded on ${bill.poNo}, balance ${bill.balanceDue}`
+  );
+  return payment;
+}
+
+module.exports = {
+  getPaymentState,
+  applyPayment,
+  revertPayment,
+  revertPayments,
+};
@@ -27,6 +27,11 @@ if (isDev && !onRender) {
 const axios = require("axios");
 const path = require("path");
 const fs = require("fs");
+const { getStatusStamp } = require("../utils/billStatus");
+const { getStateName, getStateTaxLabel } = require("../utils/gst");
+const { amountToWords } = require("../utils/amountInWords");
+const QRCode = require("qrcode");
+const { buildUpiLink } = require("../utils/upi");
 class PDFService {
   constructor() {
     this.browser = null;
@@ -460,7 +465,88 @@ class PDFService {
     return this.browser;
   }
 
+  // Render text as a QR code PNG data URL ("" when there is nothing to encode)
+  async generateQrDataUrl(text, options = {}) {
+    if (!text) return "";
+    try {
+      return await QRCode.toDataURL(text, {
+        errorCorrectionLevel: "M",
+        margin: 1,
+        width: 240,
+        ...options,
+      });
+    } catch (error) {
+      console.error("QR code generation failed:", error.message);
+      return "";
+    }
+  }
+
+  // Logo image source: the uploaded Base64 logo, else the default logo in assets
+  resolveLogoSrc(logoBase64 = "") {
+    if (logoBase64) {
+      console.log("Using uploaded logo (Base64)");
+      return logoBase64.startsWith("data:")
+        ? logoBase64
+        : `data:image/png;base64,${logoBase64}`;
+    }
+    try {
+      const defaultLogoPath = path.resolve(__dirname, "../assets/logo.png");
+      if (fs.existsSync(defaultLogoPath)) {
+        const logoBuffer = fs.readFileSync(defaultLogoPath);
+        console.log("Using default logo from assets");
+        return `data:image/png;base64,${logoBuffer.toString("base64")}`;
+      }
+      console.log("No logo found, using text placeholder");
+    } catch (error) {
+      console.error("Error loading default logo:", error.message);
+    }
+    return "";
+  }
+
+  // UPI deep link for a proforma or invoice in INR, asking for the balance
+  // due when the PDF is rendered. Without a balance the amount is left for
+  // the payer to enter.
+  getUpiPaymentLink(billData) {
+    const type = billData.documentType || billData.type;
+    const bankDetails = billData.bankDetails || {};
+    if (!["proforma_invoice", "invoice"].includes(type)) return "";
+    if ((billData.currency || "INR") !== "INR") return "";
+    if (billData.status === "cancelled") return "";
+    return buildUpiLink({
+      upiId: bankDetails.upiId,
+      payeeName: bankDetails.accountName,
+      amount: billData.balanceDue,
+      note: billData.billNumber || billData.poNo,
+    });
+  }
+
   async generatePurchaseOrderPDF(billData) {
+    // Fetch exchange rates first
+    const exchangeRates = await this.getExchangeRates("INR");
+
+    // Signed QR from the e-invoice portal, rendered once for all attempts
+    const einvoiceQrDataUrl = await this.generateQrDataUrl(
+      billData.einvoice && billData.einvoice.signedQRCode
+    );
+    const upiQrDataUrl = await this.generateQrDataUrl(
+      this.getUpiPaymentLink(billData)
+    );
+
+    const html = this.generateHTML(
+      { ...billData, einvoiceQrDataUrl, upiQrDataUrl },
+      exchangeRates
+    );
+    console.log("Logo Base64 length:", billData.logoBase64?.length || 0);
+    return this.renderPDF(html);
+  }
+
+  // Payment receipt listing the bills a receipt settles
+  async generateReceiptPDF(receiptData) {
+    return this.renderPDF(this.generateReceiptHTML(receiptData));
+  }
+
+  // Print an HTML document to an A4 PDF buffer, retrying on browser failures
+  async renderPDF(html) {
     if (this.activePages >= this.maxConcurrentPages) {
       throw new Error(
         `Too many concurrent PDF operations (${this.activePages}/${this.maxConcurrentPages})`
@@ -470,10 +556,6 @@ class PDFService {
     let page;
     let attempt = 0;
 
-    // Fetch exchange rates first
-    const currency = billData.currency || "INR";
-    const exchangeRates = await this.getExchangeRates("INR");
-
     while (attempt < this.maxRetries) {
       attempt++;
 
@@ -511,9 +593,7 @@ class PDFService {
           }
         });
 
-        const html = this.generateHTML(billData, exchangeRates);
         console.log("HTML generated, length:", html.length);
-        console.log("Logo Base64 length:", billData.logoBase64?.length || 0);
 
         await page.setContent(html, {
           waitUntil: "domcontentloaded",
@@ -694,6 +774,137 @@ class PDFService {
         ? ((gstAmount / subTotal) * 100).toFixed(1)
         : 0;
 
+    // GST component rows: IGST for inter-state, CGST + SGST/UTGST otherwise.
+    // Bills saved before the split existed keep a single GST row.
+    const placeOfSupply = billData.placeOfSupply || "";
+    const taxBreakdown = billData.taxBreakdown;
+
+    // Line GST rates; bills saved before per-line rates use the bill rate
+    const billRate =
+      billData.taxPercent != null ? Number(billData.taxPercent) : gstPercentage;
+    const lineRate = (item) =>
+      item.taxRate != null ? Number(item.taxRate) : Number(billRate);
+    const additionalCharges = Array.isArray(billData.additionalCharges)
+      ? billData.additionalCharges
+      : [];
+    const lineRates = [
+      ...new Set([
+        ...items.map(lineRate),
+        ...additionalCharges
+          .filter((charge) => charge.taxable !== false)
+          .map((charge) => Number(charge.taxRate) || 0),
+      ]),
+    ];
+    // Rates are only printed on the totals when every line shares one rate
+    const uniformRate =
+      lineRates.length === 1 ? lineRates[0] : lineRates.length ? null : 0;
+    const rateSuffix = (rate) =>
+      rate === null ? "" : ` (${Number(rate.toFixed(2))}%)`;
+    const halfRate = uniformRate === null ? null : uniformRate / 2;
+
+    let taxRows = [
+      { label: `GST${rateSuffix(uniformRate)}`, amount: gstAmount },
+    ];
+    const hasSplit =
+      taxBreakdown &&
+      ["cgst", "sgst", "igst"].some((key) => taxBreakdown[key] != null);
+    if (hasSplit && gstAmount > 0) {
+      taxRows = billData.isInterState
+        ? [
+            {
+              label: `IGST${rateSuffix(uniformRate)}`,
+              amount: taxBreakdown.igst,
+            },
+          ]
+        : [
+            {
+              label: `CGST${rateSuffix(halfRate)}`,
+              amount: taxBreakdown.cgst,
+            },
+            {
+              label: `${getStateTaxLabel(placeOfSupply)}${rateSuffix(
+                halfRate
+              )}`,
+              amount: taxBreakdown.sgst,
+            },
+          ];
+    }
+
+    // HSN/SAC-wise summary for invoices and any document charging GST
+    const hsnSummary = Array.isArray(billData.hsnSummary)
+      ? billData.hsnSummary
+      : [];
+
+    // Tax-inclusive prices: the GST rows show the tax contained in the total
+    if (billData.pricesIncludeTax) {
+      taxRows = [
+        {
+          label: "Taxable Value",
+          amount: hsnSummary.reduce(
+            (total, row) => total + (Number(row.taxableValue) || 0),
+            0
+          ),
+        },
+        ...taxRows.map((row) => ({
+          ...row,
+          label: `Incl. ${row.label}`,
+        })),
+      ];
+    }
+    const roundOff = Number(billData.roundOff) || 0;
+    if (roundOff !== 0) {
+      taxRows.push({ label: "Round Off", amount: roundOff });
+    }
+
+    // Discount column only when some line carries a discount
+    const hasLineDiscounts = items.some(
+      (item) => Number(item.discountAmount) > 0
+    );
+    // Label + amount columns span everything but the last column
+    const totalsColspan = hasLineDiscounts ? 8 : 7;
+
+    // Document discount: shown as Sub Total less Discount above the tax rows
+    const discountAmount = Number(billData.discountAmount) || 0;
+    const discountRows =
+      discountAmount > 0
+        ? [
+            { label: "Sub Total", amount: subTotal },
+            {
+              label: `Discount${
+                billData.discountType === "percent"
+                  ? ` (${Number(billData.discountValue)}%)`
+                  : ""
+              }`,
+              amount: -discountAmount,
+            },
+          ]
+        : [];
+
+    // IRN block once the invoice is registered on the e-invoice portal
+    const einvoice = billData.einvoice || {};
+    const einvoiceHTML = einvoice.irn
+      ? `
+    <div class="einvoice-block avoid-break">
+      <div class="einvoice-details">
+        <div><strong>IRN:</strong> <span class="irn">${einvoice.irn}</span></div>
+        <div><strong>Ack No.:</strong> ${einvoice.ackNo || ""}</div>
+        <div><strong>Ack Date:</strong> ${
+          einvoice.ackDate
+            ? new Date(einvoice.ackDate).toLocaleString("en-IN")
+            : ""
+        }</div>
+      </div>${
+        billData.einvoiceQrDataUrl
+          ? `
+      <img class="einvoice-qr" src="${billData.einvoiceQrDataUrl}" alt="e-Invoice QR">`
+          : ""
+      }
+    </div>`
+      : "";
+
+    const showHsnSummary =
+      hsnSummary.length > 0 && (documentType === "invoice" || gstAmount > 0);
+
     const titleMap = {
       purchase_order: "PURCHASE ORDER",
       proforma_invoice: "PROFORMA INVOICE",
@@ -701,6 +912,21 @@ class PDFService {
     };
     const poTitle = titleMap[documentType] || "PURCHASE ORDER";
 
+    // DRAFT / CANCELLED stamp replaces the logo watermark
+    const statusStamp = getStatusStamp(billData.status);
+
+    // Reference to the document this one was converted from
+    const referenceLabels = {
+      purchase_order: "PO",
+      proforma_invoice: "PI",
+      invoice: "Invoice",
+    };
+    const referenceText = billData.sourceBillNo
+      ? `Against ${referenceLabels[billData.sourceBillType] || ""} ${
+          billData.sourceBillNo
+        }`.replace(/\s+/g, " ")
+      : "";
+
     // Enhanced Terms & Conditions processing
     const processTermsAndConditions = (terms) => {
       console.log("Raw terms input:", terms, "Type:", typeof terms);
@@ -842,6 +1068,15 @@ class PDFService {
       return true;
     };
 
+    const formatLineDiscount = (item) => {
+      const amount = Number(item.discountAmount) || 0;
+      if (amount <= 0) return "-";
+      const formatted = this.formatCurrency(amount, currency, exchangeRates);
+      return item.discountType === "percent"
+        ? `${Number(item.discountValue)}% (${formatted})`
+        : formatted;
+    };
+
     const generateItemsHTML = () => {
       return items
         .map((item, index) => {
@@ -860,12 +1095,130 @@ class PDFService {
           <td>${item.quantity || 0}</td>
           <td>${item.unit || "PCS"}</td>
           <td>${this.formatCurrency(unitPrice, currency, exchangeRates)}</td>
+          ${hasLineDiscounts ? `<td>${formatLineDiscount(item)}</td>` : ""}
+          <td>${lineRate(item)}%</td>
           <td>${this.formatCurrency(totalVal, currency, exchangeRates)}</td>
         </tr>`;
         })
         .join("");
     };
 
+    // Additional charges listed under the items, before the totals
+    const generateChargesHTML = () =>
+      additionalCharges
+        .map(
+          (charge) => `
+        <tr class="charge-row">
+          <td></td>
+          <td class="item-description">${charge.name}${
+            charge.taxable === false ? " (non-taxable)" : ""
+          }</td>
+          <td>${charge.sac || "-"}</td>
+          <td>-</td>
+          <td>-</td>
+          <td>-</td>
+          ${hasLineDiscounts ? "<td>-</td>" : ""}
+          <td>${charge.taxable === false ? "-" : `${charge.taxRate || 0}%`}</td>
+          <td>${this.formatCurrency(charge.amount, currency, exchangeRates)}</td>
+        </tr>`
+        )
+        .join("");
+
+    // HSN/SAC-wise tax summary table
+    const generateHsnSummaryHTML = () => {
+      if (!showHsnSummary) return "";
+      const isInterState = !!billData.isInterState;
+      const stateLabel = getStateTaxLabel(placeOfSupply);
+      const money = (amount) =>
+        this.formatCurrency(amount || 0, currency, exchangeRates);
+      const header = isInterState
+        ? "<th>IGST</th>"
+        : `<th>CGST</th><th>${stateLabel}</th>`;
+      const rows = hsnSummary
+        .map(
+          (row) => `
+          <tr>
+            <td>${row.hsn || "-"}</td>
+            <td>${money(row.taxableValue)}</td>
+            <td>${row.taxRate || 0}%</td>
+            ${
+              isInterState
+                ? `<td>${money(row.igst)}</td>`
+                : `<td>${money(row.cgst)}</td><td>${money(row.sgst)}</td>`
+            }
+            <td>${money(row.taxAmount)}</td>
+          </tr>`
+        )
+        .join("");
+      const sum = (field) =>
+        hsnSummary.reduce((total, row) => total + (Number(row[field]) || 0), 0);
+      const totals = isInterState
+        ? `<td>${money(sum("igst"))}</td>`
+        : `<td>${money(sum("cgst"))}</td><td>${money(sum("sgst"))}</td>`;
+
+      return `
+    <div class="hsn-summary avoid-break">
+      <div class="section-title">HSN/SAC Summary</div>
+      <table class="hsn-table">
+        <thead>
+          <tr>
+            <th>HSN/SAC</th>
+            <th>Taxable Value (${currency})</th>
+            <th>Rate</th>
+            ${header}
+            <th>Total Tax (${currency})</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows}
+          <tr class="total-row">
+            <td>Total</td>
+            <td>${money(sum("taxableValue"))}</td>
+            <td></td>
+            ${totals}
+            <td>${money(sum("taxAmount"))}</td>
+          </tr>
+        </tbody>
+      </table>
+    </div>`;
+    };
+
+    // Instalment schedule printed under the payment terms
+    const generatePaymentScheduleHTML = () => {
+      const schedule = Array.isArray(billData.paymentSchedule)
+        ? billData.paymentSchedule
+        : [];
+      if (schedule.length === 0) return "";
+      const rows = schedule
+        .map((entry) => {
+          const due = entry.dueDate
+            ? formatDate(entry.dueDate)
+            : `${entry.days ? `${entry.days} days after ` : "On "}${
+                entry.trigger
+              }`;
+          return `
+          <tr>
+            <td>${entry.label || ""}</td>
+            <td>${entry.percent || 0}%</td>
+            <td>${this.formatCurrency(
+              entry.amount || 0,
+              currency,
+              exchangeRates
+            )}</td>
+            <td>${due}</td>
+          </tr>`;
+        })
+        .join("");
+      return `
+        <table class="schedule-table">
+          <thead>
+            <tr><th>Instalment</th><th>%</th><th>Amount</th><th>Due</th></tr>
+          </thead>
+          <tbody>${rows}
+          </tbody>
+        </table>`;
+    };
+
     // Enhanced Terms & Conditions HTML generation
     const generateTermsHTML = () => {
       if (processedTerms.length === 0) {
@@ -888,31 +1241,7 @@ class PDFService {
   `;
     };
 
-    // Logo handling
-    let logoSrc = "";
-    if (logoBase64) {
-      if (logoBase64.startsWith("data:")) {
-        logoSrc = logoBase64;
-      } else {
-        logoSrc = `data:image/png;base64,${logoBase64}`;
-      }
-      console.log("Using uploaded logo (Base64)");
-    } else {
-      try {
-        const defaultLogoPath = path.resolve(__dirname, "../assets/logo.png");
-        if (fs.existsSync(defaultLogoPath)) {
-          const logoBuffer = fs.readFileSync(defaultLogoPath);
-          logoSrc = `data:image/png;base64,${logoBuffer.toString("base64")}`;
-          console.log("Using default logo from assets");
-        } else {
-          logoSrc = "";
-          console.log("No logo found, using text placeholder");
-        }
-      } catch (error) {
-        console.error("Error loading default logo:", error.message);
-        logoSrc = "";
-      }
-    }
+    const logoSrc = this.resolveLogoSrc(logoBase64);
 
     return `<!DOCTYPE html>
 <html>
@@ -959,6 +1288,24 @@ class PDFService {
     ${logoSrc ? `background-image: url('${logoSrc}');` : "display: none;"}
   }
 
+  .watermark.status-stamp {
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    width: 600px;
+    height: 200px;
+    opacity: 0.18;
+    transform: translate(-50%, -50%) rotate(-30deg);
+    background-image: none;
+    color: #c53030;
+    border: 8px solid #c53030;
+    border-radius: 12px;
+    font-size: 96px;
+    font-weight: 700;
+    letter-spacing: 8px;
+    z-index: 1;
+  }
+
   .page-break {
     page-break-before: always;
     break-before: page;
@@ -1093,6 +1440,40 @@ class PDFService {
     overflow-wrap: break-word;
   }
 
+  .einvoice-block {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    gap: 12px;
+    margin-bottom: 12px;
+    padding: 6px;
+    border: 1px solid #dedede;
+    font-size: 10px;
+  }
+
+  .einvoice-block .irn {
+    word-break: break-all;
+  }
+
+  .upi-block {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    margin-top: 6px;
+    font-size: 9px;
+  }
+
+  .upi-qr {
+    width: 80px;
+    height: 80px;
+  }
+
+  .einvoice-qr {
+    width: 110px;
+    height: 110px;
+    flex-shrink: 0;
+  }
+
   .two-column {
     display: flex;
     gap: 15px;
@@ -1164,13 +1545,45 @@ class PDFService {
     hyphens: auto;
   }
 
-  .order-table th:nth-child(1), .order-table td:nth-child(1) { width: 8%; }
-  .order-table th:nth-child(2), .order-table td:nth-child(2) { width: 30%; }
-  .order-table th:nth-child(3), .order-table td:nth-child(3) { width: 12%; }
-  .order-table th:nth-child(4), .order-table td:nth-child(4) { width: 10%; }
-  .order-table th:nth-child(5), .order-table td:nth-child(5) { width: 8%; }
-  .order-table th:nth-child(6), .order-table td:nth-child(6) { width: 16%; }
-  .order-table th:nth-child(7), .order-table td:nth-child(7) { width: 16%; }
+  .order-table th:nth-child(1), .order-table td:nth-child(1) { width: 6%; }
+  .order-table th:nth-child(2), .order-table td:nth-child(2) { width: 26%; }
+  .order-table th:nth-child(3), .order-table td:nth-child(3) { width: 10%; }
+  .order-table th:nth-child(4), .order-table td:nth-child(4) { width: 9%; }
+  .order-table th:nth-child(5), .order-table td:nth-child(5) { width: 7%; }
+  .order-table th:nth-child(6), .order-table td:nth-child(6) { width: 14%; }
+  .order-table th:nth-child(7), .order-table td:nth-child(7) { width: 8%; }
+  .order-table th:nth-child(8), .order-table td:nth-child(8) { width: 20%; }
+
+  .order-table.with-discount th:nth-child(2), .order-table.with-discount td:nth-child(2) { width: 21%; }
+  .order-table.with-discount th:nth-child(6), .order-table.with-discount td:nth-child(6) { width: 12%; }
+  .order-table.with-discount th:nth-child(7), .order-table.with-discount td:nth-child(7) { width: 11%; }
+  .order-table.with-discount th:nth-child(8), .order-table.with-discount td:nth-child(8) { width: 7%; }
+  .order-table.with-discount th:nth-child(9), .order-table.with-discount td:nth-child(9) { width: 17%; }
+
+  .hsn-summary {
+    margin-bottom: 20px;
+  }
+
+  .hsn-table {
+    width: 100%;
+    border-collapse: collapse;
+    table-layout: fixed;
+  }
+
+  .hsn-table th {
+    background: #4a5569;
+    color: white;
+    font-size: 9px;
+    padding: 6px;
+    border: 2px solid #4a5569;
+  }
+
+  .hsn-table td {
+    padding: 6px;
+    font-size: 9px;
+    text-align: center;
+    border: 2px solid #4a5569;
+  }
 
   .item-description {
     text-align: left !important;
@@ -1180,6 +1593,33 @@ class PDFService {
     max-width: 0;
   }
 
+  .amount-words-row td {
+    text-align: left;
+    font-style: italic;
+  }
+
+  .charge-row {
+    font-style: italic;
+  }
+
+  .schedule-table {
+    width: 100%;
+    border-collapse: collapse;
+    margin: 2px 0 6px;
+  }
+
+  .schedule-table th,
+  .schedule-table td {
+    font-size: 9px;
+    padding: 3px;
+    text-align: left;
+    border: 1px solid #4a5569;
+  }
+
+  .schedule-table th {
+    background: #f7fafc;
+  }
+
   .total-row {
     background: #f7fafc;
     font-weight: bold;
@@ -1340,6 +1780,12 @@ class PDFService {
       z-index: -1;
     }
 
+    .watermark.status-stamp {
+      transform: translate(-50%, -50%) rotate(-30deg);
+      opacity: 0.18;
+      z-index: 1;
+    }
+
     .page-break, .force-page-break {
       page-break-before: always;
       break-before: page;
@@ -1394,7 +1840,11 @@ class PDFService {
 </style>
 </head>
 <body>
-  <div class="watermark"></div>
+  ${
+    statusStamp
+      ? `<div class="watermark status-stamp">${statusStamp}</div>`
+      : `<div class="watermark"></div>`
+  }
 
   <div class="purchase-order">
     <div class="header">
@@ -1423,7 +1873,11 @@ class PDFService {
     <div class="po-header">
       <div>
         <strong>${poTitle} No.:</strong><br>
-        <span class="wrap-content">${poNo}</span>
+        <span class="wrap-content">${poNo}</span>${
+          referenceText
+            ? `<br><span class="wrap-content">${referenceText}</span>`
+            : ""
+        }
       </div>
       <div style="text-align: right;">
         <strong>Date:</strong><br>
@@ -1431,6 +1885,7 @@ class PDFService {
       </div>
     </div>
 
+    ${einvoiceHTML}
     <div class="two-column">
       <div class="columnone">
         <div class="section-title">${
@@ -1444,7 +1899,14 @@ class PDFService {
           <strong>Name:</strong> <span class="wrap-content">${customerName}</span>
         </div>
         <div><strong>Address:</strong> <span class="address-text">${customerAddress}</span></div>
-        <div><strong>GSTIN:</strong> <span class="wrap-content">${customerGSTIN}</span></div>
+        <div><strong>GSTIN:</strong> <span class="wrap-content">${customerGSTIN}</span></div>${
+          placeOfSupply
+            ? `
+        <div><strong>Place of Supply:</strong> <span class="wrap-content">${placeOfSupply} - ${getStateName(
+                placeOfSupply
+              )}</span></div>`
+            : ""
+        }
       </div>
 
       <div class="columnone">
@@ -1455,7 +1917,7 @@ class PDFService {
 
     <div class="order-details avoid-break">
       <div class="section-title">Order Details</div>
-      <table class="order-table">
+      <table class="order-table${hasLineDiscounts ? " with-discount" : ""}">
         <thead>
           <tr>
             <th>Sr. No.</th>
@@ -1464,26 +1926,47 @@ class PDFService {
             <th>Quantity</th>
             <th>Unit</th>
             <th>Unit Price (${currency})</th>
+            ${hasLineDiscounts ? "<th>Discount</th>" : ""}
+            <th>GST %</th>
             <th>Total Value (${currency})</th>
           </tr>
         </thead>
         <tbody>
           ${generateItemsHTML()}
+          ${generateChargesHTML()}
+          ${[...discountRows, ...taxRows]
+            .map(
+              (row) => `
           <tr class="total-row">
-            <td colspan="6" style="text-align: right; padding-right: 20px;">GST (${gstPercentage}%)</td>
-            <td>${this.formatCurrency(gstAmount, currency, exchangeRates)}</td>
-          </tr>
+            <td colspan="${totalsColspan}" style="text-align: right; padding-right: 20px;">${
+              row.label
+            }</td>
+            <td>${row.amount < 0 ? "-" : ""}${this.formatCurrency(
+              Math.abs(row.amount),
+              currency,
+              exchangeRates
+            )}</td>
+          </tr>`
+            )
+            .join("")}
           <tr class="total-row">
-            <td colspan="6" style="text-align: right; padding-right: 20px;"><strong>Total</strong></td>
+            <td colspan="${totalsColspan}" style="text-align: right; padding-right: 20px;"><strong>Total</strong></td>
             <td><strong>${this.formatCurrency(
               grandTotal,
               currency,
               exchangeRates
             )}</strong></td>
           </tr>
+          <tr class="amount-words-row">
+            <td colspan="${totalsColspan + 1}"><strong>Amount in Words:</strong> ${amountToWords(
+              grandTotal,
+              currency
+            )}</td>
+          </tr>
         </tbody>
       </table>
     </div>
+    ${generateHsnSummaryHTML()}
 
     <div class="two-column avoid-break dynamic-spacing">
       <div class="columntwo">
@@ -1491,6 +1974,7 @@ class PDFService {
         <strong style="display: inline-block; margin-bottom: 5px;">Delivery Date / Lead Time:</strong> <span class="wrap-content">${deliveryTerms}</span><br>
         <strong style="display: inline-block; margin-bottom: 5px;">Mode of Dispatch:</strong> <span class="wrap-content">${modeOfDispatch}</span><br>
         <strong style="display: inline-block; margin-bottom: 5px;">Payment Terms:</strong> <span class="wrap-content">${paymentTerms}</span><br>
+        ${generatePaymentScheduleHTML()}
         <strong style="display: inline-block; margin-bottom: 5px;">Billing Instructions:</strong> <span class="wrap-content">${billingInstructions}</span><br>
         <strong style="display: inline-block; margin-bottom: 5px;">Remarks:</strong> <span class="wrap-content">${remarks}</span>
       </div>
@@ -1512,7 +1996,28 @@ class PDFService {
         }</span></div>
         <div style="margin-bottom: 2px;"><strong>SWIFT Code:</strong> <span class="wrap-content">${
           bankDetails.swiftCode || ""
-        }</span></div>
+        }</span></div>${
+          bankDetails.upiId
+            ? `
+        <div style="margin-bottom: 2px;"><strong>UPI ID:</strong> <span class="wrap-content">${bankDetails.upiId}</span></div>`
+            : ""
+        }${
+          billData.upiQrDataUrl
+            ? `
+        <div class="upi-block">
+          <img class="upi-qr" src="${billData.upiQrDataUrl}" alt="UPI QR">
+          <div>${
+            billData.balanceDue > 0
+              ? `Scan with any UPI app to pay the balance due<br><strong>${this.formatCurrency(
+                  billData.balanceDue,
+                  currency,
+                  exchangeRates
+                )}</strong>`
+              : "Scan with any UPI app to pay"
+          }</div>
+        </div>`
+            : ""
+        }
       </div>
     </div>
 
@@ -1562,6 +2067,301 @@ class PDFService {
 </html>`;
   }
 
+  // Payment receipt: the bills settled and the amount applied to each
+  generateReceiptHTML(receiptData) {
+    const {
+      receiptNo,
+      date = new Date(),
+      currency = "INR",
+      amount = 0,
+      allocations = [],
+      customerName = "",
+      customerAddress = "",
+      customerGSTIN = "",
+      notes = "",
+      bankDetails = {},
+      logoBase64 = "",
+    } = receiptData;
+    const companyName =
+      receiptData.companyName || "PROINGREDIENTZ CONNECTIONS PVT. LTD.";
+    const emails = receiptData.companyEmails || [];
+
+    const formatDate = (value) =>
+      value
+        ? new Date(value).toLocaleDateString("en-IN", {
+            day: "2-digit",
+            month: "2-digit",
+            year: "numeric",
+          })
+        : "";
+    const formatMoney = (value) => this.formatCurrency(value, currency);
+    const logoSrc = this.resolveLogoSrc(logoBase64);
+
+    const allocationRows = allocations
+      .map(
+        (entry, index) => `
+          <tr>
+            <td>${index + 1}</td>
+            <td>${entry.poNo}</td>
+            <td>${formatDate(entry.billDate)}</td>
+            <td>${formatMoney(entry.billTotal)}</td>
+            <td>${formatDate(entry.paymentDate)}</td>
+            <td>${(entry.mode || "").toUpperCase()}${
+              entry.reference ? `<br>${entry.reference}` : ""
+            }</td>
+            <td>${formatMoney(entry.amountApplied)}</td>
+            <td>${formatMoney(entry.balanceAfter)}</td>
+          </tr>`
+      )
+      .join("");
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<style>
+  @page {
+    size: A4;
+    margin: 20mm 15mm 20mm 15mm;
+  }
+
+  body {
+    margin: 0;
+    padding: 0;
+    font-family: Arial, sans-serif;
+    background: white;
+    color: #000;
+  }
+
+  .receipt {
+    max-width: 800px;
+    margin: 0 auto;
+    padding: 15px;
+    font-size: 12px;
+    line-height: 1.3;
+  }
+
+  .header {
+    display: flex;
+    align-items: flex-start;
+    margin-bottom: 12px;
+    padding-bottom: 8px;
+    border-bottom: 2px solid #cccccc;
+  }
+
+  .logoimg {
+    width: 70px;
+    height: 60px;
+    margin-right: 15px;
+    object-fit: contain;
+  }
+
+  .company-name {
+    color: #2664eb;
+    font-size: 15px;
+    font-weight: 600;
+    margin-bottom: 6px;
+  }
+
+  .receipt-title {
+    text-align: center;
+    color: #2664eb;
+    background-color: #f7f9fa;
+    font-size: 20px;
+    font-weight: 600;
+    padding: 4px;
+    margin: 6px 0;
+    border-top: 2px solid #cccccc;
+    border-bottom: 2px solid #cccccc;
+  }
+
+  .receipt-header {
+    display: flex;
+    justify-content: space-between;
+    margin-bottom: 12px;
+    background-color: #f7f9fa;
+    border: 1px solid #dedede;
+    padding: 4px;
+  }
+
+  .two-column {
+    display: flex;
+    gap: 15px;
+    margin-bottom: 12px;
+  }
+
+  .columnone {
+    flex: 1;
+    border: 2px solid #dedede;
+    padding: 10px;
+    border-radius: 5px;
+    background-color: #f7f9fa;
+  }
+
+  .section-title {
+    font-weight: 600;
+    margin-bottom: 8px;
+    font-size: 13px;
+    text-decoration: underline 1.5px #2664eb;
+    color: #2d3747;
+  }
+
+  .acknowledgement {
+    margin: 12px 0;
+  }
+
+  .allocation-table {
+    width: 100%;
+    border-collapse: collapse;
+    border: 2px solid #4a5569;
+  }
+
+  .allocation-table th {
+    background: #2664eb;
+    color: white;
+    font-size: 10px;
+    padding: 8px;
+    text-align: start;
+    border: 2px solid #4a5569;
+  }
+
+  .allocation-table td {
+    padding: 8px;
+    font-size: 10px;
+    text-align: center;
+    border: 2px solid #4a5569;
+    word-wrap: break-word;
+  }
+
+  .total-row {
+    background: #f7fafc;
+    font-weight: bold;
+  }
+
+  .amount-words-row td {
+    text-align: left;
+    font-style: italic;
+  }
+
+  .footer {
+    display: flex;
+    justify-content: space-between;
+    margin-top: 30px;
+    font-size: 10px;
+  }
+
+  .signature-section {
+    text-align: right;
+  }
+</style>
+</head>
+<body>
+  <div class="receipt">
+    <div class="header">
+      ${logoSrc ? `<img class="logoimg" src="${logoSrc}" alt="Company Logo" />` : ""}
+      <div>
+        <div class="company-name">${companyName}</div>
+        <div>
+          <strong>Registered Office :</strong> ${
+            receiptData.companyRegisteredOffice || ""
+          }<br>
+          <strong>GSTIN:</strong> ${receiptData.companyGSTIN || ""} | <strong>PAN:</strong> ${
+            receiptData.companyPAN || ""
+          }<br>
+          <strong>Email:</strong> ${emails.join(", ")}
+        </div>
+      </div>
+    </div>
+
+    <div class="receipt-title">PAYMENT RECEIPT</div>
+
+    <div class="receipt-header">
+      <div>
+        <strong>Receipt No.:</strong><br>
+        ${receiptNo}
+      </div>
+      <div style="text-align: right;">
+        <strong>Date:</strong><br>
+        ${formatDate(date)}
+      </div>
+    </div>
+
+    <div class="two-column">
+      <div class="columnone">
+        <div class="section-title">Received From</div>
+        <div><strong>Name:</strong> ${customerName}</div>
+        <div><strong>Address:</strong> ${customerAddress}</div>${
+          customerGSTIN
+            ? `
+        <div><strong>GSTIN:</strong> ${customerGSTIN}</div>`
+            : ""
+        }
+      </div>
+      <div class="columnone">
+        <div class="section-title">Received In</div>${
+          bankDetails.bankName
+            ? `
+        <div><strong>Bank:</strong> ${bankDetails.bankName}</div>
+        <div><strong>A/C No.:</strong> ${bankDetails.accountNumber || ""}</div>`
+            : `
+        <div>${[...new Set(allocations.map((entry) => entry.mode))]
+          .join(", ")
+          .toUpperCase()}</div>`
+        }
+      </div>
+    </div>
+
+    <div class="acknowledgement">
+      Received with thanks from <strong>${customerName}</strong> the sum of
+      <strong>${formatMoney(amount)}</strong> (${amountToWords(
+        amount,
+        currency
+      )}) against the following ${allocations.length === 1 ? "bill" : "bills"}:
+    </div>
+
+    <table class="allocation-table">
+      <thead>
+        <tr>
+          <th>Sr. No.</th>
+          <th>Bill No.</th>
+          <th>Bill Date</th>
+          <th>Bill Amount (${currency})</th>
+          <th>Payment Date</th>
+          <th>Mode / Reference</th>
+          <th>Amount Applied (${currency})</th>
+          <th>Balance Due (${currency})</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${allocationRows}
+        <tr class="total-row">
+          <td colspan="6" style="text-align: right; padding-right: 20px;">Total Received</td>
+          <td>${formatMoney(amount)}</td>
+          <td></td>
+        </tr>
+        <tr class="amount-words-row">
+          <td colspan="8"><strong>Amount in Words:</strong> ${amountToWords(
+            amount,
+            currency
+          )}</td>
+        </tr>
+      </tbody>
+    </table>
+    ${notes ? `<p><strong>Notes:</strong> ${notes}</p>` : ""}
+
+    <div class="footer">
+      <div>
+        This is a receipt for payment received and is not a tax invoice.
+      </div>
+      <div class="signature-section">
+        <strong>Authorized Signatory</strong><br><br>
+        For ${companyName}
+      </div>
+    </div>
+  </div>
+</body>
+</html>`;
+  }
+
   async closeBrowser() {
     if (this.browser) {
       try {
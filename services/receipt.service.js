@@ -0,0 +1,96 @@
+const { roundToTwoDecimal } = require("../utils/currency");
+const { computeBalance } = require("../utils/payment");
+
+// Same customer across bills: GSTIN when registered, otherwise the name
+const customerKey = (bill) =>
+  (bill.customerGSTIN || bill.customerName || "").trim().toUpperCase();
+
+/**
+ * Check that bills can be acknowledged on one receipt: one customer,
+ * issuing company and currency
+ * @returns {string|null} - Error message or null
+ */
+function checkReceiptBills(bills) {
+  const [first] = bills;
+  const other = bills.find(
+    (bill) =>
+      customerKey(bill) !== customerKey(first) ||
+      String(bill.companyId || "") !== String(first.companyId || "") ||
+      bill.currency !== first.currency
+  );
+  if (!other) return null;
+  if (customerKey(other) !== customerKey(first)) {
+    return `${other.poNo} is billed to ${other.customerName}, not ${first.customerName}`;
+  }
+  if (other.currency !== first.currency) {
+    return `${other.poNo} is in ${other.currency}, ${first.poNo} in ${first.currency}`;
+  }
+  return `${other.poNo} and ${first.poNo} were issued by different companies`;
+}
+
+// Payments in the order they were received: by date, then as recorded
+const paymentOrder = (a, b) =>
+  a.date - b.date || String(a._id).localeCompare(String(b._id));
+
+/**
+ * Balance left on a bill right after a payment: its total less that payment
+ * and every payment received before it
+ */
+function balanceAfterPayment(bill, payment, billPayments) {
+  const paid = billPayments
+    .filter(
+      (entry) =>
+        String(entry.billId) === String(bill._id) &&
+        paymentOrder(entry, payment) <= 0
+    )
+    .reduce((sum, entry) => sum + entry.amount, 0);
+  return computeBalance(bill.grandTotal, paid).balanceDue;
+}
+
+/**
+ * Receipt fields for payments on bills: the customer of the bills and one
+ * allocation per payment with the bill's balance after it. `billPayments`
+ * are all payments recorded on the bills, the receipt's included.
+ * @returns {Object} - Receipt fields other than number and date
+ */
+function buildReceiptFields(payments, bills, billPayments) {
+  const billsById = new Map(bills.map((bill) => [String(bill._id), bill]));
+  const allocations = [...payments]
+    .sort(paymentOrder)
+    .map((payment) => {
+      const bill = billsById.get(String(payment.billId));
+      return {
+        paymentId: payment._id,
+        billId: bill._id,
+        poNo: bill.poNo,
+        billType: bill.type,
+        billDate: bill.date,
+        billTotal: bill.grandTotal,
+        paymentDate: payment.date,
+        mode: payment.mode,
+        reference: payment.reference,
+        amountApplied: payment.amount,
+        balanceAfter: balanceAfterPayment(bill, payment, billPayments),
+      };
+    });
+
+  const [bill] = bills;
+  const received = payments.find((payment) => payment.bankId);
+  return {
+    companyId: bill.companyId || null,
+    customerName: bill.customerName,
+    customerAddress: bill.customerAddress,
+    customerGSTIN: bill.customerGSTIN,
+    currency: bill.currency,
+    bankId: received ? received.bankId : null,
+    amount: roundToTwoDecimal(
+      allocations.reduce((sum, entry) => sum + entry.amountApplied, 0)
+    ),
+    allocations,
+  };
+}
+
+module.exports = {
+  checkReceiptBills,
+  buildReceiptFields,
+};
@@ -0,0 +1,333 @@
+const ExcelJS = require("exceljs");
+const moment = require("moment");
+const { roundToTwoDecimal } = require("../utils/currency");
+const { parseCsv, toCsv } = require("../utils/csv");
+const { computeBalance } = require("../utils/payment");
+
+// Header names used by Indian banks' statement exports
+const COLUMN_PATTERNS = {
+  date: /^(txn|tran|transaction|value|posting)?\s*\.?\s*date$|^date$/i,
+  narration: /narration|description|particulars|remarks|details/i,
+  reference: /ref|chq|cheque|utr/i,
+  credit: /credit|deposit|cr\.?\s*amount|^cr$/i,
+  debit: /debit|withdrawal|dr\.?\s*amount|^dr$/i,
+  amount: /^(txn|transaction)?\s*amount/i,
+  type: /^(cr\s*\/\s*dr|dr\s*\/\s*cr|type)$/i,
+  balance: /balance/i,
+};
+
+const DATE_FORMATS = [
+  "DD/MM/YYYY",
+  "DD-MM-YYYY",
+  "DD.MM.YYYY",
+  "DD/MM/YY",
+  "DD-MM-YY",
+  "DD-MMM-YYYY",
+  "DD MMM YYYY",
+  "DD-MMM-YY",
+  "YYYY-MM-DD",
+];
+
+// Words too common in company names to identify a customer
+const NAME_STOPWORDS = [
+  "PRIVATE",
+  "PVT",
+  "LIMITED",
+  "LTD",
+  "LLP",
+  "INDIA",
+  "AND",
+  "THE",
+  "CO",
+  "COMPANY",
+  "CORPORATION",
+  "ENTERPRISES",
+  "INDUSTRIES",
+];
+
+// Matches scoring at least this much are proposed for confirmation
+const PROPOSAL_THRESHOLD = 50;
+
+const normalize = (text) =>
+  String(text || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+
+// Plain value of an ExcelJS cell (rich text, formulas and hyperlinks unwrapped)
+function cellValue(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date || typeof value !== "object") return value;
+  if (value.richText) return value.richText.map((part) => part.text).join("");
+  if (value.result !== undefined) return value.result;
+  if (value.text !== undefined) return value.text;
+  return String(value);
+}
+
+/**
+ * Read the rows of an uploaded statement (.csv or .xlsx, first sheet)
+ * @returns {Promise<Object>} - { rows } or { error }
+ */
+async function readStatementRows(buffer, fileName = "") {
+  const extension = fileName.toLowerCase().split(".").pop();
+  if (extension === "csv") {
+    return { rows: parseCsv(buffer.toString("utf8")) };
+  }
+  if (extension === "xlsx") {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(buffer);
+    } catch (error) {
+      return { error: `Could not read ${fileName}: ${error.message}` };
+    }
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return { error: `${fileName} has no worksheets` };
+    const rows = [];
+    sheet.eachRow((row) => {
+      // row.values is 1-based
+      rows.push(row.values.slice(1).map(cellValue));
+    });
+    return { rows };
+  }
+  return {
+    error: "Upload the statement as .csv or .xlsx (save .xls files as .xlsx)",
+  };
+}
+
+function parseAmount(value) {
+  if (typeof value === "number") return value;
+  const text = String(value || "").trim();
+  if (!text) return null;
+  const negative =
+    /^\(.*\)$/.test(text) || /^-/.test(text) || /\bdr\.?$/i.test(text);
+  const number = Number(text.replace(/[^0-9.]/g, ""));
+  if (!text.match(/\d/) || isNaN(number)) return null;
+  return negative ? -number : number;
+}
+
+function parseDate(value) {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+  const parsed = moment(String(value || "").trim(), DATE_FORMATS, true);
+  return parsed.isValid() ? parsed.toDate() : null;
+}
+
+// Find the header row and the column index of each known field
+function findColumns(rows) {
+  for (let index = 0; index < Math.min(rows.length, 30); index++) {
+    const headers = rows[index].map((cell) => String(cell || "").trim());
+    const columns = {};
+    Object.entries(COLUMN_PATTERNS).forEach(([field, pattern]) => {
+      const column = headers.findIndex(
+        (header, position) =>
+          header &&
+          pattern.test(header) &&
+          !Object.values(columns).includes(position)
+      );
+      if (column !== -1) columns[field] = column;
+    });
+    if (
+      columns.date !== undefined &&
+      (columns.credit !== undefined || columns.amount !== undefined)
+    ) {
+      return { headerRow: index, columns };
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse statement rows into credits. Supports separate debit/credit columns
+ * and a single amount column with a Cr/Dr type or a sign.
+ * @returns {Object} - { credits, debitCount } or { error }
+ */
+function parseStatement(rows) {
+  const layout = findColumns(rows);
+  if (!layout) {
+    return {
+      error:
+        "Could not find the date and credit/amount columns in the statement",
+    };
+  }
+  const { headerRow, columns } = layout;
+  const cell = (row, field) =>
+    columns[field] === undefined ? "" : row[columns[field]];
+
+  const credits = [];
+  let debitCount = 0;
+  rows.slice(headerRow + 1).forEach((row) => {
+    const date = parseDate(cell(row, "date"));
+    // Opening/closing balance and footer lines have no transaction date
+    if (!date) return;
+
+    let amount;
+    if (columns.credit !== undefined) {
+      amount = parseAmount(cell(row, "credit"));
+      if (!amount && parseAmount(cell(row, "debit"))) amount = -1;
+    } else {
+      amount = parseAmount(cell(row, "amount"));
+      const type = String(cell(row, "type") || "").toUpperCase();
+      if (amount && type.startsWith("D")) amount = -Math.abs(amount);
+    }
+    if (!amount) return;
+    if (amount < 0) {
+      debitCount++;
+      return;
+    }
+
+    const balance = parseAmount(cell(row, "balance"));
+    credits.push({
+      date,
+      narration: String(cell(row, "narration") || "").trim(),
+      reference: String(cell(row, "reference") || "").trim(),
+      amount: roundToTwoDecimal(amount),
+      balance,
+    });
+  });
+  return { credits, debitCount };
+}
+
+/**
+ * Payment mode named in a narration ("NEFT-...", "UPI/...")
+ * @returns {string} - Payment mode, "other" when none is recognised
+ */
+function inferPaymentMode(narration) {
+  const match = /\b(NEFT|RTGS|IMPS|UPI)\b/i.exec(narration || "");
+  return match ? match[1].toLowerCase() : "other";
+}
+
+/**
+ * Score an open bill against a credit: bill number or customer name in the
+ * narration, and amounts equal to the balance, total or an instalment
+ * @returns {Object} - { score, reasons }
+ */
+function scoreMatch(credit, bill) {
+  const text = normalize(`${credit.narration} ${credit.reference}`);
+  const reasons = [];
+  let score = 0;
+
+  if (text.includes(normalize(bill.poNo))) {
+    score += 60;
+    reasons.push("Bill number in narration");
+  }
+
+  const { balanceDue } = computeBalance(bill.grandTotal, bill.amountPaid);
+  const sameAmount = (value) => Math.abs(credit.amount - value) < 0.01;
+  if (sameAmount(balanceDue)) {
+    score += 40;
+    reasons.push("Amount equals balance due");
+  } else if (sameAmount(bill.grandTotal)) {
+    score += 30;
+    reasons.push("Amount equals bill total");
+  } else {
+    const instalment = (bill.paymentSchedule || []).find((entry) =>
+      sameAmount(entry.amount)
+    );
+    if (instalment) {
+      score += 25;
+      reasons.push(`Amount equals the ${instalment.label} instalment`);
+    }
+  }
+
+  // Narrations often cut names short, so a word's first 6 letters will do
+  const words = String(bill.customerName || "")
+    .toUpperCase()
+    .split(/[^A-Z0-9]+/)
+    .filter((word) => word.length >= 3 && !NAME_STOPWORDS.includes(word));
+  if (words.length) {
+    const hits = words.filter((word) => text.includes(word.slice(0, 6)));
+    const ratio = hits.length / words.length;
+    if (ratio >= 0.5) {
+      score += Math.round(30 * ratio);
+      reasons.push("Customer name in narration");
+    }
+  }
+  return { score, reasons };
+}
+
+/**
+ * Propose the best open bill for each credit. A proposal needs
+ * PROPOSAL_THRESHOLD points and must not tie with another bill.
+ * @returns {Array} - Per credit: { proposal, candidates } (proposal may be null)
+ */
+function proposeMatches(credits, openBills) {
+  return credits.map((credit) => {
+    const candidates = openBills
+      .map((bill) => ({
+        billId: bill._id,
+        poNo: bill.poNo,
+        customerName: bill.customerName,
+        ...scoreMatch(credit, bill),
+      }))
+      .filter((candidate) => candidate.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 3);
+    const [best, runnerUp] = candidates;
+    const proposal =
+      best &&
+      best.score >= PROPOSAL_THRESHOLD &&
+      !(runnerUp && runnerUp.score === best.score)
+        ? best
+        : null;
+    return { proposal, candidates };
+  });
+}
+
+/**
+ * Key identifying a statement credit across uploads of overlapping periods
+ */
+function creditKey(credit) {
+  return [
+    new Date(credit.date).toISOString().slice(0, 10),
+    roundToTwoDecimal(credit.amount),
+    normalize(credit.reference || credit.narration),
+  ].join("|");
+}
+
+/**
+ * Flatten the unmatched and proposed credits of statements, oldest first
+ * @returns {Array} - Credits with their statement and account
+ */
+function listUnmatchedCredits(statements) {
+  return statements
+    .flatMap((statement) =>
+      statement.credits
+        .filter((credit) => ["unmatched", "proposed"].includes(credit.status))
+        .map((credit) => ({
+          statementId: statement._id,
+          bankId: statement.bankId,
+          creditId: credit._id,
+          date: credit.date,
+          narration: credit.narration,
+          reference: credit.reference,
+          amount: credit.amount,
+          status: credit.status,
+          proposedBillNo: credit.proposal ? credit.proposal.poNo || "" : "",
+        }))
+    )
+    .sort((a, b) => a.date - b.date);
+}
+
+function unmatchedCreditsToCsv(credits) {
+  return toCsv(
+    ["Date", "Narration", "Reference", "Amount", "Status", "Proposed Bill"],
+    credits.map((credit) => [
+      moment(credit.date).format("DD/MM/YYYY"),
+      credit.narration,
+      credit.reference,
+      credit.amount,
+      credit.status,
+      credit.proposedBillNo,
+    ])
+  );
+}
+
+module.exports = {
+  PROPOSAL_THRESHOLD,
+  readStatementRows,
+  parseStatement,
+  inferPaymentMode,
+  scoreMatch,
+  proposeMatches,
+  creditKey,
+  listUnmatchedCredits,
+  unmatchedCreditsToCsv,
+};
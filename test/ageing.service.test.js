@@ -0,0 +1,91 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  buildAgeingReport,
+  ageingToCsv,
+} = require("../services/ageing.service");
+
+const AS_OF = new Date(2026, 9, 19);
+
+// An open invoice due `daysOverdue` days before AS_OF
+const invoice = (poNo, daysOverdue, overrides = {}) => ({
+  _id: poNo,
+  poNo,
+  status: "sent",
+  currency: "INR",
+  customerName: "Acme Foods",
+  customerGSTIN: "27AAPFU0939F1ZV",
+  date: new Date(2026, 6, 1),
+  dueDate: new Date(2026, 9, 19 - daysOverdue),
+  grandTotal: 1000,
+  amountPaid: 0,
+  ...overrides,
+});
+
+describe("buildAgeingReport", () => {
+  const report = buildAgeingReport(
+    [
+      invoice("INV-1", -5),
+      invoice("INV-2", 0),
+      invoice("INV-3", 31, { amountPaid: 400, status: "partially_paid" }),
+      invoice("INV-4", 61),
+      invoice("INV-5", 91),
+      invoice("INV-6", 10, { status: "paid", amountPaid: 1000 }),
+      invoice("INV-7", 10, { status: "draft" }),
+      invoice("INV-8", 10, {
+        customerName: "Globex",
+        customerGSTIN: "",
+        currency: "USD",
+        grandTotal: 250,
+      }),
+    ],
+    { asOf: AS_OF }
+  );
+
+  it("buckets open balances by days past due", () => {
+    const [acme] = report.customers.filter(
+      (customer) => customer.currency === "INR"
+    );
+    assert.deepEqual(acme.buckets, {
+      current: 1000,
+      "0_30": 1000,
+      "31_60": 600,
+      "61_90": 1000,
+      "90_plus": 1000,
+    });
+    assert.equal(acme.total, 4600);
+    assert.equal(acme.oldestDaysOverdue, 91);
+    assert.deepEqual(
+      acme.invoices.map((entry) => [entry.poNo, entry.bucket]),
+      [
+        ["INV-5", "90_plus"],
+        ["INV-4", "61_90"],
+        ["INV-3", "31_60"],
+        ["INV-2", "0_30"],
+        ["INV-1", "current"],
+      ]
+    );
+  });
+
+  it("keeps currencies apart and leaves out settled and draft bills", () => {
+    assert.deepEqual(
+      report.customers.map((customer) => [
+        customer.customerName,
+        customer.currency,
+      ]),
+      [
+        ["Acme Foods", "INR"],
+        ["Globex", "USD"],
+      ]
+    );
+    assert.deepEqual(Object.keys(report.totals), ["INR", "USD"]);
+    assert.equal(report.totals.USD.buckets["0_30"], 250);
+  });
+
+  it("exports one row per customer and a total per currency", () => {
+    const lines = ageingToCsv(report).trim().split(/\r?\n/);
+    assert.equal(lines.length, 5);
+    assert.match(lines[0], /^Customer,GSTIN,Currency,Open Invoices,Not Due,/);
+    assert.match(lines[3], /^Total,,INR,,1000,1000,600,1000,1000,4600$/);
+  });
+});
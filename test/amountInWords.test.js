@@ -0,0 +1,34 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { amountToWords, numberToWords } = require("../utils/amountInWords");
+
+describe("amountToWords", () => {
+  it("uses lakh and crore for rupees", () => {
+    assert.equal(
+      amountToWords(104037.37),
+      "Rupees One Lakh Four Thousand Thirty-Seven and Paise Thirty-Seven Only"
+    );
+    assert.equal(
+      amountToWords(12500000, "INR"),
+      "Rupees One Crore Twenty-Five Lakh Only"
+    );
+  });
+
+  it("uses million and billion for other currencies", () => {
+    assert.equal(
+      amountToWords(1234567.5, "USD"),
+      "US Dollars One Million Two Hundred Thirty-Four Thousand Five Hundred Sixty-Seven and Cents Fifty Only"
+    );
+  });
+
+  it("uses the singular for one unit and skips a zero major part", () => {
+    assert.equal(amountToWords(1), "Rupee One Only");
+    assert.equal(amountToWords(0.5, "EUR"), "Cents Fifty Only");
+  });
+});
+
+describe("numberToWords", () => {
+  it("spells zero", () => {
+    assert.equal(numberToWords(0), "Zero");
+  });
+});
@@ -0,0 +1,45 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Bill = require("../models/Bill");
+
+// A bill as stored before per-line GST rates and the tax split existed
+const legacyBill = () =>
+  Bill.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    poNo: "INGINV/24-25/001",
+    type: "invoice",
+    customerName: "Legacy Foods",
+    items: [
+      {
+        _id: new mongoose.Types.ObjectId(),
+        description: "Whey protein",
+        quantity: 1,
+        unitPrice: 100,
+        total: 100,
+      },
+    ],
+    subTotal: 100,
+    taxPercent: 18,
+    taxes: 18,
+    grandTotal: 118,
+    paymentTerms: "50% Advance",
+  });
+
+describe("legacy bills", () => {
+  it("leave line rates unset so they follow the bill rate", () => {
+    const bill = legacyBill();
+    assert.equal(bill.items[0].taxRate, undefined);
+    assert.equal(bill.toObject().items[0].taxRate, undefined);
+  });
+
+  it("leave the tax split unset", () => {
+    const { cgst, sgst, igst } = legacyBill().taxBreakdown;
+    assert.deepEqual([cgst, sgst, igst], [undefined, undefined, undefined]);
+  });
+
+  it("leave the payment plan unset so it is read from the terms", () => {
+    const { advancePercent, netDays } = legacyBill().paymentPlan;
+    assert.deepEqual([advancePercent, netDays], [undefined, undefined]);
+  });
+});
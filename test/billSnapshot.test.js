@@ -0,0 +1,48 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { takeSnapshot, diffSnapshots } = require("../utils/billSnapshot");
+
+const bill = (overrides) => ({
+  _id: new mongoose.Types.ObjectId(),
+  type: "invoice",
+  customerName: "Acme Foods",
+  items: [
+    {
+      _id: new mongoose.Types.ObjectId(),
+      description: "Whey protein",
+      quantity: 1,
+      unitPrice: 100,
+    },
+  ],
+  grandTotal: 118,
+  date: new Date(Date.UTC(2026, 9, 1)),
+  bankId: new mongoose.Types.ObjectId("64b7f0c2a1b2c3d4e5f60718"),
+  ...overrides,
+});
+
+describe("takeSnapshot", () => {
+  it("keeps the printed fields as plain JSON", () => {
+    const snapshot = takeSnapshot(bill(), { accountName: "Ingredientz" });
+    assert.deepEqual(snapshot.items, [
+      { description: "Whey protein", quantity: 1, unitPrice: 100 },
+    ]);
+    assert.equal(snapshot.date, "2026-10-01T00:00:00.000Z");
+    assert.equal(snapshot.bankId, "64b7f0c2a1b2c3d4e5f60718");
+    assert.deepEqual(snapshot.bankDetails, { accountName: "Ingredientz" });
+    assert.equal(snapshot.companyDetails, null);
+    assert.equal(snapshot.remarks, null);
+    assert.equal("_id" in snapshot, false);
+  });
+});
+
+describe("diffSnapshots", () => {
+  it("lists only the fields that changed", () => {
+    const before = takeSnapshot(bill());
+    const after = takeSnapshot(bill({ grandTotal: 236, remarks: "Rush" }));
+    assert.deepEqual(diffSnapshots(before, after), [
+      { field: "grandTotal", from: 118, to: 236 },
+      { field: "remarks", from: null, to: "Rush" },
+    ]);
+  });
+});
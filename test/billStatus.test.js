@@ -0,0 +1,55 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  normalizeStatus,
+  canTransition,
+  canSetStatus,
+  getManualTransitions,
+  getStatusStamp,
+} = require("../utils/billStatus");
+
+describe("normalizeStatus", () => {
+  it("accepts the spellings clients send", () => {
+    assert.equal(normalizeStatus("Partially Paid"), "partially_paid");
+    assert.equal(normalizeStatus("partially-paid"), "partially_paid");
+    assert.equal(normalizeStatus(" ISSUED "), "issued");
+  });
+
+  it("rejects unknown and non-string statuses", () => {
+    assert.equal(normalizeStatus("archived"), null);
+    assert.equal(normalizeStatus(3), null);
+    assert.equal(normalizeStatus(""), null);
+  });
+});
+
+describe("status transitions", () => {
+  it("moves forward through the lifecycle", () => {
+    assert.ok(canTransition("draft", "issued"));
+    assert.ok(canTransition("issued", "sent"));
+    assert.ok(canTransition("sent", "paid"));
+    assert.ok(canTransition("partially_paid", "paid"));
+  });
+
+  it("never leaves paid or cancelled", () => {
+    assert.equal(canTransition("paid", "cancelled"), false);
+    assert.equal(canTransition("cancelled", "issued"), false);
+    assert.equal(canTransition("sent", "draft"), false);
+  });
+
+  it("leaves paid and partially paid to recorded payments", () => {
+    assert.equal(canSetStatus("sent", "paid"), false);
+    assert.equal(canSetStatus("issued", "partially_paid"), false);
+    assert.ok(canSetStatus("issued", "sent"));
+    assert.ok(canSetStatus("sent", "cancelled"));
+    assert.deepEqual(getManualTransitions("issued"), ["sent", "cancelled"]);
+    assert.deepEqual(getManualTransitions("partially_paid"), []);
+  });
+});
+
+describe("getStatusStamp", () => {
+  it("stamps drafts and cancelled bills only", () => {
+    assert.equal(getStatusStamp("draft"), "DRAFT");
+    assert.equal(getStatusStamp("cancelled"), "CANCELLED");
+    assert.equal(getStatusStamp("paid"), "");
+  });
+});
@@ -0,0 +1,27 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { applyRounding } = require("../utils/currency");
+
+describe("applyRounding", () => {
+  it("leaves totals as they are without a policy", () => {
+    assert.deepEqual(applyRounding(1180.49), { total: 1180.49, roundOff: 0 });
+  });
+
+  it("rounds to the nearest rupee and reports the round-off", () => {
+    assert.deepEqual(applyRounding(1180.49, "nearest_rupee"), {
+      total: 1180,
+      roundOff: -0.49,
+    });
+    assert.deepEqual(applyRounding(1180.5, "nearest_rupee"), {
+      total: 1181,
+      roundOff: 0.5,
+    });
+  });
+
+  it("rounds to the nearest five paise", () => {
+    assert.deepEqual(applyRounding(99.97, "nearest_0.05"), {
+      total: 99.95,
+      roundOff: -0.02,
+    });
+  });
+});
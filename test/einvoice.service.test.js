@@ -0,0 +1,138 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseAddress,
+  toReportedQuantity,
+  buildEInvoicePayload,
+  validateEInvoicePayload,
+} = require("../services/einvoice.service");
+
+const company = {
+  name: "Ingredientz Pvt Ltd",
+  gstin: "27AAPFU0939F1ZV",
+  registeredOffice: "12 Link Road, Andheri, Mumbai – 400053",
+  emails: ["accounts@example.com"],
+};
+
+const invoice = (overrides) => ({
+  poNo: "INGINV/25-26/001",
+  date: new Date(2025, 6, 15),
+  currency: "INR",
+  customerName: "Acme Foods",
+  customerGSTIN: "27AAACR5055K1Z7",
+  customerAddress: "Plot 4, MIDC, Pune - 411019",
+  placeOfSupply: "27",
+  isInterState: false,
+  items: [
+    {
+      description: "Whey protein",
+      hsn: "04041010",
+      quantity: 500,
+      unit: "grams",
+      total: 900,
+      discountAmount: 100,
+      taxRate: 18,
+      taxableValue: 900,
+      taxAmount: 162,
+    },
+  ],
+  additionalCharges: [],
+  taxes: 162,
+  roundOff: 0,
+  grandTotal: 1062,
+  ...overrides,
+});
+
+describe("parseAddress", () => {
+  it("reads the PIN and the location next to it", () => {
+    assert.deepEqual(parseAddress("Plot 4, MIDC, Pune - 411019"), {
+      Addr1: "Plot 4, MIDC, Pune - 411019",
+      Loc: "Pune",
+      Pin: 411019,
+    });
+  });
+});
+
+describe("toReportedQuantity", () => {
+  it("reports weights in kilograms", () => {
+    assert.deepEqual(toReportedQuantity({ quantity: 500, unit: "grams" }), {
+      quantity: 0.5,
+      unit: "KGS",
+    });
+    assert.deepEqual(toReportedQuantity({ quantity: 3, unit: "ft" }), {
+      quantity: 3,
+      unit: "OTH",
+    });
+  });
+});
+
+describe("buildEInvoicePayload", () => {
+  it("maps an intra-state invoice with a line discount", () => {
+    const payload = buildEInvoicePayload(invoice(), company);
+    assert.equal(payload.TranDtls.SupTyp, "B2B");
+    assert.deepEqual(payload.DocDtls, {
+      Typ: "INV",
+      No: "INGINV/25-26/001",
+      Dt: "15/07/2025",
+    });
+    const [line] = payload.ItemList;
+    assert.equal(line.Qty, 0.5);
+    assert.equal(line.TotAmt, 1000);
+    assert.equal(line.Discount, 100);
+    assert.equal(line.AssAmt, 900);
+    assert.deepEqual([line.CgstAmt, line.SgstAmt, line.IgstAmt], [81, 81, 0]);
+    assert.equal(payload.ValDtls.TotInvVal, 1062);
+    assert.deepEqual(validateEInvoicePayload(payload), []);
+  });
+
+  it("converts exports to INR and reports the buyer as URP", () => {
+    const payload = buildEInvoicePayload(
+      invoice({
+        currency: "USD",
+        customerGSTIN: "",
+        customerAddress: "1 Main Street, Springfield",
+        placeOfSupply: "",
+        isInterState: true,
+        taxes: 0,
+        items: [
+          {
+            description: "Whey protein",
+            hsn: "04041010",
+            quantity: 10,
+            unit: "kg",
+            total: 100,
+            taxRate: 0,
+            taxableValue: 100,
+            taxAmount: 0,
+          },
+        ],
+        grandTotal: 100,
+      }),
+      company,
+      { exchangeRate: 83.5 }
+    );
+    assert.equal(payload.TranDtls.SupTyp, "EXPWOP");
+    assert.equal(payload.BuyerDtls.Gstin, "URP");
+    assert.equal(payload.BuyerDtls.Pos, "96");
+    assert.equal(payload.ValDtls.TotInvVal, 8350);
+    assert.equal(payload.ValDtls.TotInvValFc, 100);
+    assert.deepEqual(payload.ExpDtls, { ForCur: "USD" });
+  });
+});
+
+describe("validateEInvoicePayload", () => {
+  it("reports HSN codes, rates and buyers the IRP would reject", () => {
+    const payload = buildEInvoicePayload(
+      invoice({
+        customerGSTIN: "",
+        items: [{ ...invoice().items[0], hsn: "404", taxRate: 17 }],
+      }),
+      company
+    );
+    const fields = validateEInvoicePayload(payload).map((error) => error.field);
+    assert.deepEqual(
+      [...new Set(fields)],
+      ["BuyerDtls.Gstin", "ItemList[0].HsnCd", "ItemList[0].GstRt"]
+    );
+  });
+});
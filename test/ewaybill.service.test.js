@@ -0,0 +1,121 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  findTransportIssues,
+  buildEwayBillEntry,
+  buildBulkEwayBill,
+} = require("../services/ewaybill.service");
+
+const company = {
+  name: "Ingredientz Pvt Ltd",
+  gstin: "27AAPFU0939F1ZV",
+  registeredOffice: "12 Link Road, Andheri, Mumbai – 400053",
+};
+
+const road = { mode: "road", distanceKm: 150, vehicleNumber: "MH12AB1234" };
+
+const invoice = (overrides) => ({
+  _id: "bill-1",
+  poNo: "INGINV/25-26/001",
+  type: "invoice",
+  status: "sent",
+  date: new Date(2025, 6, 15),
+  currency: "INR",
+  customerName: "Acme Foods",
+  customerGSTIN: "29AAACR5055K1ZK",
+  customerAddress: "4 MG Road, Bengaluru - 560001",
+  placeOfSupply: "29",
+  isInterState: true,
+  items: [
+    {
+      description: "Whey protein",
+      hsn: "04041010",
+      quantity: 100,
+      unit: "kg",
+      taxRate: 18,
+      taxableValue: 60000,
+      taxAmount: 10800,
+    },
+  ],
+  additionalCharges: [],
+  taxBreakdown: { cgst: 0, sgst: 0, igst: 10800 },
+  roundOff: 0,
+  grandTotal: 70800,
+  transport: road,
+  ...overrides,
+});
+
+describe("findTransportIssues", () => {
+  it("needs distance and mode", () => {
+    assert.deepEqual(findTransportIssues({ transport: {} }), [
+      "Transport distance (km) is missing",
+      "Transport mode is missing",
+    ]);
+  });
+
+  it("needs a vehicle or transporter by road, a document otherwise", () => {
+    assert.deepEqual(
+      findTransportIssues({ transport: { mode: "road", distanceKm: 10 } }),
+      ["Vehicle number or transporter ID is required for road"]
+    );
+    assert.deepEqual(
+      findTransportIssues({ transport: { mode: "air", distanceKm: 900 } }),
+      ["Transport document number and date are required for air"]
+    );
+    assert.deepEqual(findTransportIssues({ transport: road }), []);
+  });
+});
+
+describe("buildEwayBillEntry", () => {
+  it("maps an inter-state invoice moved by road", () => {
+    const entry = buildEwayBillEntry(invoice(), company);
+    assert.equal(entry.docDate, "15/07/2025");
+    assert.equal(entry.fromStateCode, 27);
+    assert.equal(entry.toStateCode, 29);
+    assert.equal(entry.fromPincode, 400053);
+    assert.equal(entry.toPincode, 560001);
+    assert.equal(entry.transMode, 1);
+    assert.equal(entry.transDistance, "150");
+    assert.equal(entry.vehicleNo, "MH12AB1234");
+    assert.equal(entry.igstValue, 10800);
+    assert.equal(entry.totInvValue, 70800);
+    assert.deepEqual(
+      [entry.itemList[0].igstRate, entry.itemList[0].cgstRate],
+      [18, 0]
+    );
+    assert.equal(entry.mainHsnCode, 4041010);
+  });
+});
+
+describe("buildBulkEwayBill", () => {
+  it("leaves out and flags bills above the threshold without transport", () => {
+    const { ewayBill, results } = buildBulkEwayBill([
+      { bill: invoice(), company },
+      { bill: invoice({ _id: "bill-2", transport: {} }), company },
+      {
+        bill: invoice({ _id: "bill-3", grandTotal: 1000, transport: {} }),
+        company,
+      },
+    ]);
+    assert.equal(ewayBill.billLists.length, 1);
+    assert.deepEqual(
+      results.map(({ included, flagged }) => [included, flagged]),
+      [
+        [true, false],
+        [false, true],
+        [false, false],
+      ]
+    );
+  });
+
+  it("needs an exchange rate for foreign currency bills", () => {
+    const bill = invoice({ currency: "USD", grandTotal: 1000 });
+    const [withoutRate] = buildBulkEwayBill([{ bill, company }]).results;
+    assert.match(withoutRate.issues[0], /Exchange rate for USD/);
+    const [withRate] = buildBulkEwayBill([{ bill, company }], {
+      exchangeRates: { USD: 83.5 },
+    }).results;
+    assert.equal(withRate.invoiceValue, 83500);
+    assert.equal(withRate.requiresEwayBill, true);
+  });
+});
@@ -0,0 +1,29 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getFinancialYear,
+  getFinancialYearRange,
+} = require("../utils/financialYear");
+
+describe("getFinancialYear", () => {
+  it("starts a new year on 1 April", () => {
+    assert.deepEqual(getFinancialYear(new Date(2025, 2, 31)), {
+      startYear: 2024,
+      endYear: 2025,
+      label: "24-25",
+    });
+    assert.equal(getFinancialYear(new Date(2025, 3, 1)).label, "25-26");
+  });
+
+  it("pads labels across the century", () => {
+    assert.equal(getFinancialYear(new Date(2099, 5, 1)).label, "99-00");
+  });
+});
+
+describe("getFinancialYearRange", () => {
+  it("runs from 1 April to the end of 31 March", () => {
+    const { start, end } = getFinancialYearRange(new Date(2025, 10, 15));
+    assert.deepEqual(start, new Date(2025, 3, 1));
+    assert.deepEqual(end, new Date(2026, 2, 31, 23, 59, 59, 999));
+  });
+});
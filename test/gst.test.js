@@ -0,0 +1,189 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getStateName,
+  getStateCodeFromGSTIN,
+  normalizeStateCode,
+  determineSupplyType,
+  splitTax,
+  computeLineTax,
+  buildHsnSummary,
+  getStateTaxLabel,
+} = require("../utils/gst");
+
+const MAHARASHTRA_GSTIN = "27AAPFU0939F1ZV";
+const KARNATAKA_GSTIN = "29AAACR5055K1ZK";
+
+describe("state codes", () => {
+  it("reads the state from a GSTIN", () => {
+    assert.equal(getStateCodeFromGSTIN(MAHARASHTRA_GSTIN), "27");
+    assert.equal(getStateName("27"), "Maharashtra");
+    assert.equal(getStateCodeFromGSTIN("00AAPFU0939F1ZV"), "");
+  });
+
+  it("knows the pre-2014 Andhra Pradesh code", () => {
+    assert.equal(getStateName("28"), "Andhra Pradesh (Old)");
+  });
+
+  it("knows the pre-merger Daman and Diu code", () => {
+    assert.equal(getStateCodeFromGSTIN("25AAACR5055K1ZB"), "25");
+    assert.equal(getStateName("25"), "Daman and Diu");
+    assert.equal(getStateTaxLabel("25"), "UTGST");
+  });
+
+  it("accepts a place of supply as a code or a state name", () => {
+    assert.equal(normalizeStateCode("7"), "07");
+    assert.equal(normalizeStateCode(27), "27");
+    assert.equal(normalizeStateCode("karnataka"), "29");
+    assert.equal(normalizeStateCode("Atlantis"), "");
+  });
+});
+
+describe("determineSupplyType", () => {
+  it("is intra-state when the customer is in the company's state", () => {
+    const supply = determineSupplyType({
+      companyGSTIN: MAHARASHTRA_GSTIN,
+      customerGSTIN: "27AAACR5055K1Z7",
+    });
+    assert.deepEqual(supply, {
+      placeOfSupply: "27",
+      companyStateCode: "27",
+      isInterState: false,
+    });
+  });
+
+  it("is inter-state for a customer in another state", () => {
+    const supply = determineSupplyType({
+      companyGSTIN: MAHARASHTRA_GSTIN,
+      customerGSTIN: KARNATAKA_GSTIN,
+    });
+    assert.equal(supply.isInterState, true);
+  });
+
+  it("lets an explicit place of supply win over the customer GSTIN", () => {
+    const supply = determineSupplyType({
+      companyGSTIN: MAHARASHTRA_GSTIN,
+      customerGSTIN: KARNATAKA_GSTIN,
+      placeOfSupply: "Maharashtra",
+    });
+    assert.equal(supply.placeOfSupply, "27");
+    assert.equal(supply.isInterState, false);
+  });
+
+  it("treats foreign currency supplies without a state as exports", () => {
+    const supply = determineSupplyType({
+      companyGSTIN: MAHARASHTRA_GSTIN,
+      currency: "USD",
+    });
+    assert.equal(supply.isInterState, true);
+  });
+});
+
+describe("splitTax", () => {
+  it("charges IGST on inter-state supplies", () => {
+    assert.deepEqual(splitTax(180, true), { cgst: 0, sgst: 0, igst: 180 });
+  });
+
+  it("splits odd paise so CGST and SGST add up to the tax", () => {
+    const split = splitTax(10.05, false);
+    assert.deepEqual(split, { cgst: 5.03, sgst: 5.02, igst: 0 });
+  });
+
+  it("labels the state component UTGST in union territories", () => {
+    assert.equal(getStateTaxLabel("04"), "UTGST");
+    assert.equal(getStateTaxLabel("27"), "SGST");
+  });
+});
+
+describe("computeLineTax", () => {
+  it("charges the line rate on the net amount", () => {
+    assert.deepEqual(computeLineTax(1234.5, 18), {
+      taxableValue: 1234.5,
+      taxAmount: 222.21,
+    });
+    assert.deepEqual(computeLineTax(100, undefined), {
+      taxableValue: 100,
+      taxAmount: 0,
+    });
+  });
+
+  it("back-calculates the taxable value from tax-inclusive prices", () => {
+    assert.deepEqual(computeLineTax(118, 18, true), {
+      taxableValue: 100,
+      taxAmount: 18,
+    });
+    // The tax takes the remainder so the parts add up to the gross amount
+    const { taxableValue, taxAmount } = computeLineTax(100, 12, true);
+    assert.deepEqual([taxableValue, taxAmount], [89.29, 10.71]);
+  });
+});
+
+describe("buildHsnSummary", () => {
+  const items = [
+    {
+      hsn: "0404",
+      taxRate: 5,
+      quantity: 10,
+      unit: "kg",
+      taxableValue: 1000,
+      taxAmount: 50,
+    },
+    {
+      hsn: "0404",
+      taxRate: 5,
+      quantity: 2.5,
+      unit: "kg",
+      taxableValue: 250,
+      taxAmount: 12.5,
+    },
+    {
+      hsn: "0404",
+      taxRate: 18,
+      quantity: 1,
+      unit: "pcs",
+      taxableValue: 100,
+      taxAmount: 18,
+    },
+    {
+      hsn: "3004",
+      taxRate: 5,
+      quantity: 3,
+      unit: "box",
+      taxableValue: 90,
+      taxAmount: 4.5,
+    },
+  ];
+
+  it("groups lines by HSN and rate", () => {
+    const rows = buildHsnSummary(items, false);
+    assert.deepEqual(
+      rows.map((row) => [row.hsn, row.taxRate, row.quantity, row.taxableValue]),
+      [
+        ["0404", 5, 12.5, 1250],
+        ["0404", 18, 1, 100],
+        ["3004", 5, 3, 90],
+      ]
+    );
+  });
+
+  it("splits each group's tax by the supply type", () => {
+    const [intra] = buildHsnSummary(items, false);
+    assert.deepEqual(
+      [intra.taxAmount, intra.cgst, intra.sgst, intra.igst],
+      [62.5, 31.25, 31.25, 0]
+    );
+    const [inter] = buildHsnSummary(items, true);
+    assert.deepEqual([inter.cgst, inter.sgst, inter.igst], [0, 0, 62.5]);
+  });
+
+  it("drops the unit of a group whose lines use different units", () => {
+    const rows = buildHsnSummary(
+      [
+        { hsn: "0404", taxRate: 5, quantity: 1, unit: "kg" },
+        { hsn: "0404", taxRate: 5, quantity: 1, unit: "pcs" },
+      ],
+      false
+    );
+    assert.equal(rows[0].unit, "");
+  });
+});
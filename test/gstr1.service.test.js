@@ -0,0 +1,182 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { buildGstr1, parsePeriod } = require("../services/gstr1.service");
+
+const SUPPLIER_GSTIN = "23AAPCP3793B1ZC";
+
+// An invoice with one HSN line at `rate`, taxed by its HSN summary
+const invoice = ({ taxableValue, rate = 18, interState, ...overrides }) => {
+  const tax = (taxableValue * rate) / 100;
+  return {
+    _id: overrides.poNo,
+    type: "invoice",
+    status: "sent",
+    currency: "INR",
+    date: new Date(2026, 8, 10),
+    customerName: "Customer",
+    customerGSTIN: "",
+    items: [
+      {
+        description: "Whey protein",
+        hsn: "0404",
+        quantity: 10,
+        unit: "kg",
+        taxRate: rate,
+        taxableValue,
+        taxAmount: tax,
+      },
+    ],
+    hsnSummary: [
+      {
+        hsn: "0404",
+        taxRate: rate,
+        quantity: 10,
+        unit: "kg",
+        taxableValue,
+        taxAmount: tax,
+        cgst: interState ? 0 : tax / 2,
+        sgst: interState ? 0 : tax / 2,
+        igst: interState ? tax : 0,
+      },
+    ],
+    grandTotal: taxableValue + tax,
+    ...overrides,
+  };
+};
+
+describe("parsePeriod", () => {
+  it("turns YYYY-MM into the month and the GSTN period code", () => {
+    assert.deepEqual(parsePeriod("2026-09"), {
+      start: new Date(2026, 8, 1),
+      end: new Date(2026, 9, 1),
+      fp: "092026",
+    });
+    assert.equal(parsePeriod("2026-13"), null);
+  });
+});
+
+describe("buildGstr1", () => {
+  const bills = [
+    invoice({
+      poNo: "INV-1",
+      sequence: 1,
+      customerGSTIN: "27AAPFU0939F1ZV",
+      placeOfSupply: "27",
+      interState: true,
+      taxableValue: 1000,
+    }),
+    invoice({
+      poNo: "INV-2",
+      sequence: 2,
+      placeOfSupply: "27",
+      interState: true,
+      taxableValue: 200000,
+    }),
+    invoice({
+      poNo: "INV-3",
+      sequence: 3,
+      placeOfSupply: "23",
+      taxableValue: 500,
+    }),
+    invoice({
+      poNo: "INV-4",
+      sequence: 4,
+      placeOfSupply: "23",
+      taxableValue: 500,
+      status: "cancelled",
+    }),
+    invoice({ poNo: "INV-5", sequence: 5, currency: "USD", taxableValue: 500 }),
+  ];
+  const result = buildGstr1(bills, {
+    gstin: SUPPLIER_GSTIN,
+    period: "2026-09",
+  });
+
+  it("sorts invoices into B2B, B2CL and B2CS", () => {
+    const { json } = result;
+    assert.equal(json.fp, "092026");
+    assert.deepEqual(
+      json.b2b.map((party) => [party.ctin, party.inv[0].inum]),
+      [["27AAPFU0939F1ZV", "INV-1"]]
+    );
+    assert.deepEqual(json.b2cl[0].inv[0].itms[0].itm_det, {
+      txval: 200000,
+      rt: 18,
+      iamt: 36000,
+      csamt: 0,
+    });
+    assert.deepEqual(json.b2cs, [
+      {
+        sply_ty: "INTRA",
+        pos: "23",
+        typ: "OE",
+        rt: 18,
+        txval: 500,
+        iamt: 0,
+        camt: 45,
+        samt: 45,
+        csamt: 0,
+      },
+    ]);
+  });
+
+  it("reports HSN for B2B and B2C supplies in separate tables", () => {
+    const { hsn_b2b: b2b, hsn_b2c: b2c } = result.json.hsn;
+    assert.deepEqual(
+      b2b.map((row) => [row.hsn_sc, row.uqc, row.qty, row.txval, row.iamt]),
+      [["0404", "KGS", 10, 1000, 180]]
+    );
+    assert.deepEqual(
+      b2c.map((row) => [row.txval, row.iamt, row.camt, row.samt]),
+      [[200500, 36000, 45, 45]]
+    );
+    assert.ok(result.csv["hsn_b2b.csv"].startsWith("HSN,Description,UQC"));
+  });
+
+  it("counts cancelled invoices only in the document series", () => {
+    assert.deepEqual(result.json.doc_issue.doc_det[0].docs, [
+      {
+        num: 1,
+        from: "INV-1",
+        to: "INV-5",
+        totnum: 5,
+        cancel: 1,
+        net_issue: 4,
+      },
+    ]);
+    assert.equal(result.summary.cancelled, 1);
+  });
+
+  it("leaves foreign currency invoices for the exports table", () => {
+    assert.deepEqual(
+      result.skipped.map((entry) => entry.poNo),
+      ["INV-5"]
+    );
+  });
+
+  it("summarises legacy bills at the bill rate", () => {
+    const legacy = {
+      ...invoice({ poNo: "INV-9", placeOfSupply: "23", taxableValue: 0 }),
+      items: [
+        {
+          description: "Whey protein",
+          hsn: "0404",
+          quantity: 1,
+          unit: "kg",
+          total: 100,
+        },
+      ],
+      hsnSummary: [],
+      taxPercent: 18,
+      grandTotal: 118,
+    };
+    const { json } = buildGstr1([legacy], {
+      gstin: SUPPLIER_GSTIN,
+      period: "2026-09",
+    });
+    assert.deepEqual(
+      json.hsn.hsn_b2c.map((row) => [row.rt, row.txval, row.camt, row.samt]),
+      [[18, 100, 9, 9]]
+    );
+  });
+});
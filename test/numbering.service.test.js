@@ -0,0 +1,92 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const Counter = require("../models/Counter");
+const {
+  DEFAULT_PATTERN,
+  validatePattern,
+  resolveNumberingScheme,
+  formatBillNo,
+  getCounterId,
+  releaseSequence,
+} = require("../services/numbering.service");
+
+describe("default numbering", () => {
+  it("numbers each document type in its financial year", () => {
+    const date = new Date(2025, 6, 1);
+    assert.equal(formatBillNo("purchase_order", 7, date), "INGPO/25-26/007");
+    assert.equal(formatBillNo("invoice", 1234, date), "INGINV/25-26/1234");
+  });
+
+  it("restarts the series every April", () => {
+    const march = getCounterId("invoice", new Date(2026, 2, 31));
+    const april = getCounterId("invoice", new Date(2026, 3, 1));
+    assert.equal(march, "bill_series_INGINV/25-26/#");
+    assert.equal(april, "bill_series_INGINV/26-27/#");
+  });
+
+  it("keeps a separate series per document type", () => {
+    const date = new Date(2025, 6, 1);
+    assert.notEqual(
+      getCounterId("invoice", date),
+      getCounterId("proforma_invoice", date)
+    );
+  });
+});
+
+describe("releaseSequence", () => {
+  it("only rolls back a counter still at the released number", async (t) => {
+    const update = t.mock.method(Counter, "findOneAndUpdate", async () => null);
+    const released = await releaseSequence("bill_series_INGINV/25-26/#", 12);
+    assert.equal(released, null);
+    assert.deepEqual(update.mock.calls[0].arguments.slice(0, 2), [
+      { _id: "bill_series_INGINV/25-26/#", seq: 12 },
+      { $inc: { seq: -1 } },
+    ]);
+  });
+});
+
+describe("company numbering schemes", () => {
+  const company = {
+    numbering: {
+      invoice: { prefix: "ACME", pattern: "{PREFIX}-{YYYY}-{SEQ:5}" },
+    },
+  };
+
+  it("renders the company's pattern and padding", () => {
+    const date = new Date(2025, 6, 1);
+    assert.equal(formatBillNo("invoice", 42, date, company), "ACME-2025-00042");
+    assert.equal(
+      getCounterId("invoice", date, company),
+      "bill_series_ACME-2025-#"
+    );
+  });
+
+  it("falls back to the default scheme for types the company did not set", () => {
+    const date = new Date(2025, 6, 1);
+    assert.equal(
+      formatBillNo("receipt", 3, date, company),
+      "INGRCPT/25-26/003"
+    );
+  });
+
+  it("resolves the prefix and pattern independently", () => {
+    const scheme = resolveNumberingScheme("invoice", {
+      numbering: { invoice: { prefix: "ACME" } },
+    });
+    assert.deepEqual(scheme, { prefix: "ACME", pattern: DEFAULT_PATTERN });
+  });
+});
+
+describe("validatePattern", () => {
+  it("accepts one sequence token with 1-10 digits of padding", () => {
+    assert.equal(validatePattern("{PREFIX}/{FY_FULL}/{MM}/{SEQ:10}"), null);
+  });
+
+  it("rejects unknown tokens, missing or repeated sequences and the marker", () => {
+    assert.match(validatePattern("{PREFIX}/{DAY}/{SEQ}"), /Unknown token/);
+    assert.match(validatePattern("{PREFIX}/{FY}"), /exactly one/);
+    assert.match(validatePattern("{SEQ}-{SEQ}"), /exactly one/);
+    assert.match(validatePattern("{PREFIX}/{SEQ:11}"), /between 1 and 10/);
+    assert.match(validatePattern("#{SEQ}"), /cannot contain/);
+  });
+});
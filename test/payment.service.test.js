@@ -0,0 +1,91 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const Payment = require("../models/Payment");
+const {
+  getPaymentState,
+  applyPayment,
+  revertPayments,
+} = require("../services/payment.service");
+
+// A sent bill of ₹1000 with nothing paid; `save` is called to persist it
+const bill = (save) => ({
+  _id: "bill-1",
+  poNo: "INV-1",
+  currency: "INR",
+  grandTotal: 1000,
+  amountPaid: 0,
+  status: "sent",
+  statusHistory: [{ from: "draft", to: "sent" }],
+  save,
+});
+
+// Stubs the Payment model with an in-memory collection
+const mockPayments = (t) => {
+  const stored = [];
+  t.mock.method(Payment, "create", async (fields) => {
+    const payment = { _id: `payment-${stored.length + 1}`, ...fields };
+    stored.push(payment);
+    return payment;
+  });
+  t.mock.method(Payment, "find", async ({ billId }) =>
+    stored.filter((payment) => payment.billId === billId)
+  );
+  t.mock.method(Payment, "deleteOne", async ({ _id }) => {
+    stored.splice(
+      stored.findIndex((payment) => payment._id === _id),
+      1
+    );
+  });
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  return stored;
+};
+
+describe("applyPayment", () => {
+  it("records the payment and moves the bill to paid", async (t) => {
+    const stored = mockPayments(t);
+    const target = bill(async () => {});
+    await applyPayment(target, { amount: 1000, reference: "UTR1" });
+
+    assert.equal(stored.length, 1);
+    assert.equal(target.amountPaid, 1000);
+    assert.equal(target.status, "paid");
+    assert.deepEqual(target.statusHistory.at(-1), {
+      from: "sent",
+      to: "paid",
+      changedBy: "system",
+      note: "Payment UTR1 recorded",
+    });
+  });
+
+  it("deletes the payment and restores the bill when the save fails", async (t) => {
+    const stored = mockPayments(t);
+    const target = bill(async () => {
+      throw new Error("write conflict");
+    });
+
+    await assert.rejects(
+      applyPayment(target, { amount: 400 }),
+      /write conflict/
+    );
+    assert.deepEqual(stored, []);
+    assert.equal(target.amountPaid, 0);
+    assert.equal(target.status, "sent");
+    assert.equal(target.statusHistory.length, 1);
+  });
+});
+
+describe("revertPayments", () => {
+  it("undoes payments already saved on other bills", async (t) => {
+    const stored = mockPayments(t);
+    const target = bill(async () => {});
+    const state = getPaymentState(target);
+    const payment = await applyPayment(target, { amount: 400 });
+
+    await revertPayments([{ bill: target, payment, state }]);
+    assert.deepEqual(stored, []);
+    assert.equal(target.status, "sent");
+    assert.equal(target.amountPaid, 0);
+    assert.equal(target.statusHistory.length, 1);
+  });
+});
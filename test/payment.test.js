@@ -0,0 +1,64 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  normalizePaymentMode,
+  computeBalance,
+  getPaymentStatus,
+} = require("../utils/payment");
+
+describe("normalizePaymentMode", () => {
+  it("maps client spellings onto the canonical modes", () => {
+    assert.equal(normalizePaymentMode("NEFT"), "neft");
+    assert.equal(normalizePaymentMode("Bank Wire"), "wire");
+    assert.equal(normalizePaymentMode("barter"), null);
+  });
+});
+
+describe("computeBalance", () => {
+  it("reports the balance due", () => {
+    assert.deepEqual(computeBalance(1180, 500.004), {
+      amountPaid: 500,
+      balanceDue: 680,
+      excessPaid: 0,
+    });
+  });
+
+  it("reports over-payments as excess, not a negative balance", () => {
+    assert.deepEqual(computeBalance(1000, 1200), {
+      amountPaid: 1200,
+      balanceDue: 0,
+      excessPaid: 200,
+    });
+  });
+});
+
+describe("getPaymentStatus", () => {
+  it("moves a sent bill to partially_paid, then paid", () => {
+    assert.equal(
+      getPaymentStatus("sent", computeBalance(1000, 400)),
+      "partially_paid"
+    );
+    assert.equal(
+      getPaymentStatus("partially_paid", computeBalance(1000, 1000)),
+      "paid"
+    );
+  });
+
+  it("leaves bills that cannot take payments alone", () => {
+    assert.equal(getPaymentStatus("draft", computeBalance(1000, 400)), null);
+    assert.equal(
+      getPaymentStatus("cancelled", computeBalance(1000, 1000)),
+      null
+    );
+    assert.equal(getPaymentStatus("sent", computeBalance(1000, 0)), null);
+  });
+
+  it("reopens a paid bill only when asked to", () => {
+    const balance = computeBalance(1500, 1000);
+    assert.equal(getPaymentStatus("paid", balance), null);
+    assert.equal(
+      getPaymentStatus("paid", balance, { reopen: true }),
+      "partially_paid"
+    );
+  });
+});
@@ -0,0 +1,127 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getCreditDays,
+  planFromText,
+  describePaymentPlan,
+  buildPaymentSchedule,
+  getDueDate,
+  getDaysOverdue,
+} = require("../utils/paymentTerms");
+
+describe("getCreditDays", () => {
+  it("reads the longest credit period from the terms", () => {
+    assert.equal(getCreditDays("Net 30"), 30);
+    assert.equal(getCreditDays("50% Advance, balance within 45 days"), 45);
+    assert.equal(getCreditDays("Immediate"), 0);
+    assert.equal(getCreditDays(undefined), 0);
+  });
+});
+
+describe("planFromText", () => {
+  it("reads the advance and the credit period", () => {
+    assert.deepEqual(planFromText("50% Advance"), {
+      advancePercent: 50,
+      netDays: 0,
+      instalments: [],
+    });
+    assert.deepEqual(planFromText("30% advance, balance within 45 days"), {
+      advancePercent: 30,
+      netDays: 45,
+      instalments: [],
+    });
+    assert.equal(planFromText("Advance").advancePercent, 100);
+    assert.equal(planFromText("Net 30").advancePercent, 0);
+  });
+});
+
+describe("describePaymentPlan", () => {
+  it("prints the advance and the balance", () => {
+    assert.equal(
+      describePaymentPlan({ advancePercent: 30, netDays: 45 }),
+      "30% Advance, 70% within 45 days of invoice"
+    );
+    assert.equal(
+      describePaymentPlan({ advancePercent: 0, netDays: 0 }),
+      "100% on invoice"
+    );
+  });
+});
+
+describe("buildPaymentSchedule", () => {
+  it("splits the total and gives the last instalment the remainder", () => {
+    const { schedule, dueDate } = buildPaymentSchedule(
+      { advancePercent: 33.33, netDays: 30 },
+      { date: new Date(2026, 8, 10), grandTotal: 1000.01 }
+    );
+    assert.deepEqual(
+      schedule.map((entry) => [entry.label, entry.amount, entry.dueDate]),
+      [
+        ["Advance", 333.3, new Date(2026, 8, 10)],
+        ["Balance", 666.71, new Date(2026, 9, 10)],
+      ]
+    );
+    assert.deepEqual(dueDate, new Date(2026, 9, 10));
+  });
+
+  it("has no due date until a delivery milestone is dated", () => {
+    const plan = {
+      advancePercent: 20,
+      instalments: [
+        { label: "On delivery", percent: 80, trigger: "delivery", days: 15 },
+      ],
+    };
+    const bill = { date: new Date(2026, 8, 10), grandTotal: 500 };
+    assert.equal(buildPaymentSchedule(plan, bill).schedule[1].dueDate, null);
+    assert.equal(buildPaymentSchedule(plan, bill).dueDate, null);
+    assert.deepEqual(
+      buildPaymentSchedule(plan, {
+        ...bill,
+        deliveryDate: new Date(2026, 9, 1),
+      }).dueDate,
+      new Date(2026, 9, 16)
+    );
+  });
+});
+
+describe("getDueDate", () => {
+  it("follows the first instalment the payments do not cover", () => {
+    const paymentSchedule = [
+      { amount: 300, dueDate: new Date(2026, 8, 10) },
+      { amount: 700, dueDate: new Date(2026, 9, 10) },
+    ];
+    const bill = { date: new Date(2026, 8, 10), paymentSchedule };
+    assert.deepEqual(getDueDate(bill), new Date(2026, 8, 10));
+    assert.deepEqual(
+      getDueDate({ ...bill, amountPaid: 300 }),
+      new Date(2026, 9, 10)
+    );
+  });
+
+  it("adds the credit period to the bill date", () => {
+    assert.deepEqual(
+      getDueDate({ date: new Date(2026, 8, 10), paymentTerms: "Net 30" }),
+      new Date(2026, 9, 10)
+    );
+  });
+
+  it("prefers the bill due date over the terms", () => {
+    assert.deepEqual(
+      getDueDate({
+        date: new Date(2026, 8, 10),
+        paymentTerms: "Net 30",
+        dueDate: new Date(2026, 8, 20),
+      }),
+      new Date(2026, 8, 20)
+    );
+  });
+});
+
+describe("getDaysOverdue", () => {
+  it("counts whole days, negative before the due date", () => {
+    const due = new Date(2026, 9, 10, 18);
+    assert.equal(getDaysOverdue(due, new Date(2026, 9, 11, 9)), 1);
+    assert.equal(getDaysOverdue(due, new Date(2026, 9, 5)), -5);
+    assert.equal(getDaysOverdue(due, new Date(2026, 9, 10)), 0);
+  });
+});
@@ -0,0 +1,154 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const pdfService = require("../services/pdf.service");
+
+// Labels and amounts of the tax rows under the items
+const TAX_ROW =
+  /<td colspan="7"[^>]*>((?:Incl\. )?[CSIU]*GST[^<]*)<\/td>\s*<td>([^<]*)/g;
+const taxRows = (html) =>
+  [...html.matchAll(TAX_ROW)].map(([, label, amount]) => `${label} ${amount}`);
+
+const bill = (overrides) => ({
+  documentType: "invoice",
+  poNo: "INGINV/25-26/001",
+  currency: "INR",
+  customerName: "Acme Foods",
+  items: [{ description: "Whey", quantity: 1, unitPrice: 100, total: 100 }],
+  subTotal: 100,
+  taxPercent: 18,
+  gstAmount: 18,
+  grandTotal: 118,
+  ...overrides,
+});
+
+describe("tax rows", () => {
+  it("split CGST and SGST at half the line rate", () => {
+    const html = pdfService.generateHTML(
+      bill({
+        items: [
+          {
+            description: "Whey",
+            quantity: 1,
+            unitPrice: 100,
+            total: 100,
+            taxRate: 18,
+          },
+        ],
+        placeOfSupply: "27",
+        taxBreakdown: { cgst: 9, sgst: 9, igst: 0 },
+      })
+    );
+    assert.deepEqual(taxRows(html), ["CGST (9%) ₹9.00", "SGST (9%) ₹9.00"]);
+  });
+
+  it("print one GST row at the bill rate for bills saved before the split", () => {
+    const html = pdfService.generateHTML(bill({ taxBreakdown: {} }));
+    assert.deepEqual(taxRows(html), ["GST (18%) ₹18.00"]);
+  });
+});
+
+describe("getUpiPaymentLink", () => {
+  const upiBill = (overrides) =>
+    bill({
+      bankDetails: { upiId: "ingredientz@icici", accountName: "Ingredientz" },
+      amountPaid: 100,
+      balanceDue: 18,
+      ...overrides,
+    });
+
+  it("asks for the balance due, not the bill total", () => {
+    assert.match(pdfService.getUpiPaymentLink(upiBill()), /&am=18\.00&/);
+  });
+
+  it("leaves the amount open on a settled bill", () => {
+    const link = pdfService.getUpiPaymentLink(
+      upiBill({ amountPaid: 118, balanceDue: 0, status: "paid" })
+    );
+    assert.ok(link.startsWith("upi://pay?pa=ingredientz@icici"));
+    assert.doesNotMatch(link, /am=/);
+  });
+
+  it("gives no link on cancelled, foreign currency or purchase documents", () => {
+    assert.equal(
+      pdfService.getUpiPaymentLink(upiBill({ status: "cancelled" })),
+      ""
+    );
+    assert.equal(
+      pdfService.getUpiPaymentLink(upiBill({ currency: "USD" })),
+      ""
+    );
+    assert.equal(
+      pdfService.getUpiPaymentLink(upiBill({ documentType: "purchase_order" })),
+      ""
+    );
+  });
+});
+
+describe("additional charges", () => {
+  const html = pdfService.generateHTML(
+    bill({
+      items: [
+        {
+          description: "Whey",
+          quantity: 1,
+          unitPrice: 100,
+          total: 100,
+          taxRate: 18,
+        },
+      ],
+      additionalCharges: [
+        {
+          name: "Freight",
+          sac: "996511",
+          amount: 50,
+          taxable: true,
+          taxRate: 12,
+        },
+        { name: "Insurance", amount: 10, taxable: false },
+      ],
+      subTotal: 160,
+      gstAmount: 24,
+      grandTotal: 184,
+      placeOfSupply: "27",
+      taxBreakdown: { cgst: 12, sgst: 12, igst: 0 },
+    })
+  );
+
+  it("list each charge with its SAC and rate under the items", () => {
+    const rows = [...html.matchAll(/<tr class="charge-row">[\s\S]*?<\/tr>/g)]
+      .map(([row]) => [...row.matchAll(/<td[^>]*>([^<]*)<\/td>/g)])
+      .map((cells) => cells.map(([, text]) => text));
+    assert.deepEqual(rows, [
+      ["", "Freight", "996511", "-", "-", "-", "12%", "₹50.00"],
+      ["", "Insurance (non-taxable)", "-", "-", "-", "-", "-", "₹10.00"],
+    ]);
+  });
+
+  it("leave the rate off the tax rows when charges are taxed differently", () => {
+    assert.deepEqual(taxRows(html), ["CGST ₹12.00", "SGST ₹12.00"]);
+  });
+});
+
+describe("e-invoice block", () => {
+  const irn = "a".repeat(64);
+
+  it("prints the IRN, acknowledgement and signed QR once registered", () => {
+    const html = pdfService.generateHTML(
+      bill({
+        einvoice: { irn, ackNo: "112010036563310", ackDate: new Date() },
+        einvoiceQrDataUrl: "data:image/png;base64,AAAA",
+      })
+    );
+    assert.match(html, new RegExp(`<span class="irn">${irn}</span>`));
+    assert.match(html, /<strong>Ack No\.:<\/strong> 112010036563310/);
+    assert.match(
+      html,
+      /<img class="einvoice-qr" src="data:image\/png;base64,AAAA"/
+    );
+  });
+
+  it("is left out before the invoice is registered", () => {
+    const html = pdfService.generateHTML(bill({ einvoice: {} }));
+    assert.doesNotMatch(html, /class="einvoice-block/);
+  });
+});
@@ -0,0 +1,96 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  checkReceiptBills,
+  buildReceiptFields,
+} = require("../services/receipt.service");
+
+const bill = (overrides) => ({
+  _id: overrides.poNo,
+  type: "invoice",
+  companyId: "company-1",
+  customerName: "Acme Foods",
+  customerGSTIN: "27AAPFU0939F1ZV",
+  currency: "INR",
+  date: new Date(2026, 8, 1),
+  grandTotal: 1000,
+  ...overrides,
+});
+
+const payment = (id, billId, amount, day) => ({
+  _id: id,
+  billId,
+  amount,
+  date: new Date(2026, 9, day),
+  mode: "neft",
+  reference: `UTR${id}`,
+});
+
+describe("checkReceiptBills", () => {
+  it("allows bills of one customer, company and currency", () => {
+    assert.equal(
+      checkReceiptBills([
+        bill({ poNo: "INV-1" }),
+        bill({ poNo: "INV-2", customerGSTIN: " 27aapfu0939f1zv" }),
+      ]),
+      null
+    );
+  });
+
+  it("names the bill that does not belong", () => {
+    const first = bill({ poNo: "INV-1" });
+    assert.equal(
+      checkReceiptBills([
+        first,
+        bill({ poNo: "INV-2", customerName: "Globex", customerGSTIN: "" }),
+      ]),
+      "INV-2 is billed to Globex, not Acme Foods"
+    );
+    assert.equal(
+      checkReceiptBills([first, bill({ poNo: "INV-2", currency: "USD" })]),
+      "INV-2 is in USD, INV-1 in INR"
+    );
+    assert.equal(
+      checkReceiptBills([
+        first,
+        bill({ poNo: "INV-2", companyId: "company-2" }),
+      ]),
+      "INV-2 and INV-1 were issued by different companies"
+    );
+  });
+});
+
+describe("buildReceiptFields", () => {
+  it("gives each allocation the bill balance right after it", () => {
+    const bills = [
+      bill({ poNo: "INV-1" }),
+      bill({ poNo: "INV-2", grandTotal: 500 }),
+    ];
+    const earlier = payment("p1", "INV-1", 200, 1);
+    const p2 = payment("p2", "INV-1", 500, 5);
+    const p3 = payment("p3", "INV-1", 300, 9);
+    const p4 = payment("p4", "INV-2", 500, 5);
+
+    const fields = buildReceiptFields([p3, p4, p2], bills, [
+      earlier,
+      p2,
+      p3,
+      p4,
+    ]);
+    assert.deepEqual(
+      fields.allocations.map((entry) => [
+        entry.poNo,
+        entry.amountApplied,
+        entry.balanceAfter,
+      ]),
+      [
+        ["INV-1", 500, 300],
+        ["INV-2", 500, 0],
+        ["INV-1", 300, 0],
+      ]
+    );
+    assert.equal(fields.amount, 1300);
+    assert.equal(fields.customerName, "Acme Foods");
+    assert.equal(fields.bankId, null);
+  });
+});
@@ -0,0 +1,148 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  readStatementRows,
+  parseStatement,
+  inferPaymentMode,
+  scoreMatch,
+  proposeMatches,
+  creditKey,
+} = require("../services/reconciliation.service");
+
+// A statement export as downloaded from the bank, with a preamble and footer
+const STATEMENT_CSV = [
+  "Account Statement,,,,,",
+  "Account No,50200012345678,,,,",
+  "Date,Narration,Chq./Ref.No.,Withdrawal Amt.,Deposit Amt.,Closing Balance",
+  '01/10/2026,Opening balance,,,,"1,00,000.00"',
+  '03/10/2026,NEFT-HDFCN52026-ACME FOODS PVT LTD-INV001,HDFCN52026,,"1,180.00","1,01,180.00"',
+  "05/10/2026,ATW-CASH WITHDRAWAL,000123,500.00,,100680.00",
+  "07/10/2026,UPI/GLOBEX/payment,UPI6171,,250.50,100930.50",
+  "Total,,,500.00,1430.50,",
+].join("\n");
+
+const openBill = (overrides) => ({
+  _id: overrides.poNo,
+  grandTotal: 1180,
+  amountPaid: 0,
+  ...overrides,
+});
+
+describe("parseStatement", () => {
+  it("finds the header row and reads the credits", async () => {
+    const { rows } = await readStatementRows(
+      Buffer.from(STATEMENT_CSV),
+      "statement.csv"
+    );
+    const { credits, debitCount } = parseStatement(rows);
+
+    assert.equal(debitCount, 1);
+    assert.deepEqual(
+      credits.map((credit) => [credit.date, credit.amount, credit.reference]),
+      [
+        [new Date(2026, 9, 3), 1180, "HDFCN52026"],
+        [new Date(2026, 9, 7), 250.5, "UPI6171"],
+      ]
+    );
+    assert.equal(credits[0].balance, 101180);
+  });
+
+  it("reads a single amount column with a Cr/Dr type", () => {
+    const { credits, debitCount } = parseStatement([
+      ["Txn Date", "Description", "Amount", "Cr/Dr"],
+      ["03-Oct-2026", "RTGS ACME", "5,000.00", "CR"],
+      ["04-Oct-2026", "Bank charges", "59.00", "DR"],
+    ]);
+    assert.deepEqual(
+      credits.map((credit) => credit.amount),
+      [5000]
+    );
+    assert.equal(debitCount, 1);
+  });
+
+  it("reports statements without a date or credit column", async () => {
+    assert.match(
+      parseStatement([["Particulars", "Balance"]]).error,
+      /Could not find/
+    );
+    assert.match(
+      (await readStatementRows(Buffer.from(""), "statement.xls")).error,
+      /\.xlsx/
+    );
+  });
+});
+
+describe("inferPaymentMode", () => {
+  it("reads the rail from the narration", () => {
+    assert.equal(inferPaymentMode("NEFT-HDFCN52026-ACME"), "neft");
+    assert.equal(inferPaymentMode("UPI/GLOBEX/payment"), "upi");
+    assert.equal(inferPaymentMode("BY CLEARING"), "other");
+  });
+});
+
+describe("scoreMatch", () => {
+  it("scores the bill number, balance and customer name", () => {
+    const credit = {
+      narration: "NEFT-HDFCN52026-ACME FOODS PVT LTD-INV001",
+      reference: "HDFCN52026",
+      amount: 1180,
+    };
+    assert.deepEqual(
+      scoreMatch(
+        credit,
+        openBill({ poNo: "INV-001", customerName: "Acme Foods Pvt Ltd" })
+      ),
+      {
+        score: 130,
+        reasons: [
+          "Bill number in narration",
+          "Amount equals balance due",
+          "Customer name in narration",
+        ],
+      }
+    );
+  });
+
+  it("matches an instalment of the payment schedule", () => {
+    const { score, reasons } = scoreMatch(
+      { narration: "RTGS", reference: "", amount: 354 },
+      openBill({
+        poNo: "INV-002",
+        customerName: "Globex",
+        paymentSchedule: [{ label: "Advance", amount: 354 }],
+      })
+    );
+    assert.equal(score, 25);
+    assert.deepEqual(reasons, ["Amount equals the Advance instalment"]);
+  });
+});
+
+describe("proposeMatches", () => {
+  it("proposes the best bill, but not on a tie", () => {
+    const bills = [
+      openBill({ poNo: "INV-001", customerName: "Acme Foods" }),
+      openBill({ poNo: "INV-002", customerName: "Acme Foods" }),
+    ];
+    const [named, tied] = proposeMatches(
+      [
+        { narration: "NEFT ACME FOODS INV-002", reference: "", amount: 1180 },
+        { narration: "NEFT ACME FOODS", reference: "", amount: 1180 },
+      ],
+      bills
+    );
+    assert.equal(named.proposal.poNo, "INV-002");
+    assert.equal(tied.proposal, null);
+    assert.equal(tied.candidates.length, 2);
+  });
+});
+
+describe("creditKey", () => {
+  it("identifies a credit across overlapping uploads", () => {
+    const credit = {
+      date: new Date(Date.UTC(2026, 9, 3)),
+      amount: 1180,
+      reference: "hdfc-n52026",
+    };
+    assert.equal(creditKey(credit), "2026-10-03|1180|HDFCN52026");
+  });
+});
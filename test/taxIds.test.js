@@ -0,0 +1,80 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  normalizeTaxId,
+  computeGSTINCheckDigit,
+  validateGSTIN,
+  validatePAN,
+  validateIEC,
+} = require("../utils/taxIds");
+
+describe("validateGSTIN", () => {
+  it("accepts a regular GSTIN with its state and PAN", () => {
+    assert.equal(computeGSTINCheckDigit("27AAPFU0939F1Z"), "V");
+    const result = validateGSTIN(" 27aapfu0939f1zv ");
+    assert.equal(result.valid, true);
+    assert.equal(result.gstin, "27AAPFU0939F1ZV");
+    assert.equal(result.registrationType, "regular");
+    assert.equal(result.stateCode, "27");
+    assert.equal(result.pan, "AAPFU0939F");
+  });
+
+  it("rejects a mistyped check digit", () => {
+    const result = validateGSTIN("27AAPFU0939F1ZX");
+    assert.equal(result.valid, false);
+    assert.match(result.error, /expected V/);
+  });
+
+  it("rejects an unknown state code and a bad format", () => {
+    assert.match(
+      validateGSTIN("40AAPFU0939F1ZV").error,
+      /unknown state code 40/
+    );
+    assert.equal(validateGSTIN("27AAPFU0939F1Z").valid, false);
+  });
+
+  it("accepts UINs and non-resident IDs without a PAN", () => {
+    const result = validateGSTIN("0717USA00001UN5");
+    assert.equal(result.valid, true);
+    assert.equal(result.registrationType, "uin");
+    assert.equal(result.pan, "");
+    assert.equal(
+      validateGSTIN("0717USA00001NR5").registrationType,
+      "non_resident"
+    );
+    assert.equal(validateGSTIN("9917USA00001OS5").registrationType, "oidar");
+  });
+});
+
+describe("validatePAN", () => {
+  it("checks the format and the holder type", () => {
+    assert.deepEqual(validatePAN("aapfu0939f"), {
+      valid: true,
+      pan: "AAPFU0939F",
+    });
+    assert.equal(validatePAN("AAPXU0939F").valid, false);
+  });
+});
+
+describe("validateIEC", () => {
+  it("accepts a PAN or a legacy 10-digit code", () => {
+    assert.deepEqual(validateIEC("AAPFU0939F"), {
+      valid: true,
+      iec: "AAPFU0939F",
+      legacy: false,
+    });
+    assert.deepEqual(validateIEC("0512345678"), {
+      valid: true,
+      iec: "0512345678",
+      legacy: true,
+    });
+    assert.equal(validateIEC("12345").valid, false);
+  });
+});
+
+describe("normalizeTaxId", () => {
+  it("strips spaces and uppercases", () => {
+    assert.equal(normalizeTaxId(" aa pfu 0939f "), "AAPFU0939F");
+    assert.equal(normalizeTaxId(null), "");
+  });
+});
@@ -0,0 +1,36 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { isValidUpiId, buildUpiLink } = require("../utils/upi");
+
+describe("isValidUpiId", () => {
+  it("accepts handle@psp", () => {
+    assert.equal(isValidUpiId("ingredientz@icici"), true);
+    assert.equal(isValidUpiId("ingredientz"), false);
+    assert.equal(isValidUpiId(undefined), false);
+  });
+});
+
+describe("buildUpiLink", () => {
+  it("fills in the payee, amount and note", () => {
+    assert.equal(
+      buildUpiLink({
+        upiId: "ingredientz@icici",
+        payeeName: "Ingredientz Pvt Ltd",
+        amount: 18,
+        note: "INGINV/25-26/001",
+      }),
+      "upi://pay?pa=ingredientz@icici&pn=Ingredientz%20Pvt%20Ltd&am=18.00&cu=INR&tn=INGINV%2F25-26%2F001"
+    );
+  });
+
+  it("leaves the amount to the payer when nothing is due", () => {
+    assert.equal(
+      buildUpiLink({ upiId: "ingredientz@icici", amount: 0 }),
+      "upi://pay?pa=ingredientz@icici&cu=INR"
+    );
+  });
+
+  it("builds no link without a valid UPI ID", () => {
+    assert.equal(buildUpiLink({ upiId: "not a vpa", amount: 18 }), "");
+  });
+});
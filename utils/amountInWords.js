@@ -0,0 +1,194 @@
+// utils/amountInWords.js
+
+const ONES = [
+  "Zero",
+  "One",
+  "Two",
+  "Three",
+  "Four",
+  "Five",
+  "Six",
+  "Seven",
+  "Eight",
+  "Nine",
+  "Ten",
+  "Eleven",
+  "Twelve",
+  "Thirteen",
+  "Fourteen",
+  "Fifteen",
+  "Sixteen",
+  "Seventeen",
+  "Eighteen",
+  "Nineteen",
+];
+
+const TENS = [
+  "",
+  "",
+  "Twenty",
+  "Thirty",
+  "Forty",
+  "Fifty",
+  "Sixty",
+  "Seventy",
+  "Eighty",
+  "Ninety",
+];
+
+/**
+ * Major and minor unit names per currency (singular/plural).
+ * A null minor unit means the currency has no decimals.
+ */
+const CURRENCY_WORDS = {
+  INR: { major: ["Rupee", "Rupees"], minor: ["Paisa", "Paise"] },
+  USD: { major: ["US Dollar", "US Dollars"], minor: ["Cent", "Cents"] },
+  EUR: { major: ["Euro", "Euros"], minor: ["Cent", "Cents"] },
+  GBP: {
+    major: ["Pound Sterling", "Pounds Sterling"],
+    minor: ["Penny", "Pence"],
+  },
+  JPY: { major: ["Yen", "Yen"], minor: null },
+  AUD: {
+    major: ["Australian Dollar", "Australian Dollars"],
+    minor: ["Cent", "Cents"],
+  },
+  CAD: {
+    major: ["Canadian Dollar", "Canadian Dollars"],
+    minor: ["Cent", "Cents"],
+  },
+  CHF: {
+    major: ["Swiss Franc", "Swiss Francs"],
+    minor: ["Centime", "Centimes"],
+  },
+  CNY: { major: ["Yuan", "Yuan"], minor: ["Fen", "Fen"] },
+  SEK: { major: ["Swedish Krona", "Swedish Kronor"], minor: ["Ore", "Ore"] },
+  NZD: {
+    major: ["New Zealand Dollar", "New Zealand Dollars"],
+    minor: ["Cent", "Cents"],
+  },
+  MXN: {
+    major: ["Mexican Peso", "Mexican Pesos"],
+    minor: ["Centavo", "Centavos"],
+  },
+  SGD: {
+    major: ["Singapore Dollar", "Singapore Dollars"],
+    minor: ["Cent", "Cents"],
+  },
+  HKD: {
+    major: ["Hong Kong Dollar", "Hong Kong Dollars"],
+    minor: ["Cent", "Cents"],
+  },
+  NOK: {
+    major: ["Norwegian Krone", "Norwegian Kroner"],
+    minor: ["Ore", "Ore"],
+  },
+  BRL: {
+    major: ["Brazilian Real", "Brazilian Reais"],
+    minor: ["Centavo", "Centavos"],
+  },
+  ZAR: { major: ["Rand", "Rand"], minor: ["Cent", "Cents"] },
+  RUB: { major: ["Rouble", "Roubles"], minor: ["Kopeck", "Kopecks"] },
+};
+
+// Scales from largest to smallest for each numbering system
+const INDIAN_SCALES = [
+  [10000000, "Crore"],
+  [100000, "Lakh"],
+  [1000, "Thousand"],
+];
+const INTERNATIONAL_SCALES = [
+  [1000000000000, "Trillion"],
+  [1000000000, "Billion"],
+  [1000000, "Million"],
+  [1000, "Thousand"],
+];
+
+/**
+ * Converts 0-999 to words ("Three Hundred Eighty-Five")
+ * @param {number} num - Integer below 1000
+ * @returns {string} - Words, empty for zero
+ */
+const hundredsToWords = (num) => {
+  const words = [];
+  const hundreds = Math.floor(num / 100);
+  const rest = num % 100;
+  if (hundreds) words.push(`${ONES[hundreds]} Hundred`);
+  if (rest >= 20) {
+    const tens = TENS[Math.floor(rest / 10)];
+    words.push(rest % 10 ? `${tens}-${ONES[rest % 10]}` : tens);
+  } else if (rest) {
+    words.push(ONES[rest]);
+  }
+  return words.join(" ");
+};
+
+/**
+ * Converts a non-negative integer to words
+ * @param {number} num - The integer to convert
+ * @param {string} system - 'indian' (lakh/crore) or 'international' (million/billion)
+ * @returns {string} - The number in words
+ */
+const numberToWords = (num, system = "international") => {
+  const value = Math.floor(Math.abs(Number(num) || 0));
+  if (value === 0) return ONES[0];
+
+  const scales = system === "indian" ? INDIAN_SCALES : INTERNATIONAL_SCALES;
+  const words = [];
+  let remaining = value;
+  scales.forEach(([size, name], index) => {
+    const count = Math.floor(remaining / size);
+    if (!count) return;
+    // The largest scale can exceed 999 ("One Thousand Two Hundred Crore")
+    words.push(
+      `${
+        index === 0 ? numberToWords(count, system) : hundredsToWords(count)
+      } ${name}`
+    );
+    remaining %= size;
+  });
+  if (remaining) words.push(hundredsToWords(remaining));
+  return words.join(" ");
+};
+
+/**
+ * Converts an amount to words in the conventional invoice form, e.g.
+ * "Rupees One Lakh Four Thousand and Paise Thirty-Seven Only".
+ * INR uses lakh/crore numbering, other currencies million/billion.
+ * @param {number} amount - The amount to convert
+ * @param {string} currency - The currency code (default: 'INR')
+ * @returns {string} - The amount in words
+ */
+const amountToWords = (amount, currency = "INR") => {
+  const code = (currency || "INR").toUpperCase();
+  const names = CURRENCY_WORDS[code] || {
+    major: [code, code],
+    minor: ["Cent", "Cents"],
+  };
+  const system = code === "INR" ? "indian" : "international";
+
+  const numeric = Number(amount);
+  const safeAmount = isNaN(numeric) ? 0 : numeric;
+  const minorUnits = Math.round(
+    Math.abs(safeAmount) * (names.minor ? 100 : 1)
+  );
+  const major = names.minor ? Math.floor(minorUnits / 100) : minorUnits;
+  const minor = names.minor ? minorUnits % 100 : 0;
+
+  const pick = ([singular, plural], count) =>
+    count === 1 ? singular : plural;
+  const parts = [];
+  if (major || !minor) {
+    parts.push(`${pick(names.major, major)} ${numberToWords(major, system)}`);
+  }
+  if (minor) {
+    parts.push(`${pick(names.minor, minor)} ${numberToWords(minor, system)}`);
+  }
+  const words = parts.join(" and ");
+  return `${safeAmount < 0 && minorUnits ? "Minus " : ""}${words} Only`;
+};
+
+module.exports = {
+  numberToWords,
+  amountToWords,
+};
@@ -0,0 +1,125 @@
+// utils/billSnapshot.js
+
+/**
+ * Bill fields captured in a revision snapshot
+ */
+const SNAPSHOT_FIELDS = [
+  "type",
+  "status",
+  "date",
+  "customerName",
+  "customerAddress",
+  "customerGSTIN",
+  "deliveryAddress",
+  "items",
+  "additionalCharges",
+  "chargesTotal",
+  "subTotal",
+  "discountType",
+  "discountValue",
+  "discountAmount",
+  "taxPercent",
+  "taxes",
+  "placeOfSupply",
+  "isInterState",
+  "taxBreakdown",
+  "hsnSummary",
+  "pricesIncludeTax",
+  "roundingPolicy",
+  "roundOff",
+  "grandTotal",
+  "einvoice",
+  "currency",
+  "emails",
+  "website",
+  "paymentTerms",
+  "paymentPlan",
+  "paymentSchedule",
+  "dueDate",
+  "deliveryTerms",
+  "deliveryDate",
+  "modeOfDispatch",
+  "transport",
+  "billingInstructions",
+  "remarks",
+  "termsAndConditions",
+  "bankId",
+  "companyId",
+  "bankDetails",
+  "companyDetails",
+];
+
+/**
+ * Strips Mongoose artefacts (ObjectIds, Dates, subdocument _ids) so that
+ * snapshots compare and serialize as plain JSON
+ * @param {*} value - Value to normalize
+ * @returns {*} - JSON-safe copy of the value
+ */
+const toPlain = (value) => {
+  if (value === undefined) return null;
+  const plain = JSON.parse(JSON.stringify(value));
+  const stripIds = (v) => {
+    if (Array.isArray(v)) return v.map(stripIds);
+    if (v && typeof v === "object") {
+      const out = {};
+      Object.keys(v)
+        .filter(
+          (k) => !["_id", "id", "__v", "createdAt", "updatedAt"].includes(k)
+        )
+        .forEach((k) => {
+          out[k] = stripIds(v[k]);
+        });
+      return out;
+    }
+    return v;
+  };
+  return stripIds(plain);
+};
+
+/**
+ * Builds a snapshot of a bill together with the bank and company details
+ * that were printed on its PDF
+ * @param {Object} bill - Bill document
+ * @param {Object} bankDetails - Bank details used for the PDF
+ * @param {Object} companyDetails - Company details used for the PDF
+ * @returns {Object} - Plain snapshot object
+ */
+const takeSnapshot = (bill, bankDetails = null, companyDetails = null) => {
+  const source = {
+    ...(typeof bill.toObject === "function" ? bill.toObject() : bill),
+    bankDetails,
+    companyDetails,
+  };
+  const snapshot = {};
+  SNAPSHOT_FIELDS.forEach((field) => {
+    snapshot[field] =
+      field === "bankId" || field === "companyId"
+        ? source[field]
+          ? String(source[field])
+          : null
+        : toPlain(source[field]);
+  });
+  return snapshot;
+};
+
+/**
+ * Lists the snapshot fields whose values differ between two snapshots
+ * @param {Object} before - Older snapshot
+ * @param {Object} after - Newer snapshot
+ * @returns {Array} - Array of { field, from, to }
+ */
+const diffSnapshots = (before = {}, after = {}) => {
+  return SNAPSHOT_FIELDS.filter(
+    (field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])
+  ).map((field) => ({
+    field,
+    from: before[field] === undefined ? null : before[field],
+    to: after[field] === undefined ? null : after[field],
+  }));
+};
+
+module.exports = {
+  SNAPSHOT_FIELDS,
+  takeSnapshot,
+  diffSnapshots,
+};
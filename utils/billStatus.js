@@ -0,0 +1,101 @@
+// utils/billStatus.js
+
+/**
+ * Document lifecycle statuses, in lifecycle order
+ */
+const BILL_STATUSES = [
+  "draft",
+  "issued",
+  "sent",
+  "partially_paid",
+  "paid",
+  "cancelled",
+];
+
+/**
+ * Allowed status transitions: current status -> statuses it may move to
+ */
+const STATUS_TRANSITIONS = {
+  draft: ["issued", "cancelled"],
+  issued: ["sent", "partially_paid", "paid", "cancelled"],
+  sent: ["partially_paid", "paid", "cancelled"],
+  partially_paid: ["paid"],
+  paid: [],
+  cancelled: [],
+};
+
+/**
+ * Statuses only recording a payment may set (see utils/payment.js), so the
+ * status always agrees with the bill's amountPaid and balanceDue
+ */
+const PAYMENT_STATUSES = ["partially_paid", "paid"];
+
+/**
+ * Text stamped across the PDF for statuses that need a visible marker
+ */
+const STATUS_STAMPS = {
+  draft: "DRAFT",
+  cancelled: "CANCELLED",
+};
+
+/**
+ * Normalizes incoming status strings ("Partially Paid", "partially-paid")
+ * @param {string} rawStatus - Status as sent by the client
+ * @returns {string|null} - Canonical status or null if unknown
+ */
+const normalizeStatus = (rawStatus) => {
+  if (!rawStatus || typeof rawStatus !== "string") return null;
+  const status = rawStatus.toLowerCase().trim().replace(/[\s-]+/g, "_");
+  return BILL_STATUSES.includes(status) ? status : null;
+};
+
+/**
+ * Checks whether a bill may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} - True if the transition is allowed
+ */
+const canTransition = (from, to) => {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Statuses a bill may be moved to by hand, i.e. through the status endpoint
+ * rather than by recording a payment
+ * @param {string} from - Current status
+ * @returns {string[]} - Allowed statuses
+ */
+const getManualTransitions = (from) => {
+  return (STATUS_TRANSITIONS[from] || []).filter(
+    (to) => !PAYMENT_STATUSES.includes(to)
+  );
+};
+
+/**
+ * Checks whether a bill may be moved from one status to another by hand
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} - True if the change is allowed
+ */
+const canSetStatus = (from, to) => {
+  return getManualTransitions(from).includes(to);
+};
+
+/**
+ * Returns the PDF stamp for a status, or an empty string
+ * @param {string} status - Bill status
+ * @returns {string} - Stamp text
+ */
+const getStatusStamp = (status) => STATUS_STAMPS[status] || "";
+
+module.exports = {
+  BILL_STATUSES,
+  STATUS_TRANSITIONS,
+  PAYMENT_STATUSES,
+  STATUS_STAMPS,
+  normalizeStatus,
+  canTransition,
+  canSetStatus,
+  getManualTransitions,
+  getStatusStamp,
+};
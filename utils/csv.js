@@ -0,0 +1,71 @@
+// utils/csv.js
+
+/**
+ * Escapes a value for a CSV cell (quotes cells containing , " or newlines)
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+const escapeCsvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds CSV text from a header row and data rows
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array>} rows - Rows of cell values in header order
+ * @returns {string} - CSV text with CRLF line endings
+ */
+const toCsv = (headers, rows) =>
+  [headers, ...rows]
+    .map((row) => row.map(escapeCsvCell).join(","))
+    .join("\r\n");
+
+/**
+ * Parses CSV text into rows of cells (quoted cells, "" escapes, CRLF/LF)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows, blank lines skipped
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const source = String(text || "").replace(/^\uFEFF/, "");
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      row.push(cell);
+      if (row.some((value) => value.trim() !== "")) rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  if (row.some((value) => value.trim() !== "")) rows.push(row);
+  return rows;
+};
+
+module.exports = {
+  escapeCsvCell,
+  toCsv,
+  parseCsv,
+};
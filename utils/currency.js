@@ -163,8 +163,35 @@ const convertCurrency = (
   return roundToTwoDecimal(amount * exchangeRate);
 };
 
+/**
+ * Rounding policies for bill grand totals and the step each rounds to
+ */
+const ROUNDING_POLICIES = {
+  none: 0,
+  nearest_rupee: 1,
+  "nearest_0.05": 0.05,
+};
+
+/**
+ * Rounds a total by a rounding policy
+ * @param {number} amount - The unrounded total
+ * @param {string} policy - One of ROUNDING_POLICIES (default: 'none')
+ * @returns {Object} - { total, roundOff } where roundOff = total - amount
+ */
+const applyRounding = (amount, policy = "none") => {
+  const exact = roundToTwoDecimal(amount);
+  const step = ROUNDING_POLICIES[policy];
+  if (!step) {
+    return { total: exact, roundOff: 0 };
+  }
+  const total = roundToTwoDecimal(Math.round(exact / step) * step);
+  return { total, roundOff: roundToTwoDecimal(total - exact) };
+};
+
 module.exports = {
   roundToTwoDecimal,
+  ROUNDING_POLICIES,
+  applyRounding,
   formatCurrency,
   formatCurrencyWholeNumber,
   getSupportedCurrencies,
@@ -0,0 +1,37 @@
+// utils/financialYear.js
+
+/**
+ * Returns the Indian financial year (1 April – 31 March) a date falls in
+ * @param {Date|string} date - Date to classify (default: now)
+ * @returns {Object} - { startYear, endYear, label } e.g. label "25-26"
+ */
+const getFinancialYear = (date = new Date()) => {
+  const d = date ? new Date(date) : new Date();
+  const valid = isNaN(d.getTime()) ? new Date() : d;
+  // Months are 0-based: April (3) starts a new financial year
+  const startYear =
+    valid.getMonth() >= 3 ? valid.getFullYear() : valid.getFullYear() - 1;
+  const endYear = startYear + 1;
+  const label = `${String(startYear % 100).padStart(2, "0")}-${String(
+    endYear % 100
+  ).padStart(2, "0")}`;
+  return { startYear, endYear, label };
+};
+
+/**
+ * Returns the first and last instant of the financial year a date falls in
+ * @param {Date|string} date - Date within the financial year
+ * @returns {Object} - { start, end } as Date objects
+ */
+const getFinancialYearRange = (date = new Date()) => {
+  const { startYear, endYear } = getFinancialYear(date);
+  return {
+    start: new Date(startYear, 3, 1),
+    end: new Date(endYear, 2, 31, 23, 59, 59, 999),
+  };
+};
+
+module.exports = {
+  getFinancialYear,
+  getFinancialYearRange,
+};
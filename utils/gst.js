@@ -0,0 +1,237 @@
+// utils/gst.js
+
+const { roundToTwoDecimal } = require("./currency");
+
+/**
+ * GST state / union territory codes (first two digits of a GSTIN)
+ */
+const GST_STATE_CODES = {
+  "01": "Jammu and Kashmir",
+  "02": "Himachal Pradesh",
+  "03": "Punjab",
+  "04": "Chandigarh",
+  "05": "Uttarakhand",
+  "06": "Haryana",
+  "07": "Delhi",
+  "08": "Rajasthan",
+  "09": "Uttar Pradesh",
+  10: "Bihar",
+  11: "Sikkim",
+  12: "Arunachal Pradesh",
+  13: "Nagaland",
+  14: "Manipur",
+  15: "Mizoram",
+  16: "Tripura",
+  17: "Meghalaya",
+  18: "Assam",
+  19: "West Bengal",
+  20: "Jharkhand",
+  21: "Odisha",
+  22: "Chhattisgarh",
+  23: "Madhya Pradesh",
+  24: "Gujarat",
+  // Pre-2020 Daman and Diu code, still on registrations issued before the merger
+  25: "Daman and Diu",
+  26: "Dadra and Nagar Haveli and Daman and Diu",
+  27: "Maharashtra",
+  // Pre-2014 Andhra Pradesh code, still on registrations that were never migrated
+  28: "Andhra Pradesh (Old)",
+  29: "Karnataka",
+  30: "Goa",
+  31: "Lakshadweep",
+  32: "Kerala",
+  33: "Tamil Nadu",
+  34: "Puducherry",
+  35: "Andaman and Nicobar Islands",
+  36: "Telangana",
+  37: "Andhra Pradesh",
+  38: "Ladakh",
+  97: "Other Territory",
+  99: "Centre Jurisdiction",
+};
+
+// Union territories without a legislature levy UTGST instead of SGST
+const UTGST_STATE_CODES = ["04", "25", "26", "31", "35", "38"];
+
+/**
+ * Returns the state name for a GST state code
+ * @param {string} code - Two digit state code
+ * @returns {string} - State name or empty string
+ */
+const getStateName = (code) => GST_STATE_CODES[code] || "";
+
+/**
+ * Extracts the state code from a GSTIN
+ * @param {string} gstin - GSTIN
+ * @returns {string} - Two digit state code, or empty string if unknown
+ */
+const getStateCodeFromGSTIN = (gstin) => {
+  if (!gstin || typeof gstin !== "string") return "";
+  const code = gstin.trim().slice(0, 2);
+  return GST_STATE_CODES[code] ? code : "";
+};
+
+/**
+ * Normalizes a place of supply given as a code ("27", "7") or a state name
+ * @param {string|number} value - Place of supply as sent by the client
+ * @returns {string} - Two digit state code, or empty string if unknown
+ */
+const normalizeStateCode = (value) => {
+  if (value === null || value === undefined) return "";
+  const raw = String(value).trim();
+  if (!raw) return "";
+  if (/^\d{1,2}$/.test(raw)) {
+    const code = raw.padStart(2, "0");
+    return GST_STATE_CODES[code] ? code : "";
+  }
+  const name = raw.toLowerCase();
+  const match = Object.keys(GST_STATE_CODES).find(
+    (code) => GST_STATE_CODES[code].toLowerCase() === name
+  );
+  return match || "";
+};
+
+/**
+ * Determines place of supply and whether the supply is inter-state.
+ * An explicit place of supply wins over the customer GSTIN state; supplies in
+ * a foreign currency with no Indian state are treated as exports (inter-state).
+ * @param {Object} params - { companyGSTIN, customerGSTIN, placeOfSupply, currency }
+ * @returns {Object} - { placeOfSupply, companyStateCode, isInterState }
+ */
+const determineSupplyType = ({
+  companyGSTIN,
+  customerGSTIN,
+  placeOfSupply,
+  currency = "INR",
+}) => {
+  const companyStateCode = getStateCodeFromGSTIN(companyGSTIN);
+  const supplyStateCode =
+    normalizeStateCode(placeOfSupply) || getStateCodeFromGSTIN(customerGSTIN);
+
+  let isInterState = false;
+  if (supplyStateCode && companyStateCode) {
+    isInterState = supplyStateCode !== companyStateCode;
+  } else if (!supplyStateCode && currency !== "INR") {
+    isInterState = true;
+  }
+
+  return {
+    placeOfSupply: supplyStateCode,
+    companyStateCode,
+    isInterState,
+  };
+};
+
+/**
+ * Splits a tax amount into CGST/SGST (intra-state) or IGST (inter-state).
+ * CGST is rounded and SGST takes the remainder so the parts always add up.
+ * @param {number} taxAmount - Total tax
+ * @param {boolean} isInterState - Whether the supply is inter-state
+ * @returns {Object} - { cgst, sgst, igst }
+ */
+const splitTax = (taxAmount, isInterState) => {
+  const total = roundToTwoDecimal(taxAmount);
+  if (isInterState) {
+    return { cgst: 0, sgst: 0, igst: total };
+  }
+  const cgst = roundToTwoDecimal(total / 2);
+  return { cgst, sgst: roundToTwoDecimal(total - cgst), igst: 0 };
+};
+
+/**
+ * Taxable value and tax of a line. When prices include tax the amount is
+ * gross and the taxable value is back-calculated; the tax takes the remainder
+ * so the two always add up to the amount.
+ * @param {number} amount - Line amount (net or gross of tax)
+ * @param {number} taxRate - GST rate in percent
+ * @param {boolean} pricesIncludeTax - Whether amount already includes tax
+ * @returns {Object} - { taxableValue, taxAmount }
+ */
+const computeLineTax = (amount, taxRate, pricesIncludeTax = false) => {
+  const rate = Number(taxRate) || 0;
+  if (pricesIncludeTax) {
+    const gross = roundToTwoDecimal(amount);
+    const taxableValue = roundToTwoDecimal((gross * 100) / (100 + rate));
+    return {
+      taxableValue,
+      taxAmount: roundToTwoDecimal(gross - taxableValue),
+    };
+  }
+  return {
+    taxableValue: roundToTwoDecimal(amount),
+    taxAmount: roundToTwoDecimal((amount * rate) / 100),
+  };
+};
+
+/**
+ * Sums a numeric field over a list, rounded to two decimals
+ * @param {Array} rows - Rows to sum
+ * @param {string} field - Field name
+ * @returns {number} - Rounded sum
+ */
+const sumAmounts = (rows, field) =>
+  roundToTwoDecimal(
+    rows.reduce((sum, row) => sum + (Number(row[field]) || 0), 0)
+  );
+
+/**
+ * Groups line items by HSN/SAC and tax rate with the tax split per group
+ * @param {Array} items - Items with hsn, taxRate, taxableValue, taxAmount, quantity, unit
+ * @param {boolean} isInterState - Whether the supply is inter-state
+ * @returns {Array} - Rows of { hsn, taxRate, quantity, unit, taxableValue, taxAmount, cgst, sgst, igst }
+ */
+const buildHsnSummary = (items, isInterState) => {
+  const groups = new Map();
+  items.forEach((item) => {
+    const hsn = item.hsn || "";
+    const taxRate = Number(item.taxRate) || 0;
+    const key = `${hsn}|${taxRate}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        hsn,
+        taxRate,
+        quantity: 0,
+        unit: item.unit || "",
+        taxableValue: 0,
+        taxAmount: 0,
+      });
+    }
+    const group = groups.get(key);
+    group.quantity += Number(item.quantity) || 0;
+    if (group.unit !== (item.unit || "")) group.unit = "";
+    group.taxableValue += Number(item.taxableValue) || 0;
+    group.taxAmount += Number(item.taxAmount) || 0;
+  });
+
+  return [...groups.values()].map((group) => {
+    const taxAmount = roundToTwoDecimal(group.taxAmount);
+    return {
+      ...group,
+      quantity: roundToTwoDecimal(group.quantity),
+      taxableValue: roundToTwoDecimal(group.taxableValue),
+      taxAmount,
+      ...splitTax(taxAmount, isInterState),
+    };
+  });
+};
+
+/**
+ * Label for the state component of an intra-state supply
+ * @param {string} stateCode - Place of supply state code
+ * @returns {string} - "UTGST" or "SGST"
+ */
+const getStateTaxLabel = (stateCode) =>
+  UTGST_STATE_CODES.includes(stateCode) ? "UTGST" : "SGST";
+
+module.exports = {
+  GST_STATE_CODES,
+  getStateName,
+  getStateCodeFromGSTIN,
+  normalizeStateCode,
+  determineSupplyType,
+  splitTax,
+  computeLineTax,
+  sumAmounts,
+  buildHsnSummary,
+  getStateTaxLabel,
+};
@@ -0,0 +1,78 @@
+// utils/payment.js
+
+const { roundToTwoDecimal } = require("./currency");
+const { canTransition } = require("./billStatus");
+
+/**
+ * Ways a payment can be made
+ */
+const PAYMENT_MODES = [
+  "neft",
+  "rtgs",
+  "imps",
+  "upi",
+  "wire",
+  "cheque",
+  "cash",
+  "card",
+  "other",
+];
+
+/**
+ * Normalizes incoming payment modes ("NEFT", "Bank Wire" -> "wire")
+ * @param {string} rawMode - Mode as sent by the client
+ * @returns {string|null} - Canonical mode or null if unknown
+ */
+const normalizePaymentMode = (rawMode) => {
+  if (!rawMode || typeof rawMode !== "string") return null;
+  const mode = rawMode.toLowerCase().trim().replace(/^bank\s+/, "");
+  return PAYMENT_MODES.includes(mode) ? mode : null;
+};
+
+/**
+ * Computes what is still owed on a bill. Over-payments leave no balance
+ * and are reported as excess.
+ * @param {number} grandTotal - Bill total
+ * @param {number} amountPaid - Sum of payments
+ * @returns {Object} - { amountPaid, balanceDue, excessPaid }
+ */
+const computeBalance = (grandTotal, amountPaid) => {
+  const paid = roundToTwoDecimal(amountPaid || 0);
+  const difference = roundToTwoDecimal((grandTotal || 0) - paid);
+  return {
+    amountPaid: paid,
+    balanceDue: Math.max(difference, 0),
+    excessPaid: Math.max(-difference, 0),
+  };
+};
+
+/**
+ * Status a bill should move to after its payments or total change, or null
+ * when it stays where it is. Only forward lifecycle transitions are made,
+ * except that `reopen` moves a paid bill that owes money again back to
+ * partially_paid.
+ * @param {string} status - Current bill status
+ * @param {Object} balance - Result of computeBalance
+ * @param {Object} options - { reopen }
+ * @returns {string|null} - "partially_paid", "paid" or null
+ */
+const getPaymentStatus = (
+  status,
+  { amountPaid, balanceDue },
+  { reopen = false } = {}
+) => {
+  let target = null;
+  if (amountPaid > 0 && balanceDue === 0) target = "paid";
+  else if (amountPaid > 0) target = "partially_paid";
+  if (reopen && status === "paid" && target === "partially_paid") {
+    return target;
+  }
+  return target && canTransition(status, target) ? target : null;
+};
+
+module.exports = {
+  PAYMENT_MODES,
+  normalizePaymentMode,
+  computeBalance,
+  getPaymentStatus,
+};
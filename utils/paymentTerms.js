@@ -0,0 +1,189 @@
+// utils/paymentTerms.js
+
+const { roundToTwoDecimal } = require("./currency");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Events an instalment falls due on. Order and invoice count from the bill
+ * date; dispatch and delivery from the bill's delivery date.
+ */
+const PAYMENT_TRIGGERS = {
+  order: "on order",
+  invoice: "of invoice",
+  dispatch: "of dispatch",
+  delivery: "of delivery",
+};
+
+/**
+ * Reads the credit period from free-text payment terms ("Net 30",
+ * "50% Advance, balance within 45 days"). The longest period mentioned wins;
+ * terms without one ("Advance", "Immediate") give 0.
+ * @param {string} paymentTerms - Payment terms as printed on the bill
+ * @returns {number} - Credit period in days
+ */
+const getCreditDays = (paymentTerms) => {
+  const text = String(paymentTerms || "");
+  const days = [
+    ...text.matchAll(/\bnet\s*(\d{1,3})\b/gi),
+    ...text.matchAll(/\b(\d{1,3})\s*days?\b/gi),
+  ].map((match) => Number(match[1]));
+  return days.length ? Math.min(Math.max(...days), 365) : 0;
+};
+
+/**
+ * Reads a structured plan from free-text terms: "50% Advance" gives
+ * { advancePercent: 50, netDays: 0 }, "Net 30" gives { netDays: 30 }
+ * @param {string} paymentTerms - Payment terms as printed on the bill
+ * @returns {Object} - { advancePercent, netDays, instalments }
+ */
+const planFromText = (paymentTerms) => {
+  const text = String(paymentTerms || "");
+  const advance = /(\d{1,3}(?:\.\d+)?)\s*%\s*(?:advance|in advance)/i.exec(text);
+  let advancePercent = advance ? Math.min(Number(advance[1]), 100) : 0;
+  if (!advance && /\badvance\b/i.test(text)) advancePercent = 100;
+  return {
+    advancePercent,
+    netDays: getCreditDays(text),
+    instalments: [],
+  };
+};
+
+/**
+ * Instalments of a plan: the advance, then the milestones, or the balance
+ * due net N days from the invoice when there are none
+ * @param {Object} plan - { advancePercent, netDays, instalments }
+ * @returns {Array} - [{ label, percent, trigger, days }]
+ */
+const getPlanInstalments = (plan) => {
+  const advancePercent = Number(plan.advancePercent) || 0;
+  const instalments = [];
+  if (advancePercent > 0) {
+    instalments.push({
+      label: "Advance",
+      percent: advancePercent,
+      trigger: "order",
+      days: 0,
+    });
+  }
+  if (plan.instalments && plan.instalments.length) {
+    plan.instalments.forEach((instalment) => instalments.push(instalment));
+  } else if (advancePercent < 100) {
+    instalments.push({
+      label: advancePercent > 0 ? "Balance" : "Payment",
+      percent: roundToTwoDecimal(100 - advancePercent),
+      trigger: "invoice",
+      days: Number(plan.netDays) || 0,
+    });
+  }
+  return instalments;
+};
+
+/**
+ * Display string for a plan, e.g. "30% Advance, 70% within 45 days of invoice"
+ * @param {Object} plan - { advancePercent, netDays, instalments }
+ * @returns {string} - Payment terms text
+ */
+const describePaymentPlan = (plan) =>
+  getPlanInstalments(plan)
+    .map(({ label, percent, trigger, days }) => {
+      if (label === "Advance") return `${percent}% Advance`;
+      const when = days
+        ? `within ${days} days ${PAYMENT_TRIGGERS[trigger]}`
+        : trigger === "order"
+        ? PAYMENT_TRIGGERS.order
+        : `on ${trigger}`;
+      return `${percent}% ${when}`;
+    })
+    .join(", ");
+
+/**
+ * Computes the instalment schedule of a bill. The last instalment takes the
+ * rounding remainder; instalments triggered by dispatch/delivery have no due
+ * date until the bill has a delivery date.
+ * @param {Object} plan - { advancePercent, netDays, instalments }
+ * @param {Object} bill - { date, deliveryDate, grandTotal }
+ * @returns {Object} - { schedule: [{ label, percent, amount, trigger, days,
+ * dueDate }], dueDate } where dueDate is the final due date, null while any
+ * instalment has none
+ */
+const buildPaymentSchedule = (plan, { date, deliveryDate, grandTotal }) => {
+  const instalments = getPlanInstalments(plan);
+  let allocated = 0;
+  const schedule = instalments.map((instalment, index) => {
+    const amount =
+      index === instalments.length - 1
+        ? roundToTwoDecimal(grandTotal - allocated)
+        : roundToTwoDecimal((grandTotal * instalment.percent) / 100);
+    allocated = roundToTwoDecimal(allocated + amount);
+
+    const base = ["order", "invoice"].includes(instalment.trigger)
+      ? date
+      : deliveryDate;
+    let dueDate = null;
+    if (base) {
+      dueDate = new Date(base);
+      dueDate.setDate(dueDate.getDate() + (Number(instalment.days) || 0));
+    }
+    return {
+      label: instalment.label,
+      percent: instalment.percent,
+      amount,
+      trigger: instalment.trigger,
+      days: Number(instalment.days) || 0,
+      dueDate,
+    };
+  });
+  const dueDates = schedule.map((entry) => entry.dueDate);
+  return {
+    schedule,
+    dueDate: dueDates.every(Boolean)
+      ? new Date(Math.max(...dueDates.map((due) => due.getTime())))
+      : null,
+  };
+};
+
+/**
+ * Returns the date the unpaid part of a bill falls due: the first instalment
+ * its payments do not cover yet, else the bill due date, else the credit
+ * period read from the free-text terms
+ * @param {Object} bill - Bill with date, paymentTerms and optionally
+ * paymentSchedule, dueDate and amountPaid
+ * @returns {Date} - Due date
+ */
+const getDueDate = (bill) => {
+  let covered = bill.amountPaid || 0;
+  const pending = (bill.paymentSchedule || []).find((entry) => {
+    covered = roundToTwoDecimal(covered - entry.amount);
+    return covered < 0;
+  });
+  if (pending && pending.dueDate) return new Date(pending.dueDate);
+  if (bill.dueDate) return new Date(bill.dueDate);
+
+  const date = new Date(bill.date);
+  date.setDate(date.getDate() + getCreditDays(bill.paymentTerms));
+  return date;
+};
+
+/**
+ * Whole days from the due date to a reference date (negative if not yet due)
+ * @param {Date} dueDate - Due date
+ * @param {Date} asOf - Reference date
+ * @returns {number} - Days overdue
+ */
+const getDaysOverdue = (dueDate, asOf) => {
+  const start = new Date(dueDate).setHours(0, 0, 0, 0);
+  const end = new Date(asOf).setHours(0, 0, 0, 0);
+  return Math.round((end - start) / DAY_MS);
+};
+
+module.exports = {
+  PAYMENT_TRIGGERS,
+  getCreditDays,
+  planFromText,
+  getPlanInstalments,
+  describePaymentPlan,
+  buildPaymentSchedule,
+  getDueDate,
+  getDaysOverdue,
+};
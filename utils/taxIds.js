@@ -0,0 +1,138 @@
+// utils/taxIds.js
+
+const { GST_STATE_CODES, getStateName } = require("./gst");
+
+// 2-digit state code, 10-character PAN, entity number, "Z", check character
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+// IDs not built on a PAN: state code, year, 3 letters, 5 digits, type, check
+// character. UN = UIN (UN bodies, embassies), NR = non-resident taxable
+// person, OS = foreign online service (OIDAR) supplier.
+const SPECIAL_GSTIN_PATTERN = /^[0-9]{4}[A-Z]{3}[0-9]{5}(UN|NR|OS)[0-9A-Z]$/;
+const SPECIAL_GSTIN_TYPES = { UN: "uin", NR: "non_resident", OS: "oidar" };
+// 5 letters (4th is the holder type), 4 digits, 1 letter
+const PAN_PATTERN = /^[A-Z]{3}[ABCFGHJLPT][A-Z][0-9]{4}[A-Z]$/;
+// IECs are issued on the PAN; older codes are 10 digits
+const LEGACY_IEC_PATTERN = /^[0-9]{10}$/;
+
+const GSTIN_CHARSET = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+/**
+ * Normalizes an identifier as typed by a user
+ * @param {string} value - Raw identifier
+ * @returns {string} - Uppercase identifier without spaces
+ */
+const normalizeTaxId = (value) =>
+  String(value || "")
+    .replace(/\s+/g, "")
+    .toUpperCase();
+
+/**
+ * Computes the GSTIN check character (mod 36 over the first 14 characters)
+ * @param {string} gstin - GSTIN or its first 14 characters
+ * @returns {string} - Expected check character
+ */
+const computeGSTINCheckDigit = (gstin) => {
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = GSTIN_CHARSET.indexOf(gstin[i]) * ((i % 2) + 1);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return GSTIN_CHARSET[(36 - (sum % 36)) % 36];
+};
+
+/**
+ * Validates a GSTIN (format, state code and check digit). UINs and
+ * non-resident / OIDAR registrations are accepted on format and state code
+ * only; their check character is not verified and they carry no PAN.
+ * @param {string} value - GSTIN to validate
+ * @returns {Object} - { valid, gstin, error } plus registrationType,
+ * stateCode, stateName and pan when valid
+ */
+const validateGSTIN = (value) => {
+  const gstin = normalizeTaxId(value);
+  const special = SPECIAL_GSTIN_PATTERN.exec(gstin);
+  if (!special && !GSTIN_PATTERN.test(gstin)) {
+    return {
+      valid: false,
+      gstin,
+      error: `GSTIN ${gstin} is not in the format 22AAAAA0000A1Z5 (or a UIN / non-resident ID such as 0717USA00001UN5)`,
+    };
+  }
+  const stateCode = gstin.slice(0, 2);
+  if (!GST_STATE_CODES[stateCode]) {
+    return {
+      valid: false,
+      gstin,
+      error: `GSTIN ${gstin} has an unknown state code ${stateCode}`,
+    };
+  }
+  if (special) {
+    return {
+      valid: true,
+      gstin,
+      registrationType: SPECIAL_GSTIN_TYPES[special[1]],
+      stateCode,
+      stateName: getStateName(stateCode),
+      pan: "",
+    };
+  }
+  const checkDigit = computeGSTINCheckDigit(gstin);
+  if (gstin[14] !== checkDigit) {
+    return {
+      valid: false,
+      gstin,
+      error: `GSTIN ${gstin} has an invalid check digit (expected ${checkDigit}); it is probably mistyped`,
+    };
+  }
+  return {
+    valid: true,
+    gstin,
+    registrationType: "regular",
+    stateCode,
+    stateName: getStateName(stateCode),
+    pan: gstin.slice(2, 12),
+  };
+};
+
+/**
+ * Validates a PAN
+ * @param {string} value - PAN to validate
+ * @returns {Object} - { valid, pan, error }
+ */
+const validatePAN = (value) => {
+  const pan = normalizeTaxId(value);
+  if (!PAN_PATTERN.test(pan)) {
+    return {
+      valid: false,
+      pan,
+      error: `PAN ${pan} is not in the format AAAAA0000A`,
+    };
+  }
+  return { valid: true, pan };
+};
+
+/**
+ * Validates an Importer Exporter Code (a PAN, or a legacy 10-digit code)
+ * @param {string} value - IEC to validate
+ * @returns {Object} - { valid, iec, legacy, error }
+ */
+const validateIEC = (value) => {
+  const iec = normalizeTaxId(value);
+  if (LEGACY_IEC_PATTERN.test(iec)) return { valid: true, iec, legacy: true };
+  if (!PAN_PATTERN.test(iec)) {
+    return {
+      valid: false,
+      iec,
+      error: `IEC ${iec} must be a PAN or a 10-digit code`,
+    };
+  }
+  return { valid: true, iec, legacy: false };
+};
+
+module.exports = {
+  normalizeTaxId,
+  computeGSTINCheckDigit,
+  validateGSTIN,
+  validatePAN,
+  validateIEC,
+};
@@ -0,0 +1,41 @@
+// utils/upi.js
+
+// Virtual payment address: handle@psp (e.g. ingredientz@icici)
+const UPI_ID_PATTERN = /^[a-zA-Z0-9._-]{2,256}@[a-zA-Z][a-zA-Z0-9]{1,63}$/;
+
+/**
+ * Checks whether a UPI ID (VPA) is well formed
+ * @param {string} upiId - UPI ID
+ * @returns {boolean} - True if valid
+ */
+const isValidUpiId = (upiId) => UPI_ID_PATTERN.test(String(upiId || ""));
+
+/**
+ * Builds a UPI deep link (upi://pay) that payment apps open with the payee,
+ * amount and note filled in. UPI only settles INR.
+ * @param {Object} params - { upiId, payeeName, amount, note }
+ * @returns {string} - Deep link, or empty string without a valid UPI ID
+ */
+const buildUpiLink = ({ upiId, payeeName, amount, note }) => {
+  if (!isValidUpiId(upiId)) return "";
+  const params = [
+    ["pa", upiId],
+    ["pn", payeeName],
+    ["am", amount > 0 ? Number(amount).toFixed(2) : ""],
+    ["cu", "INR"],
+    ["tn", note],
+  ].filter(([, value]) => value);
+  // Spaces must be %20 (several apps show "+" literally) and "@" stays as is
+  return `upi://pay?${params
+    .map(
+      ([key, value]) =>
+        `${key}=${encodeURIComponent(value).replace(/%40/g, "@")}`
+    )
+    .join("&")}`;
+};
+
+module.exports = {
+  UPI_ID_PATTERN,
+  isValidUpiId,
+  buildUpiLink,
+};